@@ -0,0 +1,166 @@
+/**
+ * Analysis of the dynamics of an orbit rather than the picture it makes:
+ * a window of its iterates is recorded, from which the time series of each co-ordinate,
+ * the return map x(n+1) against x(n) and the power spectrum of each co-ordinate can be plotted.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+AttractorCanvas.Analysis = {
+	/**
+	 * Record a window of the iterates of the engine's orbit, as rendered by update() (but never a bifurcation diagram).
+	 * @param engine AttractorCanvas.Engine whose system, parameters and integration are used
+	 * @param start Number of the first iterate recorded, so that the transient can be skipped
+	 * @param length Number of iterates recorded
+	 * @returns The window: start, the number of iterates recorded as length (fewer than asked for if the orbit
+	 * escaped, settled on a point or failed first), their co-ordinates as the Float64Arrays x and y,
+	 * the status the orbit ended with, as for AttractorCanvas.Renderer.prototype.run(),
+	 * and key, which identifies the orbit as for AttractorCanvas.Renderer.orbitKey().
+	 */
+	record: function(engine, start, length) {
+		var x = new Float64Array(length),
+			y = new Float64Array(length),
+			n = 0,
+			job = AttractorCanvas.Export.createOrbitJob(engine, function(px, py, i) {
+				if (i >= start && n < length) {
+					x[n] = px;
+					y[n] = py;
+					n++;
+				}
+			}),
+			renderer;
+		job.iterations = start + length;
+		renderer = new AttractorCanvas.Renderer(job);
+		return {
+			key: AttractorCanvas.Renderer.orbitKey(job),
+			status: AttractorCanvas.Engine.runRenderer(renderer, job.iterations).status,
+			start: start,
+			length: n,
+			x: x.subarray(0, n),
+			y: y.subarray(0, n)
+		};
+	},
+	/**
+	 * The smallest and largest of the given values, widened if they are equal so that they can be scaled to.
+	 * @returns [ min, max ]
+	 */
+	range: function(values) {
+		var min = Infinity, max = -Infinity, i;
+		for (i = 0; i < values.length; i++) {
+			min = Math.min(min, values[i]);
+			max = Math.max(max, values[i]);
+		}
+		if (!(min < max)) {
+			min = (isFinite(min) ? min : 0) - 1;
+			max = min + 2;
+		}
+		return [ min, max ];
+	},
+	/**
+	 * Fast Fourier transform, in place, of a complex sequence whose length is a power of two.
+	 * @param re, im Real and imaginary parts, as arrays of the same length
+	 * @throws Error if the length is not a power of two.
+	 */
+	fft: function(re, im) {
+		var n = re.length, i, j, k, size, half, angle, wRe, wIm, tRe, tIm, uRe, uIm, t;
+		if (n & (n - 1)) {
+			throw new Error('The length of a sequence to transform must be a power of two, not ' + n);
+		}
+		// Put the elements in bit-reversed order
+		for (i = 1, j = 0; i < n; i++) {
+			for (k = n >> 1; j & k; k >>= 1) {
+				j ^= k;
+			}
+			j ^= k;
+			if (i < j) {
+				t = re[i];
+				re[i] = re[j];
+				re[j] = t;
+				t = im[i];
+				im[i] = im[j];
+				im[j] = t;
+			}
+		}
+		for (size = 2; size <= n; size *= 2) {
+			half = size / 2;
+			angle = -2 * Math.PI / size;
+			for (i = 0; i < n; i += size) {
+				for (k = 0; k < half; k++) {
+					wRe = Math.cos(angle * k);
+					wIm = Math.sin(angle * k);
+					uRe = re[i + k];
+					uIm = im[i + k];
+					tRe = wRe * re[i + k + half] - wIm * im[i + k + half];
+					tIm = wRe * im[i + k + half] + wIm * re[i + k + half];
+					re[i + k] = uRe + tRe;
+					im[i + k] = uIm + tIm;
+					re[i + k + half] = uRe - tRe;
+					im[i + k + half] = uIm - tIm;
+				}
+			}
+		}
+	},
+	/**
+	 * The power spectrum of a sequence of values, after removing their mean and applying a Hann window.
+	 * Only the first power-of-two values are used.
+	 * @returns Float64Array of the power at frequencies of 0, 1/N, 2/N ... 1/2 cycles per iteration,
+	 * where N is the number of values used; empty if there are fewer than two values.
+	 */
+	powerSpectrum: function(values) {
+		var n = 1, mean = 0, re, im, power, i, w;
+		while (2 * n <= values.length) {
+			n *= 2;
+		}
+		if (n < 2) {
+			return new Float64Array(0);
+		}
+		for (i = 0; i < n; i++) {
+			mean += values[i] / n;
+		}
+		re = new Float64Array(n);
+		im = new Float64Array(n);
+		for (i = 0; i < n; i++) {
+			w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+			re[i] = (values[i] - mean) * w;
+		}
+		AttractorCanvas.Analysis.fft(re, im);
+		power = new Float64Array(n / 2 + 1);
+		for (i = 0; i <= n / 2; i++) {
+			power[i] = (re[i] * re[i] + im[i] * im[i]) / n;
+		}
+		return power;
+	},
+	/**
+	 * A recorded window as CSV with a header line and one line of iteration number, x and y per iterate.
+	 * @returns An array of strings to be concatenated.
+	 */
+	seriesCSV: function(series) {
+		var lines = [ 'iteration,x,y' ], i;
+		for (i = 0; i < series.length; i++) {
+			lines.push((series.start + i) + ',' + series.x[i] + ',' + series.y[i]);
+		}
+		return [ lines.join('\n') + '\n' ];
+	},
+	/**
+	 * The power spectra of both co-ordinates of a recorded window as CSV,
+	 * with one line of frequency (in cycles per iteration), power of x and power of y per frequency.
+	 * @returns An array of strings to be concatenated.
+	 */
+	spectrumCSV: function(series) {
+		var px = AttractorCanvas.Analysis.powerSpectrum(series.x),
+			py = AttractorCanvas.Analysis.powerSpectrum(series.y),
+			lines = [ 'frequency,x,y' ], i;
+		for (i = 0; i < px.length; i++) {
+			lines.push(i / (2 * (px.length - 1)) + ',' + px[i] + ',' + py[i]);
+		}
+		return [ lines.join('\n') + '\n' ];
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,270 @@
+/**
+ * Animations that morph an attractor between keyframes,
+ * each keyframe being a parameter set of one system together with a centre, zoom and (for flows) rotation.
+ * Parameters, centre and rotation are interpolated linearly and zoom geometrically between successive keyframes,
+ * with the progress through each pair of keyframes shaped by an easing function.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A sequence of frames interpolated between keyframes.
+ * @param keyframes Array of at least two keyframes, as returned by AttractorCanvas.Animation.keyframe(),
+ * all of the same system
+ * @param options Any of:
+ * frames: total number of frames, including the first and last keyframes (default 60),
+ * easing: id of one of AttractorCanvas.Animation.easings (default 'easeInOut'),
+ * frameRate: frames per second when played back (default 25).
+ * @throws Error if there are too few keyframes or they are of different systems.
+ * @returns {AttractorCanvas.Animation} The new instance
+ */
+AttractorCanvas.Animation = function(keyframes, options) {
+	var i;
+	options = options || {};
+	if (keyframes.length < 2) {
+		throw new Error('An animation needs at least two keyframes');
+	}
+	for (i = 1; i < keyframes.length; i++) {
+		if (keyframes[i].system !== keyframes[0].system) {
+			throw new Error('The keyframes of an animation must all be of the same system');
+		}
+	}
+	this.keyframes = keyframes;
+	this.frameCount = Math.max(2, options.frames || 60);
+	this.easing = AttractorCanvas.Animation.findEasing(options.easing || 'easeInOut');
+	if (!this.easing) {
+		throw new Error("Unknown easing '" + options.easing + "'");
+	}
+	this.frameRate = options.frameRate || 25;
+	// RGBA images of the frames rendered so far, indexed by frame number
+	this.frames = [];
+	this.cancelled = false;
+	this.running = false;
+};
+
+/**
+ * Ways of moving between keyframes: each maps the proportion of the time elapsed, in [0, 1],
+ * to the proportion of the distance travelled.
+ */
+AttractorCanvas.Animation.easings = [
+	{
+		id: 'linear',
+		name: 'Linear',
+		ease: function(t) {
+			return t;
+		}
+	},
+	{
+		id: 'easeIn',
+		name: 'Ease in',
+		ease: function(t) {
+			return t * t;
+		}
+	},
+	{
+		id: 'easeOut',
+		name: 'Ease out',
+		ease: function(t) {
+			return t * (2 - t);
+		}
+	},
+	{
+		id: 'easeInOut',
+		name: 'Ease in and out',
+		ease: function(t) {
+			return t * t * (3 - 2 * t);
+		}
+	},
+	{
+		id: 'sine',
+		name: 'Sine',
+		ease: function(t) {
+			return (1 - Math.cos(Math.PI * t)) / 2;
+		}
+	}
+];
+
+/**
+ * @returns The easing with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.Animation.findEasing = function(id) {
+	var i, easings = AttractorCanvas.Animation.easings;
+	for (i = 0; i < easings.length; i++) {
+		if (id === easings[i].id) {
+			return easings[i];
+		}
+	}
+	return undefined;
+};
+
+/**
+ * A keyframe holding the engine's current system, parameter set, centre, zoom and rotation.
+ * The parameter values are copied, so that later changes to the Custom parameter set do not affect it.
+ */
+AttractorCanvas.Animation.keyframe = function(engine) {
+	return {
+		system: engine.getSystemId(),
+		parameterSet: engine.getParameterSetIndex(),
+		parameters: JSON.parse(JSON.stringify(engine.getParameterSet())),
+		centre: engine.getCentre(),
+		zoom: engine.getZoom(),
+		rotation: engine.getRotation()
+	};
+};
+
+AttractorCanvas.Animation.prototype = {
+	getFrameCount: function() {
+		return this.frameCount;
+	},
+	/**
+	 * The interpolated state of the given frame.
+	 * @param n Frame number, from 0 to getFrameCount() - 1
+	 * @returns The system id, parameters, centre, zoom and rotation of the frame
+	 */
+	getFrame: function(n) {
+		var segments = this.keyframes.length - 1,
+			u = n / (this.frameCount - 1) * segments,
+			segment = Math.min(segments - 1, Math.floor(u)),
+			from = this.keyframes[segment],
+			to = this.keyframes[segment + 1],
+			t = this.easing.ease(u - segment),
+			parameters = {};
+		function lerp(a, b) {
+			return a + (b - a) * t;
+		}
+		Object.keys(from.parameters).forEach(function(name) {
+			// Parameters missing from the next keyframe keep their value
+			parameters[name] = to.parameters.hasOwnProperty(name) ?
+				lerp(from.parameters[name], to.parameters[name]) : from.parameters[name];
+		});
+		return {
+			system: from.system,
+			parameters: parameters,
+			centre: [ lerp(from.centre[0], to.centre[0]), lerp(from.centre[1], to.centre[1]) ],
+			zoom: from.zoom * Math.pow(to.zoom / from.zoom, t),
+			rotation: { yaw: lerp(from.rotation.yaw, to.rotation.yaw), pitch: lerp(from.rotation.pitch, to.rotation.pitch) }
+		};
+	},
+	/**
+	 * Describe the work needed to render the given frame with the engine's image size, iterations and colouring.
+	 */
+	createJob: function(engine, n) {
+		var frame = this.getFrame(n),
+			system = engine.systems[engine.findSystemIndex(frame.system)],
+			job = engine.createJob();
+		job.iterate = system.iterate;
+		job.jacobian = system.jacobian;
+		job.derivative = system.derivative;
+		job.dimensions = system.dimensions;
+		job.initialValues = system.initialValues;
+		job.rotation = frame.rotation;
+		job.params = frame.parameters;
+		job.view.centreX = frame.centre[0];
+		job.view.centreY = frame.centre[1];
+		job.view.zoom = frame.zoom;
+		return job;
+	},
+	/**
+	 * Render the frames asynchronously, a slice at a time,
+	 * reporting through the engine's events as for a single render:
+	 * renderStart when starting, renderProgress with the proportion of the current frame done,
+	 * animationProgress with the number of the frame being rendered, the number of frames and the proportion done overall,
+	 * and renderStop when finished or cancelled.
+	 * @param engine AttractorCanvas.Engine whose system, image size, iterations, colouring and tone-mapping are used
+	 * @param callbacks Object with any of the functions:
+	 * frame(n, imageData): called with each frame's number and RGBA image as it is finished,
+	 * done(): called when all frames have been passed to frame(),
+	 * failed(exception): called if rendering fails, e.g. because the system's Jacobian threw.
+	 */
+	start: function(engine, callbacks) {
+		var that = this, n = 0, renderer = null, iterations = 0;
+		this.engine = engine;
+		this.cancelled = false;
+		this.running = true;
+		this.frames = [];
+		engine.trigger(AttractorCanvas.eventNames.renderStart);
+		function nextSlice() {
+			var start = Date.now(), imageData;
+			if (that.cancelled) {
+				return;
+			}
+			try {
+				if (!renderer) {
+					renderer = new AttractorCanvas.Renderer(that.createJob(engine, n));
+				}
+				while (renderer.isRunning() && Date.now() - start < 50) {
+					renderer.run(1000);
+				}
+			} catch (e) {
+				that.finish({ status: 'error', iterations: iterations, message: '' + e });
+				if (callbacks.failed) {
+					callbacks.failed(e);
+				}
+				return;
+			}
+			engine.trigger(AttractorCanvas.eventNames.renderProgress, renderer.isRunning() ? renderer.getProgress() : 1);
+			if (!renderer.isRunning()) {
+				// Frames whose orbits escape or settle down are kept, since they are part of the sequence
+				iterations += renderer.i;
+				imageData = {
+					width: renderer.density.width,
+					height: renderer.density.height,
+					data: new Uint8ClampedArray(renderer.density.width * renderer.density.height * 4)
+				};
+				AttractorCanvas.Renderer.toneMap(renderer.density, imageData.data, engine);
+				that.frames[n] = imageData;
+				if (callbacks.frame) {
+					callbacks.frame(n, imageData);
+				}
+				renderer = null;
+				n++;
+			}
+			engine.trigger(AttractorCanvas.eventNames.animationProgress, {
+				frame: n,
+				frames: that.frameCount,
+				proportionDone: (n + (renderer ? renderer.getProgress() : 0)) / that.frameCount
+			});
+			if (n < that.frameCount) {
+				AttractorCanvas.defer(nextSlice);
+			} else {
+				that.finish({ status: 'completed', iterations: iterations });
+				if (callbacks.done) {
+					callbacks.done();
+				}
+			}
+		}
+		AttractorCanvas.defer(nextSlice);
+		return this;
+	},
+	finish: function(result) {
+		this.running = false;
+		this.engine.trigger(AttractorCanvas.eventNames.renderStop, result);
+	},
+	/**
+	 * Abandon rendering, keeping the frames finished so far.
+	 */
+	cancel: function() {
+		this.cancelled = true;
+		if (this.running) {
+			this.finish({ status: 'stopped', iterations: 0 });
+		}
+		return this;
+	},
+	isRunning: function() {
+		return this.running;
+	},
+	/**
+	 * Whether every frame has been rendered.
+	 */
+	isComplete: function() {
+		return this.frames.length === this.frameCount;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
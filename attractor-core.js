@@ -0,0 +1,2239 @@
+/**
+ * DOM-independent computation of strange attractors.
+ * Everything in this file must run on the page, inside a Web Worker and under Node,
+ * so it may not refer to jQuery, the document or any canvas.
+ *
+ * Under Node:
+ * var AttractorCanvas = require('./attractor-core.js'),
+ *     engine = new AttractorCanvas.Engine(400, 400),
+ *     outcome = engine.setSystemIndex(2).render();
+ * leaves an RGBA image in engine.imageData.data.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+AttractorCanvas.eventNames = {
+	renderStart: 'Attractor.renderStart',
+	renderStop:  'Attractor.renderStop',
+	renderProgress: 'Attractor.renderProgress',
+	iterFuncRuntimeError: 'Attractor.iterFuncRuntimeError',
+	statistics: 'Attractor.statistics',
+	animationProgress: 'Attractor.animationProgress'
+};
+
+/**
+ * Convert a colour from HSV to RGB.
+ * @param h Hue in [0, 1), wrapping around outside that range
+ * @param s Saturation in [0, 1]
+ * @param v Value in [0, 1]
+ * @returns [ red, green, blue ], each in [0, 255]
+ */
+AttractorCanvas.hsv2rgb = function(h, s, v) {
+	var sector, f, p, q, t;
+	h = (h - Math.floor(h)) * 6;
+	sector = Math.floor(h);
+	f = h - sector;
+	v *= 255;
+	p = v * (1 - s);
+	q = v * (1 - s * f);
+	t = v * (1 - s * (1 - f));
+	switch (sector) {
+	case 0: return [ v, t, p ];
+	case 1: return [ q, v, p ];
+	case 2: return [ p, v, t ];
+	case 3: return [ p, q, v ];
+	case 4: return [ t, p, v ];
+	default: return [ v, p, q ];
+	}
+};
+
+/**
+ * Run the given function soon, but after the current one has returned.
+ */
+AttractorCanvas.defer = function(func) {
+	if (typeof(setImmediate) === "function") {
+		setImmediate(func);
+	} else {
+		setTimeout(func, 0);
+	}
+};
+
+/**
+ * Iterates the orbit of a system and accumulates the points visited into a hit-count histogram.
+ * @param job Description of the work to be done:
+ * iterate: the system's iteration function,
+ * jacobian: optionally, a function giving the Jacobian matrix of the iteration function (see numericJacobian()),
+ * params: the parameter set to pass to it,
+ * initialValues: starting point of the orbit,
+ * colourFunc: colour mode function giving the colour of each point plotted (see AttractorCanvas.Engine.prototype.colourModes),
+ * palette: optionally, the AttractorCanvas.Palette for the colour mode to use (default the Rainbow preset),
+ * iterations: total number of iterations to perform,
+ * view: centreX, centreY, zoom, width and height of the image to plot into,
+ * clip: optionally, the left, top, width and height of the part of that image to be rendered (default all of it),
+ * so that a large image can be rendered in tiles; the histogram covers only this part,
+ * pointFunc: optionally, a function called with the x and y co-ordinates and iteration number of each point of the orbit,
+ * orbitBufferSize and orbitKey: optionally, the number of the orbit's first points to keep in this.orbit
+ * (see AttractorCanvas.Renderer.createOrbit()), and a description of the orbit as given by orbitKey(),
+ * replay: optionally, such a buffer of the same orbit from an earlier render, whose points are plotted straight away
+ * and not again when they are reached by the iteration, so that a change of view is shown at once,
+ * escapeBound, eta and minIterations: optionally, the detection settings described in
+ * AttractorCanvas.Renderer.defaultDetection,
+ * symmetry: optionally, the order and reflection of a symmetry group applied to the points plotted,
+ * as for AttractorCanvas.Renderer.symmetryMatrices(); the orbit itself, its statistics and its buffer are unaffected.
+ * For a continuous-time system, iterate is replaced by derivative, and the job also has the dimensions,
+ * integrator, timeStep and rotation described in AttractorCanvas.Flow; the orbit is then its projection.
+ * For a bifurcation diagram, the job also has bifurcation settings as for AttractorCanvas.Engine.prototype.setBifurcation(),
+ * and iterations is replaced by the number of iterations in each column given there.
+ * @returns {AttractorCanvas.Renderer} The new instance
+ */
+AttractorCanvas.Renderer = function(job) {
+	var projected;
+	this.iterate = job.iterate;
+	this.jacobian = job.jacobian || function(x, y, params) {
+		return AttractorCanvas.numericJacobian(job.iterate, x, y, params);
+	};
+	this.params = job.params;
+	this.colourFunc = job.colourFunc;
+	this.palette = job.palette || AttractorCanvas.Palette.findPreset('Rainbow');
+	this.iterations = job.iterations;
+	this.view = job.view;
+	this.clip = job.clip || { left: 0, top: 0, width: job.view.width, height: job.view.height };
+	this.pointFunc = job.pointFunc;
+	this.density = AttractorCanvas.Renderer.createDensity(this.clip.width, this.clip.height);
+	this.status = 'running';
+	// Number of iterations performed so far
+	this.i = 0;
+	// Initial co-ordinates of main point
+	this.x = job.initialValues.x;
+	this.y = job.initialValues.y;
+	// Previous co-ordinates, for colouring
+	this.previousX = 0;
+	this.previousY = 0;
+	// What is known about each point plotted, passed to the colour mode; reused to save allocating one per point
+	this.point = { x: 0, y: 0, previousX: 0, previousY: 0, count: 0, maxCount: 0, extent: 0, width: this.view.width, height: this.view.height };
+	// Detection of the end of the orbit
+	this.escapeBound = undefined === job.escapeBound ? AttractorCanvas.Renderer.defaultDetection.escapeBound : job.escapeBound;
+	this.eta = undefined === job.eta ? AttractorCanvas.Renderer.defaultDetection.eta : job.eta;
+	this.minIterations = undefined === job.minIterations ? AttractorCanvas.Renderer.defaultDetection.minIterations : job.minIterations;
+	// Each point is plotted once for every element of the symmetry group, each given as a matrix
+	this.symmetry = AttractorCanvas.Renderer.symmetryMatrices(job.bifurcation ? null : job.symmetry);
+	// Periodic orbits are detected by Brent's algorithm: each point is compared with a saved one,
+	// which is replaced whenever the number of steps since it was saved reaches the next power of two.
+	// Points are taken to be the same if they differ by less than cycleTolerance relative to their magnitude.
+	this.cycleTolerance = 1e-10;
+	this.cycleX = this.x;
+	this.cycleY = this.y;
+	this.cyclePower = 1;
+	this.cycleSteps = 0;
+	// Once a periodic orbit is found, its period and the points on it
+	this.period = 0;
+	this.cyclePoints = null;
+	// Orthonormal tangent vectors, evolved by the Jacobian to measure the Lyapunov exponents
+	this.q1x = 1;
+	this.q1y = 0;
+	this.q2x = 0;
+	this.q2y = 1;
+	// Running totals of the logarithmic stretching along each tangent vector, and number of steps included in them.
+	// Values at the start are discarded so as to give time to reach the attractor.
+	this.lyapunovTransient = Math.min(1000, Math.floor(this.iterations / 10));
+	this.lyapunovSums = [ 0, 0 ];
+	this.lyapunovNumIter = 0;
+	// Extent of the orbit, ignoring the first few points while it settles onto the attractor
+	this.transient = Math.min(100, Math.floor(this.iterations / 10));
+	this.bounds = { xmin: Infinity, xmax: -Infinity, ymin: Infinity, ymax: -Infinity };
+	// Evenly spread sample of the points on the attractor, for estimating the correlation dimension.
+	// Every sampleStride'th point is kept; when the sample is full, every other point is dropped and the stride doubled.
+	this.sampleX = new Float64Array(AttractorCanvas.Renderer.sampleSize);
+	this.sampleY = new Float64Array(AttractorCanvas.Renderer.sampleSize);
+	this.sampleZ = new Float64Array(AttractorCanvas.Renderer.sampleSize);
+	this.sampleCount = 0;
+	this.sampleStride = 1;
+	this.sampleCounter = 0;
+	if (job.derivative) {
+		this.flow = new AttractorCanvas.Flow(job);
+		projected = this.flow.project(this.flow.state);
+		this.x = projected.x;
+		this.y = projected.y;
+	}
+	if (job.bifurcation) {
+		this.bifurcation = job.bifurcation;
+		this.initialValues = job.initialValues;
+		// Each column of the image has an orbit of its own
+		this.iterations = this.clip.width * (job.bifurcation.transient + job.bifurcation.iterations);
+		this.columnParams = null;
+	}
+	// Number of the orbit's first points that were plotted from a buffer rather than as they were reached
+	this.replayed = 0;
+	this.orbit = null;
+	if (job.replay && !job.bifurcation) {
+		this.replay(job.replay);
+	} else if (job.orbitBufferSize && !job.bifurcation) {
+		this.orbit = AttractorCanvas.Renderer.createOrbit(job.orbitKey, job.orbitBufferSize);
+	}
+};
+
+// Maximum number of points sampled for the correlation dimension
+AttractorCanvas.Renderer.sampleSize = 1024;
+
+/**
+ * How the end of an orbit is detected:
+ * escapeBound: the orbit is taken to escape to infinity once a co-ordinate exceeds this in magnitude,
+ * eta: steps smaller than this in every co-ordinate mean that the orbit has settled onto a point,
+ * minIterations: iterations performed before a point attractor is looked for, so that slow starts are not mistaken for one.
+ */
+AttractorCanvas.Renderer.defaultDetection = {
+	escapeBound: Math.pow(2, 32),
+	eta: Math.pow(10, -12),
+	minIterations: 50
+};
+
+// Greatest order of rotational symmetry that can be applied to a render
+AttractorCanvas.Renderer.maxSymmetryOrder = 64;
+
+/**
+ * The elements of a cyclic or dihedral symmetry group about the origin, as matrices acting on points.
+ * @param symmetry The order of the group's rotations, and whether it also has reflections, as order and reflection;
+ * or undefined for no symmetry
+ * @returns Array of matrices [ a, b, c, d ], each taking (x, y) to (a x + b y, c x + d y), beginning with the identity:
+ * the rotations by multiples of 2 pi / order, followed, if there is reflection, by those rotations of the reflection in the x axis.
+ */
+AttractorCanvas.Renderer.symmetryMatrices = function(symmetry) {
+	var order = symmetry ? symmetry.order : 1, matrices = [], k, c, s;
+	for (k = 0; k < order; k++) {
+		c = 0 === k ? 1 : Math.cos(2 * Math.PI * k / order);
+		s = 0 === k ? 0 : Math.sin(2 * Math.PI * k / order);
+		matrices.push([ c, -s, s, c ]);
+	}
+	if (symmetry && symmetry.reflection) {
+		for (k = 0; k < order; k++) {
+			matrices.push([ matrices[k][0], -matrices[k][1], matrices[k][2], -matrices[k][3] ]);
+		}
+	}
+	return matrices;
+};
+
+/**
+ * Allocate an empty buffer of the points of an orbit, which may be replayed to plot them again in another view.
+ * @param key Description of the orbit, as given by orbitKey()
+ * @param size The most points kept
+ */
+AttractorCanvas.Renderer.createOrbit = function(key, size) {
+	return {
+		key: key,
+		size: size,
+		count: 0,
+		x: new Float64Array(size),
+		y: new Float64Array(size),
+		previousX: new Float64Array(size),
+		previousY: new Float64Array(size)
+	};
+};
+
+/**
+ * Describe everything about a job that determines its orbit, though not how the orbit is viewed or coloured,
+ * so that buffers of orbits can be matched to jobs.
+ */
+AttractorCanvas.Renderer.orbitKey = function(job) {
+	return JSON.stringify([
+		String(job.iterate || job.derivative), job.params, job.initialValues,
+		job.derivative ? [ job.dimensions, job.integrator, job.timeStep, job.rotation ] : null
+	]);
+};
+
+/**
+ * Estimate the Jacobian matrix of an iteration function at a point by central differences.
+ * @returns [ dx'/dx, dx'/dy, dy'/dx, dy'/dy ]
+ */
+AttractorCanvas.numericJacobian = function(iterate, x, y, params) {
+	var hx = 1e-7 * (1 + Math.abs(x)),
+		hy = 1e-7 * (1 + Math.abs(y)),
+		px = iterate(x + hx, y, params),
+		mx = iterate(x - hx, y, params),
+		py = iterate(x, y + hy, params),
+		my = iterate(x, y - hy, params);
+	return [
+		(px.x - mx.x) / (2 * hx), (py.x - my.x) / (2 * hy),
+		(px.y - mx.y) / (2 * hx), (py.y - my.y) / (2 * hy)
+	];
+};
+
+/**
+ * Kaplan-Yorke (Lyapunov) dimension from a Lyapunov spectrum.
+ * @param exponents Lyapunov exponents in decreasing order
+ */
+AttractorCanvas.kaplanYorkeDimension = function(exponents) {
+	var sum = 0, j;
+	for (j = 0; j < exponents.length; j++) {
+		if (sum + exponents[j] < 0) {
+			return j + sum / Math.abs(exponents[j]);
+		}
+		sum += exponents[j];
+	}
+	return exponents.length;
+};
+
+/**
+ * Grassberger-Procaccia estimate of the correlation dimension of a set of points:
+ * the slope of log C(r) against log r, where C(r) is the proportion of pairs of points closer than r,
+ * over the range of r in which C(r) is between 0.001 and 0.05.
+ * @param xs, ys Co-ordinates of the points
+ * @param n Number of points
+ * @param zs Optionally, third co-ordinates of the points
+ * @returns The estimate, or NaN if there are too few points to make one.
+ */
+AttractorCanvas.correlationDimension = function(xs, ys, n, zs) {
+	var binsPerOctave = 4, octaves = 40,
+		histogram = new Float64Array(binsPerOctave * octaves),
+		xmin = Infinity, xmax = -Infinity, ymin = Infinity, ymax = -Infinity,
+		extent, pairs = n * (n - 1) / 2, i, j, dx, dy, d, bin,
+		zmin = Infinity, zmax = -Infinity,
+		cumulative = 0, logC, logR, sx = 0, sy = 0, sxx = 0, sxy = 0, count = 0, dz;
+	for (i = 0; i < n; i++) {
+		xmin = Math.min(xmin, xs[i]);
+		xmax = Math.max(xmax, xs[i]);
+		ymin = Math.min(ymin, ys[i]);
+		ymax = Math.max(ymax, ys[i]);
+		if (zs) {
+			zmin = Math.min(zmin, zs[i]);
+			zmax = Math.max(zmax, zs[i]);
+		}
+	}
+	extent = Math.max(xmax - xmin, ymax - ymin, zs ? zmax - zmin : 0);
+	if (n < 100 || !(extent > 0)) {
+		return NaN;
+	}
+	// Histogram of the pair distances, in bins of log2(distance / extent)
+	for (i = 1; i < n; i++) {
+		for (j = 0; j < i; j++) {
+			dx = xs[i] - xs[j];
+			dy = ys[i] - ys[j];
+			dz = zs ? zs[i] - zs[j] : 0;
+			d = Math.sqrt(dx * dx + dy * dy + dz * dz) / extent;
+			bin = d > 0 ? Math.floor((Math.log(d) / Math.LN2 + octaves) * binsPerOctave) : 0;
+			histogram[Math.max(0, Math.min(histogram.length - 1, bin))]++;
+		}
+	}
+	// Least-squares fit of log C(r) against log r, where r is the upper edge of each bin
+	for (bin = 0; bin < histogram.length; bin++) {
+		cumulative += histogram[bin];
+		if (cumulative >= 0.001 * pairs && cumulative <= 0.05 * pairs) {
+			logC = Math.log(cumulative / pairs);
+			logR = ((bin + 1) / binsPerOctave - octaves) * Math.LN2;
+			sx += logR;
+			sy += logC;
+			sxx += logR * logR;
+			sxy += logR * logC;
+			count++;
+		}
+	}
+	if (count < 2) {
+		return NaN;
+	}
+	return (count * sxy - sx * sy) / (count * sxx - sx * sx);
+};
+
+/**
+ * Allocate an empty hit-count histogram.
+ * Each pixel has a hit count plus running sums of the colours of the points that hit it.
+ */
+AttractorCanvas.Renderer.createDensity = function(width, height) {
+	var size = width * height;
+	return {
+		width: width,
+		height: height,
+		counts: new Uint32Array(size),
+		red: new Float32Array(size),
+		green: new Float32Array(size),
+		blue: new Float32Array(size),
+		maxCount: 0
+	};
+};
+
+/**
+ * Convert a hit-count histogram into RGBA pixels.
+ * Each pixel takes the mean colour of the points that hit it,
+ * with an opacity given by its (optionally log-scaled) count relative to the busiest pixel,
+ * multiplied by the exposure and gamma-corrected.
+ * @param density Histogram as returned by createDensity()
+ * @param data RGBA pixel array of the same dimensions, e.g. ImageData.data
+ * @param options exposure, gamma and logScale, and optionally maxCount to normalise against
+ * instead of the histogram's own, so that tiles of a larger image are treated alike
+ */
+AttractorCanvas.Renderer.toneMap = function(density, data, options) {
+	var counts = density.counts,
+		logScale = options.logScale,
+		exposure = options.exposure,
+		invGamma = 1 / options.gamma,
+		maxCount = options.maxCount || density.maxCount,
+		norm = logScale ? Math.log(1 + maxCount) : maxCount,
+		i, j, count, value;
+	for (i = 0, j = 0; i < counts.length; i++, j += 4) {
+		count = counts[i];
+		if (!count) {
+			data[j + 3] = 0;
+			continue;
+		}
+		value = (logScale ? Math.log(1 + count) : count) / norm;
+		value = Math.pow(Math.min(1, value * exposure), invGamma);
+		data[j]     = density.red[i] / count;
+		data[j + 1] = density.green[i] / count;
+		data[j + 2] = density.blue[i] / count;
+		data[j + 3] = value * 255;
+	}
+};
+
+AttractorCanvas.Renderer.prototype = {
+	xToCol: function(x) {
+		return Math.round((x - this.view.centreX) *  this.view.zoom + this.view.width  / 2);
+	},
+	yToRow: function(y) {
+		return Math.round((y - this.view.centreY) * -this.view.zoom + this.view.height / 2);
+	},
+	/**
+	 * Record one hit of the given colour at the given pixel.
+	 */
+	plot: function(c, r, rgb) {
+		var density = this.density, i, count;
+		if (c < 0 || c >= density.width || r < 0 || r >= density.height) {
+			return;
+		}
+		i = r * density.width + c;
+		count = ++density.counts[i];
+		density.red[i] += rgb[0];
+		density.green[i] += rgb[1];
+		density.blue[i] += rgb[2];
+		if (count > density.maxCount) {
+			density.maxCount = count;
+		}
+	},
+	isRunning: function() {
+		return 'running' === this.status;
+	},
+	/**
+	 * Perform up to the given number of further iterations.
+	 * @returns The resulting status: 'running' if there are iterations left to do,
+	 * 'completed', 'escaped' (infinite attractor), 'fixedPoint' (point attractor),
+	 * 'cycle' (periodic orbit; this.period and this.cyclePoints then describe it),
+	 * 'nan' (the iteration function returned a non-number, in which case this.errorPoint holds its arguments,
+	 * or the estimate of the Lyapunov exponents broke down)
+	 * or 'error' (the iteration function threw; this.errorPoint then holds the arguments and exception).
+	 */
+	run: function(count) {
+		var iterate = this.iterate,
+			params = this.params,
+			pointFunc = this.pointFunc,
+			minIterations = this.minIterations,
+			eta = this.eta,
+			cycleX = this.cycleX, cycleY = this.cycleY,
+			cyclePower = this.cyclePower, cycleSteps = this.cycleSteps,
+			tolerance = this.cycleTolerance * (1 + Math.abs(cycleX) + Math.abs(cycleY)),
+			// If the point exceeds these bounds, it is assumed to escape to infinity
+			xmax = this.escapeBound, xmin = -xmax, ymax = xmax, ymin = xmin,
+			i = this.i, x = this.x, y = this.y,
+			previousX = this.previousX,
+			previousY = this.previousY,
+			bounds = this.bounds,
+			end = Math.min(this.iterations, i + count),
+			next, dx, dy;
+		if (!this.isRunning()) {
+			return this.status;
+		}
+		if (this.flow) {
+			return this.runFlow(count);
+		}
+		if (this.bifurcation) {
+			return this.runBifurcation(count);
+		}
+		for (/* NOP */; i < end; i++, previousX = x, previousY = y, x = next.x, y = next.y) {
+			this.plotPoint(i, x, y, previousX, previousY);
+			// Detect infinite attractors
+			if (x < xmin || x > xmax || y < ymin || y > ymax) {
+				this.status = 'escaped';
+				break;
+			}
+			if (pointFunc) {
+				pointFunc(x, y, i);
+			}
+			if (i >= this.transient) {
+				this.addSample(x, y);
+				bounds.xmin = Math.min(bounds.xmin, x);
+				bounds.xmax = Math.max(bounds.xmax, x);
+				bounds.ymin = Math.min(bounds.ymin, y);
+				bounds.ymax = Math.max(bounds.ymax, y);
+			}
+			// Iterate the point
+			try {
+				next = iterate(x, y, params);
+			} catch (e) {
+				this.status = 'error';
+				this.errorPoint = { x: x, y: y, exception: e };
+				break;
+			}
+			if (isNaN(next.x) || isNaN(next.y)) {
+				this.status = 'nan';
+				this.errorPoint = { x: x, y: y, exception: null };
+				break;
+			}
+			dx = Math.abs(x - next.x), dy = Math.abs(y - next.y);
+			// Detect point attractors
+			if (dx < eta && dy < eta && i > minIterations) {
+				this.setCycle(next, 1);
+				break;
+			}
+			// Detect periodic orbits. This is done on the co-ordinates rather than the pixels,
+			// since distinct points of a chaotic orbit often fall on the same pixel.
+			cycleSteps++;
+			if (Math.abs(next.x - cycleX) <= tolerance && Math.abs(next.y - cycleY) <= tolerance) {
+				this.setCycle(next, cycleSteps);
+				break;
+			}
+			if (cycleSteps === cyclePower) {
+				cycleX = next.x;
+				cycleY = next.y;
+				tolerance = this.cycleTolerance * (1 + Math.abs(cycleX) + Math.abs(cycleY));
+				cyclePower *= 2;
+				cycleSteps = 0;
+			}
+			this.advanceTangents(x, y, i >= this.lyapunovTransient);
+			if ('nan' === this.status) {
+				break;
+			}
+		}
+		this.i = i;
+		this.x = x;
+		this.y = y;
+		this.previousX = previousX;
+		this.previousY = previousY;
+		this.cycleX = cycleX;
+		this.cycleY = cycleY;
+		this.cyclePower = cyclePower;
+		this.cycleSteps = cycleSteps;
+		if (this.isRunning() && i >= this.iterations) {
+			this.status = 'completed';
+		}
+		return this.status;
+	},
+	/**
+	 * Perform up to the given number of further steps of a flow, as for run().
+	 * The point plotted is the projection of the state onto the plane of the view.
+	 * Periodic orbits are not looked for, since the points of a flow's orbit never repeat exactly.
+	 */
+	runFlow: function(count) {
+		var flow = this.flow,
+			pointFunc = this.pointFunc,
+			minIterations = this.minIterations,
+			eta = this.eta,
+			// If any component of the state exceeds this, it is assumed to escape to infinity
+			limit = this.escapeBound,
+			i = this.i, x = this.x, y = this.y,
+			previousX = this.previousX,
+			previousY = this.previousY,
+			bounds = this.bounds,
+			end = Math.min(this.iterations, i + count),
+			state, next, projected, k, escaped, invalid, displacement;
+		for (/* NOP */; i < end; i++, previousX = x, previousY = y, x = projected.x, y = projected.y) {
+			this.plotPoint(i, x, y, previousX, previousY);
+			state = flow.state;
+			for (k = 0, escaped = false; k < state.length; k++) {
+				escaped = escaped || !(Math.abs(state[k]) <= limit);
+			}
+			if (escaped) {
+				this.status = 'escaped';
+				break;
+			}
+			if (pointFunc) {
+				pointFunc(x, y, i);
+			}
+			if (i >= this.transient) {
+				// Sampled in three dimensions, since distances are distorted by the projection
+				this.addSample(state[0], state[1] || 0, state[2] || 0);
+				bounds.xmin = Math.min(bounds.xmin, x);
+				bounds.xmax = Math.max(bounds.xmax, x);
+				bounds.ymin = Math.min(bounds.ymin, y);
+				bounds.ymax = Math.max(bounds.ymax, y);
+			}
+			try {
+				next = flow.advance();
+			} catch (e) {
+				this.status = 'error';
+				this.errorPoint = { x: x, y: y, exception: e };
+				break;
+			}
+			for (k = 0, invalid = false, displacement = 0; k < next.length; k++) {
+				invalid = invalid || isNaN(next[k]);
+				displacement = Math.max(displacement, Math.abs(next[k] - state[k]));
+			}
+			if (invalid) {
+				this.status = 'nan';
+				this.errorPoint = { x: x, y: y, exception: null };
+				break;
+			}
+			projected = flow.project(next);
+			// Detect stationary points
+			if (displacement < eta && i > minIterations) {
+				this.status = 'fixedPoint';
+				this.period = 1;
+				this.cyclePoints = [ { x: projected.x, y: projected.y } ];
+				break;
+			}
+			if (!flow.advanceTangents(state, i >= this.lyapunovTransient)) {
+				this.status = 'nan';
+				break;
+			}
+		}
+		this.i = i;
+		this.x = x;
+		this.y = y;
+		this.previousX = previousX;
+		this.previousY = previousY;
+		if (this.isRunning() && i >= this.iterations) {
+			this.status = 'completed';
+		}
+		return this.status;
+	},
+	/**
+	 * Perform up to the given number of further iterations of a bifurcation diagram, as for run().
+	 * Each column of the image is the orbit, restarted from the initial values, for one value of the parameter varied,
+	 * with the first iterations in each column discarded while the orbit settles down.
+	 * A column whose orbit escapes or cannot be iterated is simply left unfinished,
+	 * since some values in a sweep of a parameter are bound to give no attractor.
+	 * The pointFunc, if any, is passed the parameter value and the co-ordinate plotted rather than x and y.
+	 */
+	runBifurcation: function(count) {
+		var bifurcation = this.bifurcation,
+			iterate = this.iterate,
+			pointFunc = this.pointFunc,
+			clip = this.clip,
+			point = this.point,
+			perColumn = bifurcation.transient + bifurcation.iterations,
+			range = bifurcation.high - bifurcation.low,
+			// If the point exceeds this, it is assumed to escape to infinity
+			limit = this.escapeBound,
+			i = this.i, x = this.x, y = this.y,
+			previousX = this.previousX,
+			previousY = this.previousY,
+			params = this.columnParams,
+			end = Math.min(this.iterations, i + count),
+			step, column, name, next, value, previousValue, r;
+		for (/* NOP */; i < end; i++) {
+			step = i % perColumn;
+			column = clip.left + (i - step) / perColumn;
+			if (0 === step) {
+				params = {};
+				for (name in this.params) {
+					params[name] = this.params[name];
+				}
+				params[bifurcation.parameter] = bifurcation.min + (column + 0.5) / this.view.width * (bifurcation.max - bifurcation.min);
+				x = this.initialValues.x;
+				y = this.initialValues.y;
+			}
+			try {
+				next = iterate(x, y, params);
+			} catch (e) {
+				next = null;
+			}
+			// Also true of NaNs
+			if (!next || !(Math.abs(next.x) <= limit && Math.abs(next.y) <= limit)) {
+				// Skip to the next column
+				i += perColumn - step - 1;
+				continue;
+			}
+			previousX = x;
+			previousY = y;
+			x = next.x;
+			y = next.y;
+			if (step < bifurcation.transient) {
+				continue;
+			}
+			value = 'x' === bifurcation.coordinate ? x : y;
+			previousValue = 'x' === bifurcation.coordinate ? previousX : previousY;
+			if (pointFunc) {
+				pointFunc(params[bifurcation.parameter], value, i);
+			}
+			r = Math.floor((bifurcation.high - value) / range * this.view.height);
+			if (r < clip.top || r >= clip.top + clip.height) {
+				continue;
+			}
+			point.x = x;
+			point.y = y;
+			point.previousX = previousX;
+			point.previousY = previousY;
+			point.count = this.density.counts[(r - clip.top) * clip.width + column - clip.left];
+			point.maxCount = this.density.maxCount;
+			point.extent = range;
+			this.plot(column - clip.left, r - clip.top,
+				this.colourFunc(i, r, column, (previousValue - bifurcation.low) / range, point, this.palette));
+		}
+		this.i = i;
+		this.x = x;
+		this.y = y;
+		this.previousX = previousX;
+		this.previousY = previousY;
+		this.columnParams = params;
+		if (this.isRunning() && i >= this.iterations) {
+			this.status = 'completed';
+		}
+		return this.status;
+	},
+	/**
+	 * Plot a point of the orbit, with its images under the symmetry group if any, in the colour given by the colour mode.
+	 * Each image is coloured as if the orbit itself had been transformed, so its previous point is transformed too.
+	 */
+	plotPoint: function(i, x, y, previousX, previousY) {
+		var symmetry = this.symmetry,
+			orbit = this.orbit,
+			k, m;
+		if (orbit && i === orbit.count && i < orbit.size) {
+			orbit.x[i] = x;
+			orbit.y[i] = y;
+			orbit.previousX[i] = previousX;
+			orbit.previousY[i] = previousY;
+			orbit.count++;
+		}
+		if (i < this.replayed) {
+			return;
+		}
+		this.plotImage(i, x, y, previousX, previousY);
+		for (k = 1; k < symmetry.length; k++) {
+			m = symmetry[k];
+			this.plotImage(i, m[0] * x + m[1] * y, m[2] * x + m[3] * y, m[0] * previousX + m[1] * previousY, m[2] * previousX + m[3] * previousY);
+		}
+	},
+	/**
+	 * Plot a single point if it falls within the part of the image being rendered.
+	 */
+	plotImage: function(i, x, y, previousX, previousY) {
+		var r = this.yToRow(y),
+			c = this.xToCol(x),
+			clip = this.clip,
+			point = this.point,
+			bounds = this.bounds,
+			width = this.view.width;
+		if (c < clip.left || c >= clip.left + clip.width || r < clip.top || r >= clip.top + clip.height) {
+			return;
+		}
+		point.x = x;
+		point.y = y;
+		point.previousX = previousX;
+		point.previousY = previousY;
+		point.count = this.density.counts[(r - clip.top) * clip.width + c - clip.left];
+		point.maxCount = this.density.maxCount;
+		point.extent = Math.max(bounds.xmax - bounds.xmin, bounds.ymax - bounds.ymin);
+		if (previousX < 0) {
+			previousX += width;
+		}
+		this.plot(c - clip.left, r - clip.top, this.colourFunc(i, r, c, this.xToCol(previousX) / width, point, this.palette));
+	},
+	/**
+	 * Plot the points of a buffer of this job's orbit, as made by an earlier render, up to the number of iterations.
+	 * The points are copied, as they are plotted, into a buffer of this render's own, to which any further points
+	 * are appended as if this render had made it; the buffer given is left as it is, since other renders may replay it too.
+	 * @param buffer Buffer as given by AttractorCanvas.Renderer.createOrbit()
+	 */
+	replay: function(buffer) {
+		var count = Math.min(buffer.count, this.iterations), bounds = this.bounds, i, x, y;
+		this.orbit = AttractorCanvas.Renderer.createOrbit(buffer.key, buffer.size);
+		for (i = 0; i < count; i++) {
+			x = buffer.x[i];
+			y = buffer.y[i];
+			this.plotPoint(i, x, y, buffer.previousX[i], buffer.previousY[i]);
+			// As in run(), so that colour modes see the same extent as when the points were first plotted
+			if (i >= this.transient) {
+				bounds.xmin = Math.min(bounds.xmin, x);
+				bounds.xmax = Math.max(bounds.xmax, x);
+				bounds.ymin = Math.min(bounds.ymin, y);
+				bounds.ymax = Math.max(bounds.ymax, y);
+			}
+		}
+		this.replayed = count;
+	},
+	/**
+	 * Record that the orbit has reached a periodic orbit.
+	 * A period of one is reported as a fixed point.
+	 * @param start A point on the periodic orbit
+	 * @param period Its period
+	 */
+	setCycle: function(start, period) {
+		var points = [ { x: start.x, y: start.y } ], point = start, k;
+		for (k = 1; k < period; k++) {
+			point = this.iterate(point.x, point.y, this.params);
+			points.push({ x: point.x, y: point.y });
+		}
+		this.status = 1 === period ? 'fixedPoint' : 'cycle';
+		this.period = period;
+		this.cyclePoints = points;
+	},
+	/**
+	 * Evolve the tangent vectors by the Jacobian at the given point, and re-orthonormalise them
+	 * by Gram-Schmidt (i.e. QR decomposition), accumulating the logarithms of the stretching factors.
+	 * @param accumulate Whether to include this step in the Lyapunov exponents
+	 */
+	advanceTangents: function(x, y, accumulate) {
+		var j = this.jacobian(x, y, this.params),
+			w1x = j[0] * this.q1x + j[1] * this.q1y,
+			w1y = j[2] * this.q1x + j[3] * this.q1y,
+			w2x = j[0] * this.q2x + j[1] * this.q2y,
+			w2y = j[2] * this.q2x + j[3] * this.q2y,
+			r11 = Math.sqrt(w1x * w1x + w1y * w1y),
+			r22, dot;
+		if (!(r11 > 0)) {
+			// The map collapses the plane (or the Jacobian is undefined here); start afresh
+			this.q1x = 1;
+			this.q1y = 0;
+			this.q2x = 0;
+			this.q2y = 1;
+			return;
+		}
+		this.q1x = w1x / r11;
+		this.q1y = w1y / r11;
+		dot = this.q1x * w2x + this.q1y * w2y;
+		w2x -= dot * this.q1x;
+		w2y -= dot * this.q1y;
+		r22 = Math.sqrt(w2x * w2x + w2y * w2y);
+		if (r22 > 0) {
+			this.q2x = w2x / r22;
+			this.q2y = w2y / r22;
+		} else {
+			// The map collapses the second direction; any vector orthogonal to the first will do
+			this.q2x = -this.q1y;
+			this.q2y = this.q1x;
+		}
+		if (accumulate) {
+			this.lyapunovSums[0] += Math.log(r11);
+			this.lyapunovSums[1] += Math.log(r22);
+			if (isNaN(this.lyapunovSums[0]) || isNaN(this.lyapunovSums[1])) {
+				// Reported by the caller, which stops iterating
+				this.status = 'nan';
+				return;
+			}
+			this.lyapunovNumIter++;
+		}
+	},
+	addSample: function(x, y, z) {
+		var i;
+		if (++this.sampleCounter < this.sampleStride) {
+			return;
+		}
+		this.sampleCounter = 0;
+		if (this.sampleCount === this.sampleX.length) {
+			for (i = 0; 2 * i < this.sampleCount; i++) {
+				this.sampleX[i] = this.sampleX[2 * i];
+				this.sampleY[i] = this.sampleY[2 * i];
+				this.sampleZ[i] = this.sampleZ[2 * i];
+			}
+			this.sampleCount = i;
+			this.sampleStride *= 2;
+		}
+		this.sampleX[this.sampleCount] = x;
+		this.sampleY[this.sampleCount] = y;
+		this.sampleZ[this.sampleCount] = z || 0;
+		this.sampleCount++;
+	},
+	/**
+	 * The Lyapunov exponents, largest first: the average logarithmic stretching rates measured so far,
+	 * per iteration for a map, or per unit time for a flow, which has one for each dimension.
+	 */
+	getLyapunovExponents: function() {
+		var n = this.lyapunovNumIter;
+		if (this.flow) {
+			return this.flow.getLyapunovExponents();
+		}
+		return n ? [ this.lyapunovSums[0] / n, this.lyapunovSums[1] / n ] : [ 0, 0 ];
+	},
+	getLyapunovExponent: function() {
+		return this.getLyapunovExponents()[0];
+	},
+	/**
+	 * Estimates of the dynamical properties of the attractor so far:
+	 * lyapunovExponents, kaplanYorkeDimension and correlationDimension (NaN until there are enough points).
+	 * A bifurcation diagram has no single attractor, so all are NaN.
+	 */
+	getStatistics: function() {
+		var exponents = this.getLyapunovExponents(),
+			measured = this.flow ? this.flow.time > 0 : this.lyapunovNumIter > 0;
+		if (this.bifurcation) {
+			return {
+				lyapunovExponents: [ NaN, NaN ],
+				kaplanYorkeDimension: NaN,
+				correlationDimension: NaN
+			};
+		}
+		return {
+			lyapunovExponents: exponents,
+			kaplanYorkeDimension: measured ? AttractorCanvas.kaplanYorkeDimension(exponents) : NaN,
+			correlationDimension: AttractorCanvas.correlationDimension(this.sampleX, this.sampleY, this.sampleCount,
+				this.flow ? this.sampleZ : undefined)
+		};
+	},
+	getProgress: function() {
+		return this.i / this.iterations;
+	},
+	/**
+	 * The outcome of the render so far: the status and number of iterations as for run(),
+	 * the bounding box of the orbit after its first few points as { xmin, xmax, ymin, ymax }
+	 * (null if there are no such points, and for a bifurcation diagram),
+	 * the Lyapunov exponents and the largest of them (NaN if not measured),
+	 * errorPoint if the status is 'error' or 'nan' because of the iteration function,
+	 * and period and cyclePoints if the status is 'cycle' or 'fixedPoint'.
+	 */
+	getResult: function() {
+		var bounds = this.bounds,
+			measured = !this.bifurcation && (this.flow ? this.flow.time > 0 : this.lyapunovNumIter > 0),
+			exponents = this.getLyapunovExponents().map(function(exponent) {
+				return measured ? exponent : NaN;
+			}),
+			result = {
+				status: this.status,
+				iterations: this.i,
+				bounds: !this.bifurcation && bounds.xmin <= bounds.xmax ?
+					{ xmin: bounds.xmin, xmax: bounds.xmax, ymin: bounds.ymin, ymax: bounds.ymax } : null,
+				lyapunovExponents: exponents,
+				lyapunovExponent: exponents[0]
+			};
+		if (this.errorPoint) {
+			result.errorPoint = this.errorPoint;
+		}
+		if (this.cyclePoints) {
+			result.period = this.period;
+			result.cyclePoints = this.cyclePoints;
+		}
+		return result;
+	}
+};
+
+/**
+ * The registered systems, in order of registration. See AttractorCanvas.registerSystem().
+ */
+AttractorCanvas.systems = [];
+
+/**
+ * @returns The registered system with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.findSystem = function(id) {
+	var i, systems = AttractorCanvas.systems;
+	for (i = 0; i < systems.length; i++) {
+		if (id === systems[i].id) {
+			return systems[i];
+		}
+	}
+	return undefined;
+};
+
+/**
+ * Complete the description of a parameter, taking its range to be its default plus or minus
+ * the larger of one and the default's magnitude unless given.
+ * @param parameter Object with the name and default, and optionally min, max and description
+ * @throws Error if the range is empty or does not include the default.
+ */
+AttractorCanvas.describeParameter = function(parameter) {
+	var value = +parameter.default,
+		spread = Math.max(1, Math.abs(value)),
+		description = {
+			name: parameter.name,
+			min: undefined === parameter.min ? value - spread : +parameter.min,
+			max: undefined === parameter.max ? value + spread : +parameter.max,
+			default: value,
+			description: parameter.description || ''
+		};
+	if (isNaN(value) || !(description.min <= value && value <= description.max && description.min < description.max)) {
+		throw new Error("Invalid range or default for parameter '" + parameter.name + "'");
+	}
+	return description;
+};
+
+/**
+ * Make a system available to engines and to the controls.
+ * Systems may be registered by any script loaded after this one (see attractor-systems.js for the built-in ones),
+ * or from definitions read as JSON, which give their iteration functions as formulae.
+ * Engines share the registry, so they see systems registered after they were created.
+ * @param definition Object, or the JSON text of one, with:
+ * id: identifier, unique among the registered systems, which is used in permalinks and saved views,
+ * name: name shown in the controls (default the id),
+ * description: optionally, a sentence or two about the system,
+ * references: optionally, an array of citations or URLs of the sources of the system and its parameter sets,
+ * formula: the system's equations in the language of attractor-expression.js; shown in the controls,
+ * and compiled into the iteration function if neither iterate nor derivative is given,
+ * iterate: optionally, the iteration function, which is passed x, y and the parameter set and returns the next { x, y },
+ * jacobian: optionally, a function of the same arguments giving the iteration function's Jacobian
+ * as [ dx'/dx, dx'/dy, dy'/dx, dy'/dy ] (see AttractorCanvas.numericJacobian()),
+ * derivative and dimensions: in place of iterate, for a continuous-time system (see AttractorCanvas.Flow),
+ * parameters: optionally, an array describing each parameter as { name, min, max, default, description },
+ * or just its name; any omitted default is taken from the first parameter set and any omitted range from the default,
+ * and if there is no array, the parameters are those of the first parameter set, or failing that of the formula,
+ * initialValues: starting point of each orbit, e.g. { x: 1, y: 1 } (default the origin),
+ * parameterSets: optionally, an array of presets, each giving a value for every parameter
+ * (default a single preset of the parameters' defaults),
+ * exemptParameterSets: optionally, the indices of presets that AttractorCanvas.checkPresets() skips,
+ * kept although their orbits escape or collapse to a point,
+ * view: optionally, the view in which the system is first shown, with any of: centre as [ x, y ] (default the origin),
+ * zoom in pixels per unit (default 100), and for flows, rotation as { yaw, pitch } in radians and timeStep,
+ * custom: true for the system whose formula the user may edit (see AttractorCanvas.Engine.prototype.setCustomFormula()).
+ * @throws Error if the definition is not valid, e.g. if its iterate, jacobian or derivative is not a function,
+ * or its id is already registered,
+ * or AttractorCanvas.Expression.ParseError if its formula cannot be compiled.
+ * @returns The system as registered: a copy of the definition with all of the above filled in,
+ * and an editable Custom parameter set, initially a copy of the last preset, appended to its parameter sets.
+ */
+AttractorCanvas.registerSystem = function(definition) {
+	var system = {}, view, compiled, first, names, key;
+	if ('string' === typeof(definition)) {
+		definition = JSON.parse(definition);
+	}
+	if (!definition.id || 'string' !== typeof(definition.id)) {
+		throw new Error('A system needs an id');
+	}
+	if (AttractorCanvas.findSystem(definition.id)) {
+		throw new Error("A system with the id '" + definition.id + "' is already registered");
+	}
+	// A definition read as JSON can only give its equations as a formula: the functions are passed to the worker
+	// as source code, so accepting them as text would run whatever a shared system file holds
+	[ 'iterate', 'jacobian', 'derivative' ].forEach(function(name) {
+		if (undefined !== definition[name] && 'function' !== typeof(definition[name])) {
+			throw new Error("The " + name + " of the system '" + definition.id + "' must be a function; give its equations as a formula instead");
+		}
+	});
+	for (key in definition) {
+		if (definition.hasOwnProperty(key)) {
+			system[key] = definition[key];
+		}
+	}
+	system.name = definition.name || definition.id;
+	system.description = definition.description || '';
+	system.references = (definition.references || []).slice();
+	system.custom = !!definition.custom;
+	if (system.derivative) {
+		if (!(system.dimensions >= 2)) {
+			throw new Error("The flow '" + system.id + "' needs at least two dimensions");
+		}
+	} else if (!system.iterate) {
+		if (!system.formula) {
+			throw new Error("The system '" + system.id + "' needs a formula or an iteration function");
+		}
+		compiled = AttractorCanvas.Expression.compileSystem(system.formula);
+		system.iterate = compiled.iterate;
+	}
+	first = (definition.parameterSets || [])[0] || {};
+	names = definition.parameters || (compiled ? compiled.parameters : Object.keys(first));
+	system.parameters = names.map(function(parameter) {
+		var described = 'string' === typeof(parameter) ? { name: parameter } : parameter,
+			copy = {};
+		for (key in described) {
+			copy[key] = described[key];
+		}
+		if (undefined === copy.default) {
+			copy.default = first.hasOwnProperty(copy.name) ? first[copy.name] : 0;
+		}
+		return AttractorCanvas.describeParameter(copy);
+	});
+	system.parameterSets = (definition.parameterSets || [ AttractorCanvas.defaultParameterSet(system) ]).map(function(parameterSet, i) {
+		var names = Object.keys(parameterSet);
+		if (names.length !== system.parameters.length || system.parameters.some(function(parameter) {
+			return 'number' !== typeof(parameterSet[parameter.name]);
+		})) {
+			throw new Error("Parameter set " + (i + 1) + " of the system '" + system.id + "' does not give a value for exactly each of its parameters");
+		}
+		return JSON.parse(JSON.stringify(parameterSet));
+	});
+	system.parameterSets.push(JSON.parse(JSON.stringify(system.parameterSets[system.parameterSets.length - 1])));
+	system.exemptParameterSets = (definition.exemptParameterSets || []).slice();
+	system.initialValues = definition.initialValues || { x: 0, y: 0 };
+	view = definition.view || {};
+	system.view = {
+		centre: view.centre || [ 0, 0 ],
+		zoom: view.zoom || 100,
+		rotation: view.rotation || { yaw: 0, pitch: 0 },
+		timeStep: view.timeStep || 0.01
+	};
+	AttractorCanvas.systems.push(system);
+	return system;
+};
+
+/**
+ * A parameter set of the given system's parameters at their defaults.
+ */
+AttractorCanvas.defaultParameterSet = function(system) {
+	var parameterSet = {};
+	system.parameters.forEach(function(parameter) {
+		parameterSet[parameter.name] = parameter.default;
+	});
+	return parameterSet;
+};
+
+/**
+ * A strange attractor rendered into an in-memory RGBA buffer.
+ * Holds the current system, parameter set, view and colouring,
+ * and reports progress and outcomes of renders through callbacks registered with on().
+ * @param width Width of the image in pixels
+ * @param height Height of the image in pixels
+ * @returns {AttractorCanvas.Engine} The new instance
+ */
+AttractorCanvas.Engine = function(width, height) {
+	this.width = width;
+	this.height = height;
+	this.imageData = this.createImageData();
+	this.centreX = 0;
+	this.centreY = 0;
+	this.iterations = 50000;
+	this.zoom = Math.min(width, height) / 4;
+	this.currentSystem = 0;
+	this.currentParameterSet = 0;
+	this.colourModeIndex = 0;
+	this.palette = AttractorCanvas.Palette.findPreset('Rainbow');
+	// Integration and projection of continuous-time systems
+	this.integrator = 'rk4';
+	this.timeStep = 0.01;
+	this.rotation = { yaw: 0, pitch: 0 };
+	// Settings of the bifurcation diagram shown instead of the attractor, if any
+	this.bifurcation = null;
+	// Tone-mapping of the hit-count histogram into displayed pixels
+	this.exposure = 1;
+	this.gamma = 2.2;
+	this.logScale = true;
+	this.resetDensity();
+	this.resetStatistics();
+	// Points of the periodic orbit found by the latest render, if any, which are highlighted
+	this.cyclePoints = null;
+	// Points marked by the user, e.g. an iterate chosen in an analysis of the orbit, which are highlighted in another colour
+	this.markedPoints = [];
+	// Identifies the latest render, so that callbacks from superseded ones can be ignored
+	this.renderId = 0;
+	this.running = false;
+	// The first points of the latest render's orbit (see AttractorCanvas.Renderer.createOrbit()), if any,
+	// which are replotted at once when only the view changes
+	this.orbit = null;
+	this.orbitBufferSize = 100000;
+	// How the end of an orbit is detected; see AttractorCanvas.Renderer.defaultDetection
+	this.detection = {
+		escapeBound: AttractorCanvas.Renderer.defaultDetection.escapeBound,
+		eta: AttractorCanvas.Renderer.defaultDetection.eta,
+		minIterations: AttractorCanvas.Renderer.defaultDetection.minIterations
+	};
+	// Symmetry group applied to the points plotted; see AttractorCanvas.Renderer.symmetryMatrices()
+	this.symmetry = { order: 1, reflection: false };
+	// The outcome of the render in progress so far, the time it started, and the function resolving its promise
+	this.partialResult = null;
+	this.renderStarted = 0;
+	this.resolveRender = null;
+	this.listeners = {};
+	// Start in the view in which the first system is meant to be shown, if any are registered yet
+	if (this.systems.length) {
+		this.setSystemIndex(0);
+	}
+};
+AttractorCanvas.Engine.prototype = {
+	/**
+	 * Methods of colouring the points.
+	 * Each getColour() is passed the iteration number, the row and column of the pixel,
+	 * the column of the previous point as a proportion of the image width,
+	 * the point (see AttractorCanvas.Renderer) and the palette, and returns [ red, green, blue ].
+	 * The point gives the current and previous co-ordinates (x, y, previousX, previousY),
+	 * the number of earlier hits on this pixel and on the busiest pixel (count, maxCount),
+	 * the extent of the orbit so far (extent) and the size of the image (width, height).
+	 */
+	colourModes: [
+		{
+			id: 'previousX',
+			name: 'Prev X co-ord',
+			getColour: function(i, r, c, previousX, point, palette) {
+				return palette.getColour(previousX - Math.floor(previousX));
+			}
+		},
+		{
+			id: 'black',
+			name: 'Black',
+			getColour: function(i, r, c, previousX) {
+				return [ 0, 0, 0 ];
+			}
+		},
+		/**
+		 * This one is included mostly to show that it doesn't work well!
+		 * There is no simple relationship between iteration count
+		 * and location of point for a chaotic attractor.
+		 */
+		{
+			id: 'alternating',
+			name: 'Alternating',
+			getColour: function(i, r, c, previousX) {
+				return (i % 2) ? [ 255, 0, 0 ] : [ 0, 0, 255 ];
+			}
+		},
+		/**
+		 * Length of the step that reached the point, relative to the extent of the orbit.
+		 */
+		{
+			id: 'velocity',
+			name: 'Step length',
+			getColour: function(i, r, c, previousX, point, palette) {
+				var dx = point.x - point.previousX, dy = point.y - point.previousY;
+				return palette.getColour(Math.sqrt(dx * dx + dy * dy) / point.extent);
+			}
+		},
+		{
+			id: 'direction',
+			name: 'Direction of travel',
+			getColour: function(i, r, c, previousX, point, palette) {
+				return palette.getColour(Math.atan2(point.y - point.previousY, point.x - point.previousX) / (2 * Math.PI) + 0.5);
+			}
+		},
+		/**
+		 * Density of the points already plotted at the pixel, so that the colour deepens as the image builds up.
+		 */
+		{
+			id: 'density',
+			name: 'Local density',
+			getColour: function(i, r, c, previousX, point, palette) {
+				return palette.getColour(Math.log(1 + point.count) / Math.log(1 + point.maxCount));
+			}
+		},
+		{
+			id: 'distance',
+			name: 'Distance from centre',
+			getColour: function(i, r, c, previousX, point, palette) {
+				var dc = c - point.width / 2, dr = r - point.height / 2;
+				return palette.getColour(Math.sqrt((dc * dc + dr * dr) / (point.width * point.width + point.height * point.height) * 4));
+			}
+		}
+	],
+	// The registered systems; see AttractorCanvas.registerSystem()
+	systems: AttractorCanvas.systems,
+	/**
+	 * Register a callback for one of the events in AttractorCanvas.eventNames.
+	 * The callback is passed the event's data, if any.
+	 */
+	on: function(eventName, callback) {
+		(this.listeners[eventName] = this.listeners[eventName] || []).push(callback);
+		return this;
+	},
+	trigger: function(eventName, data) {
+		var listeners = this.listeners[eventName] || [], i;
+		for (i = 0; i < listeners.length; i++) {
+			listeners[i].call(this, data);
+		}
+		return this;
+	},
+	/**
+	 * Abandon the render in progress, if any.
+	 */
+	stop: function() {
+		var resolve = this.resolveRender;
+		if (this.running) {
+			// Invalidate the render's callbacks, so that only this stop is reported
+			this.renderId++;
+			this.finishRender({ status: 'stopped', iterations: this.partialResult.iterations });
+		} else if (resolve) {
+			// Superseded before it started, so there is no render to report as stopped
+			this.renderId++;
+			this.resolveRender = null;
+			resolve({ status: 'stopped', iterations: 0, started: this.renderStarted, elapsed: Date.now() - this.renderStarted });
+		}
+		return this;
+	},
+	getWidth: function() {
+		return this.width;
+	},
+	getHeight: function() {
+		return this.height;
+	},
+	/**
+	 * Change the size of the image. Takes effect on the next render.
+	 */
+	setSize: function(width, height) {
+		this.width = width;
+		this.height = height;
+		return this;
+	},
+	getCentre: function() {
+		return [ this.centreX, this.centreY ];
+	},
+	setCentre: function(rl, im) {
+		this.centreX = rl;
+		this.centreY = im;
+		return this;
+	},
+	getZoom: function() {
+		return this.zoom;
+	},
+	setZoom: function(newZoom) {
+		this.zoom = newZoom;
+		return this;
+	},
+	zoomBy: function(factor) {
+		this.zoom *= factor;
+		return this;
+	},
+	zoomOutBy: function(factor) {
+		this.zoomBy(1 / factor);
+		return this;
+	},
+	/**
+	 * Iterate the current orbit briefly, without plotting it, and find the box that contains the attractor,
+	 * with its images under the symmetry group, apart from a small proportion of outlying points.
+	 * The first tenth of the iterations are discarded, as the orbit may not yet have reached the attractor.
+	 * @param options Any of iterations, outliers and margin, as for AttractorCanvas.Engine.fitDefaults
+	 * @returns The box as xmin, xmax, ymin and ymax, or null if the orbit escaped or could not be iterated.
+	 */
+	scanBounds: function(options) {
+		var settings = AttractorCanvas.Engine.fitSettings(options),
+			iterations = settings.iterations,
+			skip = Math.floor(iterations / 10),
+			matrices = AttractorCanvas.Renderer.symmetryMatrices(this.symmetry),
+			xs = new Float64Array((iterations - skip) * matrices.length),
+			ys = new Float64Array(xs.length),
+			n = 0,
+			job = this.createJob(),
+			renderer, status, low, high;
+		function add(x, y) {
+			var k, m;
+			for (k = 0; k < matrices.length; k++) {
+				m = matrices[k];
+				xs[n] = m[0] * x + m[1] * y;
+				ys[n] = m[2] * x + m[3] * y;
+				n++;
+			}
+		}
+		job.view = { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 };
+		job.bifurcation = null;
+		job.iterations = iterations;
+		job.pointFunc = function(x, y, i) {
+			if (i >= skip && n < xs.length) {
+				add(x, y);
+			}
+		};
+		renderer = new AttractorCanvas.Renderer(job);
+		status = AttractorCanvas.Engine.runRenderer(renderer, iterations).status;
+		if ('escaped' === status || 'error' === status || 'nan' === status) {
+			return null;
+		}
+		if (!n && renderer.cyclePoints) {
+			// The orbit settled onto a periodic orbit before any points were kept
+			renderer.cyclePoints.forEach(function(point) {
+				add(point.x, point.y);
+			});
+		} else if (!n) {
+			add(renderer.x, renderer.y);
+		}
+		xs = xs.subarray(0, n).sort();
+		ys = ys.subarray(0, n).sort();
+		low = Math.floor(settings.outliers * (n - 1));
+		high = Math.ceil((1 - settings.outliers) * (n - 1));
+		return { xmin: xs[low], xmax: xs[high], ymin: ys[low], ymax: ys[high] };
+	},
+	/**
+	 * Centre the view on a box and zoom so that it fills the image, allowing for the image's aspect ratio.
+	 * If the box has no extent in either direction, only the centre is changed.
+	 * @param bounds The box, as given by scanBounds()
+	 * @param margin Proportion of the image's width or height left clear on each side of the box
+	 * (default that of AttractorCanvas.Engine.fitDefaults)
+	 */
+	fitBounds: function(bounds, margin) {
+		var scale = 1 - 2 * (undefined === margin ? AttractorCanvas.Engine.fitDefaults.margin : margin),
+			zoom = Math.min(scale * this.width / (bounds.xmax - bounds.xmin), scale * this.height / (bounds.ymax - bounds.ymin));
+		this.setCentre((bounds.xmin + bounds.xmax) / 2, (bounds.ymin + bounds.ymax) / 2);
+		if (isFinite(zoom) && zoom > 0) {
+			this.zoom = zoom;
+		}
+		return this;
+	},
+	/**
+	 * Frame the attractor: find its extent by scanBounds() and fit the view to it by fitBounds().
+	 * The view is left as it is if the orbit escaped or could not be iterated.
+	 * @param options Any of iterations, outliers and margin, as for AttractorCanvas.Engine.fitDefaults
+	 * @returns The box fitted, as given by scanBounds(), or null if there was none.
+	 */
+	fitView: function(options) {
+		var bounds = this.scanBounds(options);
+		if (bounds) {
+			this.fitBounds(bounds, AttractorCanvas.Engine.fitSettings(options).margin);
+		}
+		return bounds;
+	},
+	/**
+	 * How the end of an orbit is detected, as for AttractorCanvas.Renderer.defaultDetection.
+	 */
+	getDetection: function() {
+		return {
+			escapeBound: this.detection.escapeBound,
+			eta: this.detection.eta,
+			minIterations: this.detection.minIterations
+		};
+	},
+	/**
+	 * Change how the end of an orbit is detected. Takes effect on the next render.
+	 * @param detection Any of escapeBound, eta and minIterations, as for AttractorCanvas.Renderer.defaultDetection
+	 * @throws Error if escapeBound or eta is not positive, or minIterations is negative or not an integer.
+	 */
+	setDetection: function(detection) {
+		if (undefined !== detection.escapeBound && !(detection.escapeBound > 0)) {
+			throw new Error('The escape bound must be positive');
+		}
+		if (undefined !== detection.eta && !(detection.eta > 0)) {
+			throw new Error('The tolerance for point attractors must be positive');
+		}
+		if (undefined !== detection.minIterations && !(detection.minIterations >= 0 && detection.minIterations % 1 === 0)) {
+			throw new Error('The iterations before looking for point attractors must be a whole number');
+		}
+		[ 'escapeBound', 'eta', 'minIterations' ].forEach(function(key) {
+			if (undefined !== detection[key]) {
+				this.detection[key] = detection[key];
+			}
+		}, this);
+		return this;
+	},
+	/**
+	 * The symmetry group applied to the points plotted: the order of its rotations and whether it has reflections.
+	 */
+	getSymmetry: function() {
+		return { order: this.symmetry.order, reflection: this.symmetry.reflection };
+	},
+	/**
+	 * Apply a cyclic or dihedral symmetry group about the origin to the points plotted. Takes effect on the next render.
+	 * An order of 1 without reflection plots the orbit as it is.
+	 * @param symmetry Any of order and reflection, as for getSymmetry()
+	 * @throws Error if the order is not a whole number from 1 to AttractorCanvas.Renderer.maxSymmetryOrder.
+	 */
+	setSymmetry: function(symmetry) {
+		if (undefined !== symmetry.order &&
+				!(symmetry.order >= 1 && symmetry.order <= AttractorCanvas.Renderer.maxSymmetryOrder && symmetry.order % 1 === 0)) {
+			throw new Error('The order of symmetry must be a whole number from 1 to ' + AttractorCanvas.Renderer.maxSymmetryOrder);
+		}
+		if (undefined !== symmetry.order) {
+			this.symmetry.order = symmetry.order;
+		}
+		if (undefined !== symmetry.reflection) {
+			this.symmetry.reflection = !!symmetry.reflection;
+		}
+		return this;
+	},
+	getIterations: function() {
+		return this.iterations;
+	},
+	setIterations: function(newIterations) {
+		this.iterations = newIterations;
+		return this;
+	},
+	getSystemIndex: function() {
+		return this.currentSystem;
+	},
+	/**
+	 * Select a system, and the view in which it is first shown.
+	 * Any bifurcation diagram is abandoned, since it refers to the previous system's parameters.
+	 */
+	setSystemIndex: function(newSystemIdx) {
+		var view = this.systems[newSystemIdx].view;
+		this.currentSystem = newSystemIdx;
+		this.bifurcation = null;
+		this.zoom = view.zoom;
+		this.setCentre(view.centre[0], view.centre[1]);
+		if (this.isFlow()) {
+			this.timeStep = view.timeStep;
+			this.rotation = { yaw: view.rotation.yaw, pitch: view.rotation.pitch };
+		}
+		return this;
+	},
+	/**
+	 * Select the system with the given identifier, as for setSystemIndex().
+	 * @throws Error if there is no such system.
+	 */
+	setSystemId: function(id) {
+		var systemIndex = this.findSystemIndex(id);
+		if (systemIndex < 0) {
+			throw new Error("Unknown system '" + id + "'");
+		}
+		return this.setSystemIndex(systemIndex);
+	},
+	/**
+	 * @returns The index of the system whose formula the user may edit, or -1 if none is registered.
+	 */
+	getCustomSystemIndex: function() {
+		var i;
+		for (i = 0; i < this.systems.length; i++) {
+			if (this.systems[i].custom) {
+				return i;
+			}
+		}
+		return -1;
+	},
+	isCustomSystem: function() {
+		return this.getSystem().custom;
+	},
+	/**
+	 * Whether the current system is a continuous-time flow rather than a map.
+	 */
+	isFlow: function() {
+		return !!this.getSystem().derivative;
+	},
+	getIntegrator: function() {
+		return this.integrator;
+	},
+	/**
+	 * Choose the method of integrating flows.
+	 * @param id Identifier of one of AttractorCanvas.Flow.integrators
+	 */
+	setIntegrator: function(id) {
+		this.integrator = id;
+		return this;
+	},
+	getTimeStep: function() {
+		return this.timeStep;
+	},
+	/**
+	 * Set the step by which flows are integrated; for adaptive integrators, the largest step.
+	 */
+	setTimeStep: function(newTimeStep) {
+		this.timeStep = newTimeStep;
+		return this;
+	},
+	/**
+	 * The direction from which flows are viewed, as yaw and pitch in radians (see AttractorCanvas.Flow).
+	 */
+	getRotation: function() {
+		return { yaw: this.rotation.yaw, pitch: this.rotation.pitch };
+	},
+	setRotation: function(yaw, pitch) {
+		this.rotation = { yaw: yaw, pitch: pitch };
+		return this;
+	},
+	rotateBy: function(yaw, pitch) {
+		return this.setRotation(this.rotation.yaw + yaw, this.rotation.pitch + pitch);
+	},
+	/**
+	 * The settings of the bifurcation diagram being shown (see setBifurcation()), or null if the attractor is shown.
+	 */
+	getBifurcation: function() {
+		return this.bifurcation && JSON.parse(JSON.stringify(this.bifurcation));
+	},
+	isBifurcation: function() {
+		return !!this.bifurcation;
+	},
+	/**
+	 * Show a bifurcation diagram of the current system instead of its attractor.
+	 * One parameter of the current parameter set is swept across the image from left to right,
+	 * and the orbit for each of its values is plotted vertically in its column.
+	 * @param settings Object with:
+	 * parameter: name of the parameter to vary,
+	 * min, max: its values at the left and right edges of the image,
+	 * coordinate: 'x' or 'y', the co-ordinate of the orbit to plot,
+	 * low, high: its values at the bottom and top edges of the image,
+	 * transient: number of iterations to discard in each column before plotting,
+	 * iterations: number of iterations to plot in each column;
+	 * or null to show the attractor again.
+	 * @throws Error if the settings are not valid for the current system.
+	 */
+	setBifurcation: function(settings) {
+		if (!settings) {
+			this.bifurcation = null;
+			return this;
+		}
+		if (this.isFlow()) {
+			throw new Error('Bifurcation diagrams can only be drawn for iterated maps');
+		}
+		if (!this.getParameterSet().hasOwnProperty(settings.parameter)) {
+			throw new Error("Unknown parameter '" + settings.parameter + "'");
+		}
+		if ('x' !== settings.coordinate && 'y' !== settings.coordinate) {
+			throw new Error("Unknown co-ordinate '" + settings.coordinate + "'");
+		}
+		if (!(settings.min < settings.max) || !(settings.low < settings.high)) {
+			throw new Error('The ranges of a bifurcation diagram must be non-empty');
+		}
+		if (!(settings.transient >= 0) || !(settings.iterations >= 1)) {
+			throw new Error('A bifurcation diagram needs a transient of at least 0 and at least 1 iteration per column');
+		}
+		this.bifurcation = {
+			parameter: settings.parameter,
+			min: +settings.min,
+			max: +settings.max,
+			coordinate: settings.coordinate,
+			low: +settings.low,
+			high: +settings.high,
+			transient: Math.floor(settings.transient),
+			iterations: Math.floor(settings.iterations)
+		};
+		return this;
+	},
+	/**
+	 * Settings for a bifurcation diagram of the given parameter of the current system:
+	 * the parameter's range as registered, against the x co-ordinate over the range shown across the current view.
+	 */
+	defaultBifurcation: function(parameter) {
+		var range = this.getParameters().filter(function(description) {
+			return parameter === description.name;
+		})[0];
+		return {
+			parameter: parameter,
+			min: range.min,
+			max: range.max,
+			coordinate: 'x',
+			low: this.colToX(0),
+			high: this.colToX(this.imageData.width - 1),
+			transient: 500,
+			iterations: 500
+		};
+	},
+	/**
+	 * The value of the parameter varied by the bifurcation diagram at the given column of the image.
+	 */
+	colToParameter: function(c) {
+		var bifurcation = this.bifurcation;
+		return bifurcation.min + (c + 0.5) / this.imageData.width * (bifurcation.max - bifurcation.min);
+	},
+	/**
+	 * The value of the co-ordinate plotted by the bifurcation diagram at the given row of the image.
+	 */
+	rowToValue: function(r) {
+		var bifurcation = this.bifurcation;
+		return bifurcation.high - (r + 0.5) / this.imageData.height * (bifurcation.high - bifurcation.low);
+	},
+	/**
+	 * The stable identifier of the current system, which unlike its index
+	 * does not change when systems are added.
+	 */
+	getSystemId: function() {
+		return this.getSystem().id;
+	},
+	/**
+	 * @returns The index of the system with the given identifier, or -1 if there is none.
+	 */
+	findSystemIndex: function(id) {
+		var i;
+		for (i = 0; i < this.systems.length; i++) {
+			if (id === this.systems[i].id) {
+				return i;
+			}
+		}
+		return -1;
+	},
+	getParameterSetIndex: function() {
+		return this.currentParameterSet;
+	},
+	setParameterSetIndex: function(newParamSetIdx) {
+		this.currentParameterSet = newParamSetIdx;
+		return this;
+	},
+	getSystem: function() {
+		return this.systems[this.currentSystem];
+	},
+	/**
+	 * Descriptions of the current system's parameters, as for AttractorCanvas.registerSystem().
+	 */
+	getParameters: function() {
+		return this.getSystem().parameters;
+	},
+	/**
+	 * The index of the editable Custom parameter set of the given system (default the current one),
+	 * which the registry keeps after the presets.
+	 */
+	getCustomParameterSetIndex: function(systemIndex) {
+		var system = this.systems[undefined === systemIndex ? this.currentSystem : systemIndex];
+		return system.parameterSets.length - 1;
+	},
+	isCustomParameterSet: function() {
+		return this.currentParameterSet === this.getCustomParameterSetIndex();
+	},
+	getParameterSet: function() {
+		return this.systems[this.currentSystem].parameterSets[this.currentParameterSet];
+	},
+	getIterationFunction: function() {
+		return this.systems[this.currentSystem].iterate;
+	},
+	/**
+	 * The current system's iteration function in the language of attractor-expression.js,
+	 * or undefined if it was given directly as a Javascript function.
+	 */
+	getFormula: function() {
+		return this.systems[this.currentSystem].formula;
+	},
+	/**
+	 * Set the Custom system's iteration function to the function given.
+	 * @param func The iteration function to be used.
+	 */
+	setCustomIterationFunction: function(func) {
+		var system = this.systems[this.getCustomSystemIndex()];
+		system.iterate = func;
+		system.jacobian = undefined;
+		system.formula = undefined;
+	},
+	/**
+	 * Compile the given formula (see attractor-expression.js) into the Custom system's iteration function.
+	 * The Custom system is given exactly the formula's parameters, as are each of its parameter sets,
+	 * keeping any existing descriptions and values and starting new parameters at 1.
+	 * @throws AttractorCanvas.Expression.ParseError if the formula is not valid.
+	 */
+	setCustomFormula: function(text) {
+		var compiled = AttractorCanvas.Expression.compileSystem(text),
+			system = this.systems[this.getCustomSystemIndex()];
+		this.setCustomIterationFunction(compiled.iterate);
+		system.formula = compiled.formula;
+		system.parameters = compiled.parameters.map(function(name) {
+			var i;
+			for (i = 0; i < system.parameters.length; i++) {
+				if (name === system.parameters[i].name) {
+					return system.parameters[i];
+				}
+			}
+			return AttractorCanvas.describeParameter({ name: name, default: 1 });
+		});
+		if (this.bifurcation && compiled.parameters.indexOf(this.bifurcation.parameter) < 0) {
+			this.bifurcation = null;
+		}
+		system.parameterSets = system.parameterSets.map(function(parameterSet) {
+			var conformed = {};
+			compiled.parameters.forEach(function(name) {
+				conformed[name] = parameterSet.hasOwnProperty(name) ? parameterSet[name] : 1;
+			});
+			return conformed;
+		});
+		return this;
+	},
+	/**
+	 * Add a parameter set to the current system, just before its Custom parameter set.
+	 * @returns The index of the new parameter set.
+	 */
+	addParameterSet: function(parameterSet) {
+		var parameterSets = this.getSystem().parameterSets,
+			index = this.getCustomParameterSetIndex();
+		parameterSets.splice(index, 0, parameterSet);
+		if (this.currentParameterSet >= index) {
+			// Keep the Custom parameter set selected if it was
+			this.currentParameterSet++;
+		}
+		return index;
+	},
+	/**
+	 * Replace the values of the current system's Custom parameter set, leaving the selected parameter set unchanged.
+	 */
+	setCustomParameterSet: function(parameterSet) {
+		this.getSystem().parameterSets[this.getCustomParameterSetIndex()] = parameterSet;
+		return this;
+	},
+	/**
+	 * Put the given values in the Custom parameter set and select it.
+	 */
+	selectCustomParameterSet: function(parameterSet) {
+		this.setCustomParameterSet(parameterSet);
+		this.currentParameterSet = this.getCustomParameterSetIndex();
+		return this;
+	},
+	colToX: function(c) {
+		return (c + 0.5 - this.imageData.width  / 2) /  this.zoom + this.centreX;
+	},
+	rowToY: function(r) {
+		// Inversion due to the canvas' inverted-Y co-ordinate system.
+		return (r - 0.5 - this.imageData.height / 2) / -this.zoom + this.centreY;
+	},
+	xToCol: function(x) {
+		return Math.round((x - this.centreX) *  this.zoom + this.imageData.width  / 2);
+	},
+	yToRow: function(y) {
+		return Math.round((y - this.centreY) * -this.zoom + this.imageData.height / 2);
+	},
+	getColourFunc: function() {
+		return this.colourModes[this.colourModeIndex].getColour;
+	},
+	getPalette: function() {
+		return this.palette;
+	},
+	/**
+	 * Set the AttractorCanvas.Palette used by the colour modes. Takes effect on the next render.
+	 */
+	setPalette: function(newPalette) {
+		this.palette = newPalette;
+		return this;
+	},
+	getColourModeIndex: function() {
+		return this.colourModeIndex;
+	},
+	setColourModeIndex: function(newColourModeIndex) {
+		this.colourModeIndex = newColourModeIndex;
+		return this;
+	},
+	getExposure: function() {
+		return this.exposure;
+	},
+	/**
+	 * Set the brightness multiplier applied to normalised densities before gamma correction.
+	 * Takes effect on the next call to redraw() or update().
+	 */
+	setExposure: function(newExposure) {
+		this.exposure = newExposure;
+		return this;
+	},
+	getGamma: function() {
+		return this.gamma;
+	},
+	setGamma: function(newGamma) {
+		this.gamma = newGamma;
+		return this;
+	},
+	getLogScale: function() {
+		return this.logScale;
+	},
+	/**
+	 * Choose between logarithmic (true) and linear (false) scaling of hit counts.
+	 */
+	setLogScale: function(newLogScale) {
+		this.logScale = !!newLogScale;
+		return this;
+	},
+	/**
+	 * Allocate a blank image of the current size.
+	 */
+	createImageData: function() {
+		return {
+			width: this.width,
+			height: this.height,
+			data: new Uint8ClampedArray(this.width * this.height * 4)
+		};
+	},
+	/**
+	 * Discard the accumulated histogram and allocate one matching the current image size.
+	 */
+	resetDensity: function() {
+		this.density = AttractorCanvas.Renderer.createDensity(this.imageData.width, this.imageData.height);
+		return this;
+	},
+	toneMap: function() {
+		AttractorCanvas.Renderer.toneMap(this.density, this.imageData.data, this);
+		if (this.cyclePoints) {
+			this.highlightPoints(this.cyclePoints);
+		}
+		this.highlightPoints(this.markedPoints, [ 0, 255, 255 ]);
+		return this;
+	},
+	getMarkedPoints: function() {
+		return this.markedPoints.slice();
+	},
+	/**
+	 * Highlight the given points, as well as any periodic orbit, until they are replaced.
+	 * Takes effect on the next redraw() or render.
+	 * @param points Array of objects with x and y co-ordinates
+	 */
+	setMarkedPoints: function(points) {
+		this.markedPoints = points.slice();
+		return this;
+	},
+	/**
+	 * Mark the given points in the image with small opaque discs, so that they stand out from the attractor.
+	 * @param points Array of objects with x and y co-ordinates
+	 * @param colour Optionally, [ red, green, blue ] of the discs (default red)
+	 */
+	highlightPoints: function(points, colour) {
+		var data = this.imageData.data,
+			width = this.imageData.width,
+			height = this.imageData.height,
+			radius = 3;
+		colour = colour || [ 255, 0, 0 ];
+		points.forEach(function(point) {
+			var c0 = this.xToCol(point.x), r0 = this.yToRow(point.y), c, r, d2, j;
+			for (r = r0 - radius; r <= r0 + radius; r++) {
+				for (c = c0 - radius; c <= c0 + radius; c++) {
+					d2 = (r - r0) * (r - r0) + (c - c0) * (c - c0);
+					if (r < 0 || r >= height || c < 0 || c >= width || d2 > radius * radius) {
+						continue;
+					}
+					// Red unless otherwise given, with a white centre
+					j = 4 * (r * width + c);
+					data[j] = d2 <= 1 ? 255 : colour[0];
+					data[j + 1] = d2 <= 1 ? 255 : colour[1];
+					data[j + 2] = d2 <= 1 ? 255 : colour[2];
+					data[j + 3] = 255;
+				}
+			}
+		}, this);
+		return this;
+	},
+	/**
+	 * Show the image somewhere. Nothing to do for an in-memory image.
+	 */
+	display: function() {
+		return this;
+	},
+	/**
+	 * Re-apply tone-mapping to the existing histogram and display the result,
+	 * without re-running the iteration.
+	 */
+	redraw: function() {
+		if (this.density.width === this.imageData.width && this.density.height === this.imageData.height) {
+			this.toneMap();
+			this.display();
+		}
+		return this;
+	},
+	/**
+	 * Describe the work needed to render the current state, for an AttractorCanvas.Renderer.
+	 */
+	createJob: function() {
+		var sys = this.getSystem();
+		return {
+			iterate: sys.iterate,
+			jacobian: sys.jacobian,
+			derivative: sys.derivative,
+			dimensions: sys.dimensions,
+			integrator: this.integrator,
+			timeStep: this.timeStep,
+			rotation: this.getRotation(),
+			params: this.getParameterSet(),
+			initialValues: sys.initialValues,
+			colourFunc: this.getColourFunc(),
+			colourModeIndex: this.colourModeIndex,
+			palette: this.palette,
+			iterations: this.iterations,
+			bifurcation: this.getBifurcation(),
+			escapeBound: this.detection.escapeBound,
+			eta: this.detection.eta,
+			minIterations: this.detection.minIterations,
+			symmetry: this.getSymmetry(),
+			view: {
+				centreX: this.centreX,
+				centreY: this.centreY,
+				zoom: this.zoom,
+				width: this.width,
+				height: this.height
+			}
+		};
+	},
+	/**
+	 * Render the current state synchronously, leaving the result in this.imageData.
+	 * No events are triggered.
+	 * @returns The outcome, as for AttractorCanvas.Renderer.prototype.getResult(),
+	 * plus the time the render started and the milliseconds it took as started and elapsed.
+	 */
+	render: function() {
+		var renderer = new AttractorCanvas.Renderer(this.createJob()),
+			started = Date.now(),
+			result;
+		this.stop();
+		this.imageData = this.createImageData();
+		this.density = renderer.density;
+		this.cyclePoints = null;
+		result = AttractorCanvas.Engine.runRenderer(renderer, renderer.iterations);
+		this.statistics = renderer.getStatistics();
+		this.cyclePoints = renderer.cyclePoints;
+		this.redraw();
+		result.started = started;
+		result.elapsed = Date.now() - started;
+		return result;
+	},
+	/**
+	 * Start rendering the current state asynchronously,
+	 * triggering renderStart, renderProgress, statistics and renderStop events as it goes.
+	 * If the orbit is that of the latest render, as when only the view or colouring has changed,
+	 * the points of it already computed are replotted and displayed at once, and the render carries on from them.
+	 * @param iterations Optionally, the number of iterations to perform instead of getIterations(),
+	 * e.g. fewer for a quick preview
+	 * @returns A Promise of the outcome, as passed to renderStop (see finishRender()), which is never rejected;
+	 * if the render is stopped or superseded before it ends, the status is 'stopped'.
+	 */
+	update: function(iterations) {
+		var that = this,
+			job = this.createJob(),
+			renderId,
+			promise
+		;
+		if (undefined !== iterations) {
+			job.iterations = iterations;
+		}
+		if (!job.bifurcation) {
+			job.orbitBufferSize = this.orbitBufferSize;
+			job.orbitKey = AttractorCanvas.Renderer.orbitKey(job);
+			if (this.orbit && this.orbit.key === job.orbitKey) {
+				job.replay = this.orbit;
+			}
+		}
+		this.stop();
+		this.setStatistics(this.resetStatistics().statistics);
+		renderId = ++this.renderId;
+		this.renderStarted = Date.now();
+		this.partialResult = { status: 'running', iterations: 0 };
+		promise = new Promise(function(resolve) {
+			that.resolveRender = resolve;
+		});
+		// The following is deferred to give the preceding stop() a chance to take effect.
+		// If this is not done, multiple updates can run in pseudo-parallel, yielding corrupt drawing.
+		// This occurs despite the fact that current Javascript interpreters are single-threaded.
+		AttractorCanvas.defer(function() {
+			var renderer = null;
+			if (renderId !== that.renderId) {
+				return; // Superseded by a later update
+			}
+			that.running = true;
+			// Announced before anything else, so that a stop is never reported for a render that was not started
+			that.trigger(AttractorCanvas.eventNames.renderStart);
+			that.cyclePoints = null;
+			that.imageData = that.createImageData();
+			if (job.replay) {
+				// Show the points already known in the new view straight away
+				renderer = new AttractorCanvas.Renderer(job);
+				that.density = renderer.density;
+				that.redraw();
+			} else {
+				that.resetDensity();
+			}
+			AttractorCanvas.defer(function() {
+				if (renderId !== that.renderId) {
+					return;
+				}
+				that.startRender(job, renderId, renderer);
+			});
+		});
+		return promise;
+	},
+	/**
+	 * Render in small slices, yielding between them so as not to monopolise the thread.
+	 * @param renderer Optionally, the renderer for the job if one has already been made, e.g. to replay its orbit
+	 */
+	startRender: function(job, renderId, renderer) {
+		var that = this,
+			// Time at which the histogram was last tone-mapped
+			lastDrawn = 0;
+		renderer = renderer || new AttractorCanvas.Renderer(job);
+		this.density = renderer.density;
+		this.orbit = renderer.orbit;
+		function updateFunc() {
+			var result;
+			if (renderId !== that.renderId) {
+				return; // Superseded; the superseding update has already reported the stop
+			}
+			result = AttractorCanvas.Engine.runRenderer(renderer, Math.min(that.iterations, 1000));
+			that.partialResult = result;
+			if ('running' !== result.status) {
+				that.setStatistics(renderer.getStatistics());
+				that.finishRender(result);
+				return;
+			}
+			// Tone-mapping the whole image is costly, so only refresh it every so often
+			if (Date.now() - lastDrawn > 100) {
+				that.redraw();
+				that.setStatistics(renderer.getStatistics());
+				lastDrawn = Date.now();
+			}
+			that.trigger(AttractorCanvas.eventNames.renderProgress, renderer.getProgress());
+			AttractorCanvas.defer(updateFunc);
+		}
+		updateFunc();
+	},
+	/**
+	 * Display the final image, highlighting the periodic orbit if one was found, and report how the render ended.
+	 * The renderStop event is passed, and the promise returned by update() resolved with, the outcome:
+	 * as for AttractorCanvas.Renderer.prototype.getResult() (but with only the status and iterations done
+	 * if the render was stopped), plus message, a description of any exception that ended the render,
+	 * and the time the render was started and the milliseconds since then, as started and elapsed.
+	 * An iterFuncRuntimeError event follows if the iteration function failed at a known point.
+	 * @param result The outcome, as for getResult()
+	 */
+	finishRender: function(result) {
+		var outcome = {}, resolve = this.resolveRender, key;
+		for (key in result) {
+			if (result.hasOwnProperty(key)) {
+				outcome[key] = result[key];
+			}
+		}
+		outcome.started = this.renderStarted;
+		outcome.elapsed = Date.now() - this.renderStarted;
+		this.running = false;
+		this.resolveRender = null;
+		if (result.cyclePoints) {
+			this.cyclePoints = result.cyclePoints;
+		}
+		this.redraw();
+		this.trigger(AttractorCanvas.eventNames.renderStop, outcome);
+		if (result.errorPoint) {
+			this.trigger(AttractorCanvas.eventNames.iterFuncRuntimeError, result.errorPoint);
+		}
+		if (resolve) {
+			resolve(outcome);
+		}
+	},
+	/**
+	 * Describe the current state in a form that can be serialised as JSON, e.g. for use in a permalink.
+	 * The parameter values are always included so that the state survives changes to the presets,
+	 * as is the formula of the Custom system if it is selected.
+	 * The state is a copy, which later changes to the engine, e.g. edits of the Custom parameter set, leave as it is.
+	 */
+	toJSON: function() {
+		var state = {
+			system: this.getSystemId(),
+			parameterSet: this.currentParameterSet,
+			parameters: JSON.parse(JSON.stringify(this.getParameterSet())),
+			centre: this.getCentre(),
+			zoom: this.zoom,
+			iterations: this.iterations,
+			colourMode: this.colourModes[this.colourModeIndex].id,
+			palette: this.palette.toJSON(),
+			exposure: this.exposure,
+			gamma: this.gamma,
+			logScale: this.logScale,
+			symmetry: this.getSymmetry(),
+			width: this.width,
+			height: this.height
+		};
+		if (this.isCustomSystem() && undefined !== this.getFormula()) {
+			state.formula = this.getFormula();
+		}
+		if (this.isFlow()) {
+			state.integrator = this.integrator;
+			state.timeStep = this.timeStep;
+			state.rotation = [ this.rotation.yaw, this.rotation.pitch ];
+		}
+		if (this.bifurcation) {
+			state.bifurcation = this.getBifurcation();
+		}
+		return state;
+	},
+	/**
+	 * Restore a state described by toJSON(). Properties missing from the state are left unchanged.
+	 * If the parameter values differ from those of the preset they claim to be,
+	 * they are placed in the Custom parameter set, which is then selected.
+	 * A state with a system shows its attractor unless it also has a bifurcation diagram.
+	 * @throws Error if the state refers to an unknown system, colour mode or integrator,
+	 * or has an invalid formula, palette, bifurcation diagram or symmetry.
+	 */
+	fromJSON: function(state) {
+		var parameterSets, preset, i;
+		if (undefined !== state.system) {
+			this.setSystemId(state.system);
+			this.currentParameterSet = 0;
+		}
+		if (undefined !== state.integrator) {
+			if (!AttractorCanvas.Flow.findIntegrator(state.integrator)) {
+				throw new Error("Unknown integrator '" + state.integrator + "'");
+			}
+			this.integrator = state.integrator;
+		}
+		if (undefined !== state.rotation) {
+			this.setRotation(state.rotation[0], state.rotation[1]);
+		}
+		if (undefined !== state.formula && this.isCustomSystem()) {
+			this.setCustomFormula(state.formula);
+		}
+		parameterSets = this.getSystem().parameterSets;
+		if (undefined !== state.parameterSet) {
+			this.currentParameterSet = Math.max(0, Math.min(this.getCustomParameterSetIndex(), state.parameterSet));
+		}
+		if (undefined !== state.parameters) {
+			preset = parameterSets[this.currentParameterSet];
+			if (this.isCustomParameterSet() || JSON.stringify(preset) !== JSON.stringify(state.parameters)) {
+				// A copy, so that editing the Custom parameter set leaves the state as it is
+				this.selectCustomParameterSet(JSON.parse(JSON.stringify(state.parameters)));
+			}
+		}
+		if (undefined !== state.bifurcation) {
+			this.setBifurcation(state.bifurcation);
+		}
+		if (undefined !== state.centre) {
+			this.setCentre(state.centre[0], state.centre[1]);
+		}
+		if (undefined !== state.colourMode) {
+			for (i = 0; i < this.colourModes.length && state.colourMode !== this.colourModes[i].id; i++) {
+				// NOP
+			}
+			if (i === this.colourModes.length) {
+				throw new Error("Unknown colour mode '" + state.colourMode + "'");
+			}
+			this.colourModeIndex = i;
+		}
+		if (undefined !== state.palette) {
+			this.palette = new AttractorCanvas.Palette(state.palette);
+		}
+		if (undefined !== state.symmetry) {
+			this.setSymmetry(state.symmetry);
+		}
+		if (undefined !== state.width && undefined !== state.height) {
+			this.setSize(state.width, state.height);
+		}
+		[ 'zoom', 'iterations', 'exposure', 'gamma', 'logScale', 'timeStep' ].forEach(function(key) {
+			if (undefined !== state[key]) {
+				this[key] = state[key];
+			}
+		}, this);
+		return this;
+	},
+	resetStatistics: function() {
+		this.statistics = {
+			lyapunovExponents: [ 0, 0 ],
+			kaplanYorkeDimension: NaN,
+			correlationDimension: NaN
+		};
+		return this;
+	},
+	/**
+	 * Record the latest estimates of the attractor's properties, triggering a statistics event.
+	 */
+	setStatistics: function(statistics) {
+		this.statistics = statistics;
+		this.trigger(AttractorCanvas.eventNames.statistics, statistics);
+		return this;
+	},
+	/**
+	 * Estimates of the attractor's properties from the latest render, as for AttractorCanvas.Renderer.getStatistics().
+	 */
+	getStatistics: function() {
+		return this.statistics;
+	},
+	/**
+	 * The largest Lyapunov exponent.
+	 */
+	getLyapunovExponent: function() {
+		return this.statistics.lyapunovExponents[0];
+	}
+};
+AttractorCanvas.Engine.prototype.zoomInBy = AttractorCanvas.Engine.prototype.zoomBy;
+
+/**
+ * How AttractorCanvas.Engine.prototype.fitView() frames an attractor:
+ * iterations: number of iterations of the orbit scanned for its extent,
+ * outliers: proportion of the points scanned, at each end of each co-ordinate's range, left out of the box,
+ * margin: proportion of the image's width or height left clear on each side of the box.
+ */
+AttractorCanvas.Engine.fitDefaults = {
+	iterations: 20000,
+	outliers: 0.005,
+	margin: 0.05
+};
+
+/**
+ * Fill in the settings missing from options given to fitView() with the defaults.
+ */
+AttractorCanvas.Engine.fitSettings = function(options) {
+	var settings = {}, key;
+	for (key in AttractorCanvas.Engine.fitDefaults) {
+		settings[key] = options && undefined !== options[key] ? options[key] : AttractorCanvas.Engine.fitDefaults[key];
+	}
+	return settings;
+};
+
+/**
+ * Run a renderer for up to the given number of iterations, turning any exception it throws,
+ * such as from a Jacobian given by the system, into an outcome with the status 'error'.
+ * @returns The outcome, as for AttractorCanvas.Renderer.prototype.getResult()
+ */
+AttractorCanvas.Engine.runRenderer = function(renderer, count) {
+	var result;
+	try {
+		renderer.run(count);
+	} catch (e) {
+		renderer.status = 'error';
+		result = renderer.getResult();
+		result.message = '' + e;
+		return result;
+	}
+	return renderer.getResult();
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+	require('./attractor-palette.js');
+	require('./attractor-flow.js');
+	require('./attractor-expression.js');
+	require('./attractor-systems.js');
+	require('./attractor-search.js');
+	require('./attractor-parametermap.js');
+	require('./attractor-export.js');
+	require('./attractor-animation.js');
+	require('./attractor-library.js');
+	require('./attractor-history.js');
+	require('./attractor-gallery.js');
+	require('./attractor-analysis.js');
+}
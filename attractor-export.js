@@ -0,0 +1,392 @@
+/**
+ * Export of attractors at arbitrary resolution, of the raw data behind them, and of animations.
+ *
+ * Images larger than can comfortably be held as a histogram are rendered in tiles,
+ * each tile iterating the whole orbit but accumulating only the points that fall within it.
+ * Since tone-mapping normalises against the busiest pixel of the whole image,
+ * every tile is rendered twice: once to find that pixel, and again to produce the image.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+AttractorCanvas.Export = {
+	/**
+	 * The view that frames the same area as the engine's current one in an image of a different size.
+	 * If the aspect ratio differs, the whole of the current view is included and more is shown on the longer side.
+	 */
+	scaleView: function(engine, width, height) {
+		var scale = Math.min(width / engine.getWidth(), height / engine.getHeight());
+		return {
+			centreX: engine.getCentre()[0],
+			centreY: engine.getCentre()[1],
+			zoom: engine.getZoom() * scale,
+			width: width,
+			height: height
+		};
+	},
+	/**
+	 * Job that iterates the engine's orbit without plotting it, calling the given function with each point.
+	 */
+	createOrbitJob: function(engine, pointFunc) {
+		var job = engine.createJob();
+		job.view = { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 };
+		job.pointFunc = pointFunc;
+		// The orbit of the attractor itself, even when a bifurcation diagram is shown
+		job.bifurcation = null;
+		return job;
+	},
+	/**
+	 * Iterate the engine's orbit without plotting it, calling the given function with each point.
+	 * @returns The outcome, as for AttractorCanvas.Engine.runRenderer()
+	 * @throws Error if the system's iteration function or Jacobian threw, describing where.
+	 */
+	runOrbit: function(engine, pointFunc) {
+		var outcome = AttractorCanvas.Engine.runRenderer(new AttractorCanvas.Renderer(this.createOrbitJob(engine, pointFunc)), engine.getIterations());
+		if ('error' === outcome.status) {
+			throw new Error(outcome.errorPoint ?
+				'The iteration failed at (' + outcome.errorPoint.x + ', ' + outcome.errorPoint.y + '): ' + outcome.errorPoint.exception :
+				outcome.message);
+		}
+		return outcome;
+	},
+	/**
+	 * The engine's orbit as CSV with a header line and one line of x, y and iteration number per point.
+	 * @returns An array of strings to be concatenated (e.g. by a Blob), since the whole may be too long for one string.
+	 * @throws Error as for runOrbit().
+	 */
+	orbitCSV: function(engine) {
+		var chunks = [ 'x,y,iteration\n' ], lines = [];
+		this.runOrbit(engine, function(x, y, i) {
+			lines.push(x + ',' + y + ',' + i);
+			if (lines.length === 10000) {
+				chunks.push(lines.join('\n') + '\n');
+				lines = [];
+			}
+		});
+		if (lines.length) {
+			chunks.push(lines.join('\n') + '\n');
+		}
+		return chunks;
+	},
+	/**
+	 * The engine's orbit as consecutive triples of x, y and iteration number in single precision,
+	 * in the platform's byte order (little-endian on all common platforms).
+	 * @throws Error as for runOrbit().
+	 */
+	orbitFloat32: function(engine) {
+		var points = new Float32Array(3 * engine.getIterations()), n = 0;
+		this.runOrbit(engine, function(x, y, i) {
+			points[n++] = x;
+			points[n++] = y;
+			points[n++] = i;
+		});
+		// The orbit may have ended early by escaping or reaching a fixed point
+		return points.subarray(0, n);
+	},
+	/**
+	 * The hit counts of a histogram as CSV, one line per row of pixels from top to bottom.
+	 * @returns An array of strings to be concatenated.
+	 */
+	densityCSV: function(density) {
+		var chunks = [], r;
+		for (r = 0; r < density.height; r++) {
+			chunks.push(Array.prototype.join.call(density.counts.subarray(r * density.width, (r + 1) * density.width), ',') + '\n');
+		}
+		return chunks;
+	},
+	/**
+	 * The hit counts of a histogram as unsigned 32-bit integers, row by row from the top,
+	 * in the platform's byte order.
+	 */
+	densityUint32: function(density) {
+		return density.counts.slice();
+	},
+	/**
+	 * CRC-32 (as used by PNG and ZIP) of part of a byte array.
+	 * @param bytes Uint8Array
+	 * @param start, end Range of bytes to include (default all of them)
+	 */
+	crc32: function(bytes, start, end) {
+		var table = AttractorCanvas.Export.crcTable, crc = 0xFFFFFFFF, i, j, c;
+		if (!table) {
+			table = AttractorCanvas.Export.crcTable = new Uint32Array(256);
+			for (i = 0; i < 256; i++) {
+				for (c = i, j = 0; j < 8; j++) {
+					c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+				}
+				table[i] = c;
+			}
+		}
+		start = start || 0;
+		end = undefined === end ? bytes.length : end;
+		for (i = start; i < end; i++) {
+			crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+		}
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	},
+	/**
+	 * An uncompressed ZIP archive of the given files.
+	 * Suitable for files that are already compressed, such as PNGs.
+	 * @param files Array of objects with the name and data (Uint8Array) of each file
+	 * @returns An array of Uint8Arrays to be concatenated.
+	 */
+	zip: function(files) {
+		var parts = [], central = [], offset = 0, centralSize = 0, end, view,
+			// Timestamp of midnight on 1 January 1980, the earliest MS-DOS can represent, so that archives are reproducible
+			dosTime = 0, dosDate = (1 << 5) | 1;
+		function header(signature, file, crc, nameBytes, isCentral) {
+			var bytes = new Uint8Array((isCentral ? 46 : 30) + nameBytes.length),
+				view = new DataView(bytes.buffer),
+				p = 0;
+			view.setUint32(p, signature, true);
+			p += 4;
+			if (isCentral) {
+				view.setUint16(p, 20, true); // Version made by
+				p += 2;
+			}
+			view.setUint16(p, 20, true); // Version needed to extract
+			view.setUint16(p + 2, 0x0800, true); // Flags: name is UTF-8
+			view.setUint16(p + 4, 0, true); // Stored, i.e. not compressed
+			view.setUint16(p + 6, dosTime, true);
+			view.setUint16(p + 8, dosDate, true);
+			view.setUint32(p + 10, crc, true);
+			view.setUint32(p + 14, file.data.length, true);
+			view.setUint32(p + 18, file.data.length, true);
+			view.setUint16(p + 22, nameBytes.length, true);
+			view.setUint16(p + 24, 0, true); // Extra field length
+			p += 26;
+			if (isCentral) {
+				// Comment length, disk number and attributes (all zero), then offset of the local header
+				view.setUint32(p + 10, offset, true);
+				p += 14;
+			}
+			bytes.set(nameBytes, p);
+			return bytes;
+		}
+		files.forEach(function(file) {
+			var nameBytes = AttractorCanvas.Export.utf8(file.name),
+				crc = AttractorCanvas.Export.crc32(file.data),
+				local = header(0x04034B50, file, crc, nameBytes, false),
+				entry = header(0x02014B50, file, crc, nameBytes, true);
+			parts.push(local, file.data);
+			central.push(entry);
+			centralSize += entry.length;
+			offset += local.length + file.data.length;
+		});
+		end = new Uint8Array(22);
+		view = new DataView(end.buffer);
+		view.setUint32(0, 0x06054B50, true);
+		view.setUint16(8, files.length, true);
+		view.setUint16(10, files.length, true);
+		view.setUint32(12, centralSize, true);
+		view.setUint32(16, offset, true);
+		return parts.concat(central, [ end ]);
+	},
+	/**
+	 * UTF-8 encoding of a string.
+	 */
+	utf8: function(text) {
+		var binary = unescape(encodeURIComponent(text)), bytes = new Uint8Array(binary.length), i;
+		for (i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+		return bytes;
+	},
+	/**
+	 * Split a PNG file into its chunks.
+	 * @param png Uint8Array holding the file
+	 * @returns Array of objects with the type (e.g. 'IDAT') and data (Uint8Array) of each chunk
+	 * @throws Error if the file is not a PNG.
+	 */
+	pngChunks: function(png) {
+		var view = new DataView(png.buffer, png.byteOffset, png.length),
+			signature = [ 137, 80, 78, 71, 13, 10, 26, 10 ],
+			chunks = [], p, length, i;
+		for (i = 0; i < signature.length; i++) {
+			if (png[i] !== signature[i]) {
+				throw new Error('Not a PNG file');
+			}
+		}
+		for (p = 8; p + 12 <= png.length; p += 12 + length) {
+			length = view.getUint32(p);
+			chunks.push({
+				type: String.fromCharCode(png[p + 4], png[p + 5], png[p + 6], png[p + 7]),
+				data: png.subarray(p + 8, p + 8 + length)
+			});
+		}
+		return chunks;
+	},
+	/**
+	 * A PNG chunk of the given type and data, with its length and CRC.
+	 */
+	pngChunk: function(type, data) {
+		var bytes = new Uint8Array(12 + data.length), view = new DataView(bytes.buffer), i;
+		view.setUint32(0, data.length);
+		for (i = 0; i < 4; i++) {
+			bytes[4 + i] = type.charCodeAt(i);
+		}
+		bytes.set(data, 8);
+		view.setUint32(8 + data.length, AttractorCanvas.Export.crc32(bytes, 4, 8 + data.length));
+		return bytes;
+	},
+	/**
+	 * Assemble an animated PNG (APNG) from PNG files of the same size, one per frame.
+	 * The frames' compressed image data is reused as it is, so no re-encoding is needed.
+	 * @param pngs Array of Uint8Arrays, each holding a PNG file
+	 * @param delay Time for which each frame is shown, in milliseconds
+	 * @param plays Number of times to play the animation, or 0 to repeat it indefinitely (default 0)
+	 * @returns An array of Uint8Arrays to be concatenated.
+	 * @throws Error if the frames are not PNGs or differ in size.
+	 */
+	apng: function(pngs, delay, plays) {
+		var Export = AttractorCanvas.Export,
+			parts = [ new Uint8Array([ 137, 80, 78, 71, 13, 10, 26, 10 ]) ],
+			sequence = 0, ihdr, width, height;
+		function uint32s(values) {
+			var bytes = new Uint8Array(4 * values.length), view = new DataView(bytes.buffer), i;
+			for (i = 0; i < values.length; i++) {
+				view.setUint32(4 * i, values[i]);
+			}
+			return bytes;
+		}
+		pngs.forEach(function(png, n) {
+			var chunks = Export.pngChunks(png),
+				header = chunks[0].data,
+				control = new Uint8Array(26),
+				view = new DataView(control.buffer);
+			if ('IHDR' !== chunks[0].type) {
+				throw new Error('Frame ' + n + ' has no header');
+			}
+			if (0 === n) {
+				ihdr = header;
+				width = new DataView(header.buffer, header.byteOffset).getUint32(0);
+				height = new DataView(header.buffer, header.byteOffset).getUint32(4);
+				parts.push(Export.pngChunk('IHDR', ihdr));
+				parts.push(Export.pngChunk('acTL', uint32s([ pngs.length, plays || 0 ])));
+			} else if (Export.crc32(header) !== Export.crc32(ihdr)) {
+				throw new Error('Frame ' + n + ' differs in size or format from the first');
+			}
+			// Frame control: sequence number, size, offset, delay as a fraction of a second, disposal and blending
+			view.setUint32(0, sequence++);
+			view.setUint32(4, width);
+			view.setUint32(8, height);
+			view.setUint16(20, Math.round(delay));
+			view.setUint16(22, 1000);
+			parts.push(Export.pngChunk('fcTL', control));
+			chunks.forEach(function(chunk) {
+				var frameData;
+				if ('IDAT' !== chunk.type) {
+					return;
+				}
+				if (0 === n) {
+					// The first frame doubles as the still image shown by viewers that do not support APNG
+					parts.push(Export.pngChunk('IDAT', chunk.data));
+				} else {
+					frameData = new Uint8Array(4 + chunk.data.length);
+					new DataView(frameData.buffer).setUint32(0, sequence++);
+					frameData.set(chunk.data, 4);
+					parts.push(Export.pngChunk('fdAT', frameData));
+				}
+			});
+		});
+		parts.push(Export.pngChunk('IEND', new Uint8Array(0)));
+		return parts;
+	}
+};
+
+/**
+ * Renders the engine's current state at the given size, a tile at a time.
+ * @param engine AttractorCanvas.Engine whose system, parameters, framing, colouring and tone-mapping are used
+ * @param width, height Size of the image in pixels
+ * @param tileSize Maximum width and height of each tile (default 1024)
+ * @returns {AttractorCanvas.Export.TiledRender} The new instance
+ */
+AttractorCanvas.Export.TiledRender = function(engine, width, height, tileSize) {
+	var left, top;
+	tileSize = tileSize || 1024;
+	this.job = engine.createJob();
+	this.job.view = AttractorCanvas.Export.scaleView(engine, width, height);
+	this.toneMapping = {
+		exposure: engine.getExposure(),
+		gamma: engine.getGamma(),
+		logScale: engine.getLogScale(),
+		maxCount: 0
+	};
+	this.tiles = [];
+	for (top = 0; top < height; top += tileSize) {
+		for (left = 0; left < width; left += tileSize) {
+			this.tiles.push({ left: left, top: top, width: Math.min(tileSize, width - left), height: Math.min(tileSize, height - top) });
+		}
+	}
+	this.cancelled = false;
+};
+AttractorCanvas.Export.TiledRender.prototype = {
+	renderTile: function(tile) {
+		var job = Object.create(this.job), renderer;
+		job.clip = tile;
+		renderer = new AttractorCanvas.Renderer(job);
+		renderer.run(job.iterations);
+		return renderer;
+	},
+	/**
+	 * Render the tiles asynchronously.
+	 * @param callbacks Object with any of the functions:
+	 * tile(tile, data): called with the left, top, width and height of each finished tile and its RGBA pixels,
+	 * progress(proportionDone),
+	 * done(): called when all tiles have been passed to tile(),
+	 * failed(exception): called if rendering fails, e.g. because the iteration function threw.
+	 */
+	start: function(callbacks) {
+		var that = this, step = 0, n = this.tiles.length;
+		function nextStep() {
+			var tile, renderer, data;
+			if (that.cancelled) {
+				return;
+			}
+			try {
+				if (step < n) {
+					// First pass: find the busiest pixel
+					renderer = that.renderTile(that.tiles[step]);
+					that.toneMapping.maxCount = Math.max(that.toneMapping.maxCount, renderer.density.maxCount);
+				} else {
+					// Second pass: render each tile, tone-mapped against the whole image
+					tile = that.tiles[step - n];
+					renderer = that.renderTile(tile);
+					data = new Uint8ClampedArray(tile.width * tile.height * 4);
+					AttractorCanvas.Renderer.toneMap(renderer.density, data, that.toneMapping);
+					if (callbacks.tile) {
+						callbacks.tile(tile, data);
+					}
+				}
+			} catch (e) {
+				if (callbacks.failed) {
+					callbacks.failed(e);
+				}
+				return;
+			}
+			step++;
+			if (callbacks.progress) {
+				callbacks.progress(step / (2 * n));
+			}
+			if (step < 2 * n) {
+				AttractorCanvas.defer(nextStep);
+			} else if (callbacks.done) {
+				callbacks.done();
+			}
+		}
+		AttractorCanvas.defer(nextStep);
+		return this;
+	},
+	cancel: function() {
+		this.cancelled = true;
+		return this;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,497 @@
+/**
+ * A small, safe language for writing iteration functions and parameter sets,
+ * so that user-supplied text never needs to be passed to eval().
+ *
+ * A system is written as one statement per line (or separated by semicolons), e.g.
+ *   x' = sin(a*y) - cos(b*x)
+ *   y' = sin(c*x) - cos(d*y)
+ * Statements assigning to x' and y' give the next point; both use the current x and y.
+ * Statements assigning to a plain name define an intermediate value for use in later statements:
+ *   u = (1 + eta)*y + h*x*(x - 1) + mu*x*y
+ *   x' = x + u
+ *   y' = u
+ * Any other free identifier is a parameter, taken from the parameter set.
+ * Names that every Javascript object has, such as constructor and __proto__, are reserved.
+ * Operators are + - * / % and ^ (or **) for powers; comments start with # or //.
+ *
+ * A parameter set is written as a list of name: value or name = value entries,
+ * optionally enclosed in braces and with quoted names, so that JSON is also accepted.
+ * Values may be constant expressions such as -pi/4.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+AttractorCanvas.Expression = (function() {
+	var functions = {
+			sin: 1, cos: 1, tan: 1, asin: 1, acos: 1, atan: 1, atan2: 2,
+			sinh: 1, cosh: 1, tanh: 1, asinh: 1, acosh: 1, atanh: 1,
+			exp: 1, log: 1, sqrt: 1, cbrt: 1, abs: 1, sign: 1,
+			floor: 1, ceil: 1, round: 1, min: 2, max: 2, pow: 2, hypot: 2,
+			// Modulo that, unlike %, has the sign of the divisor
+			mod: 2
+		},
+		constants = {
+			pi: Math.PI,
+			e: Math.E
+		},
+		stateVariables = [ 'x', 'y' ],
+		// Source of helpers not provided by Math, for inclusion in compiled functions
+		helpers = 'function mod(a, b) { return a - b * Math.floor(a / b); }\n';
+
+	/**
+	 * Error thrown when text cannot be parsed or compiled.
+	 * @param message Description of the problem
+	 * @param text The complete text being parsed
+	 * @param position Offset in the text at which the problem was found
+	 */
+	function ParseError(message, text, position) {
+		var before = text.substring(0, position),
+			lineStart = before.lastIndexOf('\n') + 1,
+			lineEnd = text.indexOf('\n', position);
+		this.message = message;
+		this.text = text;
+		this.position = position;
+		this.line = before.split('\n').length;
+		this.column = position - lineStart + 1;
+		this.sourceLine = text.substring(lineStart, lineEnd < 0 ? text.length : lineEnd);
+	}
+	ParseError.prototype = Object.create(Error.prototype);
+	ParseError.prototype.constructor = ParseError;
+	ParseError.prototype.name = 'ParseError';
+	ParseError.prototype.toString = function() {
+		return this.message + ' at line ' + this.line + ', column ' + this.column;
+	};
+	/**
+	 * The offending line, followed by a line with a caret beneath the position of the error.
+	 */
+	ParseError.prototype.getContext = function() {
+		return this.sourceLine + '\n' + new Array(this.column).join(' ') + '^';
+	};
+
+	/**
+	 * Split text into tokens, each having a type ('number', 'ident', 'string', 'op', 'newline' or 'end'),
+	 * a value and a position.
+	 * Newlines inside parentheses or following an operator are treated as whitespace,
+	 * so that long expressions may be continued on the next line.
+	 */
+	function tokenise(text) {
+		var tokens = [], pos = 0, depth = 0, match, ch, last,
+			numberPattern = /^(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?/,
+			identPattern = /^[A-Za-z_][A-Za-z0-9_]*/,
+			stringPattern = /^"([^"\\\n]*)"|^'([^'\\\n]*)'/;
+		function push(type, value, length) {
+			tokens.push({ type: type, value: value, pos: pos });
+			pos += length;
+		}
+		while (pos < text.length) {
+			ch = text.charAt(pos);
+			last = tokens[tokens.length - 1];
+			if ('\n' === ch || ';' === ch) {
+				if (depth || !last || 'newline' === last.type || ('op' === last.type && ')' !== last.value && "'" !== last.value && '}' !== last.value)) {
+					pos++;
+				} else {
+					push('newline', ch, 1);
+				}
+			} else if (/\s/.test(ch)) {
+				pos++;
+			} else if ('#' === ch || '//' === text.substr(pos, 2)) {
+				while (pos < text.length && '\n' !== text.charAt(pos)) {
+					pos++;
+				}
+			} else if ((match = numberPattern.exec(text.substring(pos)))) {
+				push('number', parseFloat(match[0]), match[0].length);
+			} else if ((match = identPattern.exec(text.substring(pos)))) {
+				push('ident', match[0], match[0].length);
+			} else if ('**' === text.substr(pos, 2)) {
+				push('op', '^', 2);
+			} else if ("'" === ch && last && 'ident' === last.type && last.pos + last.value.length === pos) {
+				// A prime immediately following a name, as in x'
+				push('op', "'", 1);
+			} else if ((match = stringPattern.exec(text.substring(pos)))) {
+				push('string', undefined === match[1] ? match[2] : match[1], match[0].length);
+			} else if ('+-*/%^(),=:{}'.indexOf(ch) >= 0) {
+				if ('(' === ch) {
+					depth++;
+				} else if (')' === ch) {
+					depth = Math.max(0, depth - 1);
+				}
+				push('op', ch, 1);
+			} else {
+				throw new ParseError("Unexpected character '" + ch + "'", text, pos);
+			}
+		}
+		tokens.push({ type: 'end', value: undefined, pos: text.length });
+		return tokens;
+	}
+
+	/**
+	 * Recursive-descent parser over the tokens of the given text.
+	 */
+	function Parser(text) {
+		this.text = text;
+		this.tokens = tokenise(text);
+		this.index = 0;
+	}
+	Parser.prototype = {
+		peek: function() {
+			return this.tokens[this.index];
+		},
+		next: function() {
+			return this.tokens[this.index++];
+		},
+		error: function(message, token) {
+			return new ParseError(message, this.text, (token || this.peek()).pos);
+		},
+		/**
+		 * Reject a name that cannot safely be used as a key, since every object already has a property of that name.
+		 * @throws ParseError at the token if it is such a name.
+		 */
+		checkName: function(token) {
+			if (token.value in Object.prototype) {
+				throw this.error("'" + token.value + "' is a reserved name", token);
+			}
+		},
+		isOp: function(value) {
+			var token = this.peek();
+			return 'op' === token.type && value === token.value;
+		},
+		expectOp: function(value) {
+			if (!this.isOp(value)) {
+				throw this.error("Expected '" + value + "'" + this.describeFound());
+			}
+			return this.next();
+		},
+		describeFound: function() {
+			var token = this.peek();
+			switch (token.type) {
+			case 'end':
+				return ' but found the end of the text';
+			case 'newline':
+				return ' but found the end of the line';
+			default:
+				return " but found '" + token.value + "'";
+			}
+		},
+		/**
+		 * expression := term (('+' | '-') term)*
+		 */
+		parseExpression: function() {
+			var node = this.parseTerm(), op;
+			while (this.isOp('+') || this.isOp('-')) {
+				op = this.next();
+				node = { type: 'binary', op: op.value, left: node, right: this.parseTerm(), pos: op.pos };
+			}
+			return node;
+		},
+		/**
+		 * term := unary (('*' | '/' | '%') unary)*
+		 */
+		parseTerm: function() {
+			var node = this.parseUnary(), op;
+			while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+				op = this.next();
+				node = { type: 'binary', op: op.value, left: node, right: this.parseUnary(), pos: op.pos };
+			}
+			return node;
+		},
+		/**
+		 * unary := ('-' | '+') unary | power
+		 */
+		parseUnary: function() {
+			var op;
+			if (this.isOp('-') || this.isOp('+')) {
+				op = this.next();
+				return { type: 'unary', op: op.value, arg: this.parseUnary(), pos: op.pos };
+			}
+			return this.parsePower();
+		},
+		/**
+		 * power := primary ('^' unary)?
+		 * This is right-associative and binds more tightly than unary minus, so -x^2 is -(x^2).
+		 */
+		parsePower: function() {
+			var node = this.parsePrimary(), op;
+			if (this.isOp('^')) {
+				op = this.next();
+				node = { type: 'binary', op: '^', left: node, right: this.parseUnary(), pos: op.pos };
+			}
+			return node;
+		},
+		/**
+		 * primary := number | name | name '(' arguments ')' | '(' expression ')'
+		 */
+		parsePrimary: function() {
+			var token = this.peek(), node, args;
+			if ('number' === token.type) {
+				this.next();
+				return { type: 'number', value: token.value, pos: token.pos };
+			}
+			if ('ident' === token.type) {
+				this.next();
+				if (!this.isOp('(')) {
+					if (functions.hasOwnProperty(token.value)) {
+						throw this.error("Function '" + token.value + "' must be followed by its arguments in parentheses");
+					}
+					this.checkName(token);
+					return { type: 'name', name: token.value, pos: token.pos };
+				}
+				if (!functions.hasOwnProperty(token.value)) {
+					throw this.error("Unknown function '" + token.value + "'", token);
+				}
+				this.next();
+				args = [ this.parseExpression() ];
+				while (this.isOp(',')) {
+					this.next();
+					args.push(this.parseExpression());
+				}
+				this.expectOp(')');
+				if (args.length !== functions[token.value]) {
+					throw this.error("Function '" + token.value + "' takes " + functions[token.value] + ' argument(s), not ' + args.length, token);
+				}
+				return { type: 'call', name: token.value, args: args, pos: token.pos };
+			}
+			if (this.isOp('(')) {
+				this.next();
+				node = this.parseExpression();
+				this.expectOp(')');
+				return node;
+			}
+			throw this.error('Expected a number, name or parenthesised expression' + this.describeFound());
+		},
+		/**
+		 * Consume the separator at the end of a statement or entry, if any.
+		 * @returns false if there was none.
+		 */
+		skipSeparator: function() {
+			if ('newline' === this.peek().type || this.isOp(',')) {
+				this.next();
+				return true;
+			}
+			return false;
+		}
+	};
+
+	/**
+	 * Translate an expression tree into Javascript source.
+	 * @param names Maps each name used to the Javascript that gives its value
+	 */
+	function generate(node, names) {
+		switch (node.type) {
+		case 'number':
+			return '' + node.value;
+		case 'name':
+			return names[node.name];
+		case 'unary':
+			return '(' + node.op + generate(node.arg, names) + ')';
+		case 'call':
+			return ('mod' === node.name ? 'mod' : 'Math.' + node.name) + '(' + node.args.map(function(arg) {
+				return generate(arg, names);
+			}).join(', ') + ')';
+		default:
+			if ('^' === node.op) {
+				return 'Math.pow(' + generate(node.left, names) + ', ' + generate(node.right, names) + ')';
+			}
+			return '(' + generate(node.left, names) + ' ' + node.op + ' ' + generate(node.right, names) + ')';
+		}
+	}
+
+	/**
+	 * Evaluate an expression tree containing no names other than constants.
+	 */
+	function evaluateConstant(node, parser) {
+		var args;
+		switch (node.type) {
+		case 'number':
+			return node.value;
+		case 'name':
+			if (!constants.hasOwnProperty(node.name)) {
+				throw parser.error("'" + node.name + "' is not a constant", node);
+			}
+			return constants[node.name];
+		case 'unary':
+			return '-' === node.op ? -evaluateConstant(node.arg, parser) : evaluateConstant(node.arg, parser);
+		case 'call':
+			args = node.args.map(function(arg) {
+				return evaluateConstant(arg, parser);
+			});
+			return 'mod' === node.name ? args[0] - args[1] * Math.floor(args[0] / args[1]) : Math[node.name].apply(Math, args);
+		default:
+			args = [ evaluateConstant(node.left, parser), evaluateConstant(node.right, parser) ];
+			switch (node.op) {
+			case '+': return args[0] + args[1];
+			case '-': return args[0] - args[1];
+			case '*': return args[0] * args[1];
+			case '/': return args[0] / args[1];
+			case '%': return args[0] % args[1];
+			default: return Math.pow(args[0], args[1]);
+			}
+		}
+	}
+
+	/**
+	 * Visit every name in an expression tree, in order of appearance.
+	 */
+	function eachName(node, callback) {
+		switch (node.type) {
+		case 'name':
+			callback(node);
+			break;
+		case 'unary':
+			eachName(node.arg, callback);
+			break;
+		case 'call':
+			node.args.forEach(function(arg) {
+				eachName(arg, callback);
+			});
+			break;
+		case 'binary':
+			eachName(node.left, callback);
+			eachName(node.right, callback);
+			break;
+		}
+	}
+
+	/**
+	 * Compile the text of a system into an iteration function.
+	 * @param text The system's formula, as described at the top of this file
+	 * @returns An object holding the iteration function (iterate),
+	 * the names of its parameters in order of first appearance (parameters)
+	 * and the formula it was compiled from (formula).
+	 * @throws ParseError if the text is not a valid system.
+	 */
+	function compileSystem(text) {
+		var parser = new Parser(text),
+			// Javascript giving the value of each name in scope
+			names = Object.create(null),
+			parameters = [],
+			targets = Object.create(null),
+			body = helpers,
+			token, name, node, primed;
+		Object.keys(constants).forEach(function(constant) {
+			names[constant] = 'Math.' + constant.toUpperCase();
+		});
+		stateVariables.forEach(function(variable) {
+			names[variable] = variable;
+		});
+		while ('end' !== parser.peek().type) {
+			token = parser.next();
+			if ('ident' !== token.type) {
+				throw parser.error("Expected a statement such as x' = ...", token);
+			}
+			parser.checkName(token);
+			name = token.value;
+			primed = parser.isOp("'");
+			if (primed) {
+				parser.next();
+				if (stateVariables.indexOf(name) < 0) {
+					throw parser.error("Only " + stateVariables.join("' and ") + "' can be given next values", token);
+				}
+				if (name in targets) {
+					throw parser.error("The next value of " + name + " is given twice", token);
+				}
+			} else if (parameters.indexOf(name) >= 0) {
+				throw parser.error("'" + name + "' is used before it is defined", token);
+			} else if (name in names && !/^v_/.test(names[name])) {
+				throw parser.error("'" + name + "' cannot be assigned to; did you mean " + name + "'?", token);
+			} else if (functions.hasOwnProperty(name)) {
+				throw parser.error("'" + name + "' is the name of a function", token);
+			}
+			parser.expectOp('=');
+			node = parser.parseExpression();
+			// Any name not yet in scope is a parameter
+			eachName(node, function(nameNode) {
+				if (!(nameNode.name in names)) {
+					names[nameNode.name] = 'params.' + nameNode.name;
+					parameters.push(nameNode.name);
+				}
+			});
+			if (primed) {
+				targets[name] = generate(node, names);
+			} else {
+				if (parameters.indexOf(name) >= 0) {
+					throw parser.error("'" + name + "' is used before it is defined", token);
+				}
+				names[name] = 'v_' + name;
+				body += 'var v_' + name + ' = ' + generate(node, names) + ';\n';
+			}
+			if (!parser.skipSeparator() && 'end' !== parser.peek().type) {
+				throw parser.error('Expected the end of the statement' + parser.describeFound());
+			}
+		}
+		stateVariables.forEach(function(variable) {
+			if (!(variable in targets)) {
+				throw new ParseError("No next value is given for " + variable + ", e.g. " + variable + "' = ...", text, text.length);
+			}
+		});
+		body += 'return {\n' + stateVariables.map(function(variable) {
+			return '\t' + variable + ': ' + targets[variable];
+		}).join(',\n') + '\n};';
+		return {
+			iterate: new Function(stateVariables.concat('params').join(', '), body),
+			parameters: parameters,
+			formula: text
+		};
+	}
+
+	/**
+	 * Parse the text of a parameter set.
+	 * @returns An object mapping each parameter name to its value.
+	 * @throws ParseError if the text is not a valid parameter set.
+	 */
+	function parseParameterSet(text) {
+		var parser = new Parser(text),
+			parameterSet = {},
+			braced = parser.isOp('{'),
+			token;
+		if (braced) {
+			parser.next();
+		}
+		while (!parser.isOp('}') && 'end' !== parser.peek().type) {
+			token = parser.next();
+			if ('ident' !== token.type && 'string' !== token.type) {
+				throw parser.error('Expected a parameter name', token);
+			}
+			parser.checkName(token);
+			if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(token.value) || stateVariables.indexOf(token.value) >= 0 ||
+					functions.hasOwnProperty(token.value) || constants.hasOwnProperty(token.value)) {
+				throw parser.error("'" + token.value + "' cannot be used as a parameter name", token);
+			}
+			if (parameterSet.hasOwnProperty(token.value)) {
+				throw parser.error("Parameter '" + token.value + "' is given twice", token);
+			}
+			if (!parser.isOp(':') && !parser.isOp('=')) {
+				throw parser.error("Expected ':' or '='" + parser.describeFound());
+			}
+			parser.next();
+			parameterSet[token.value] = evaluateConstant(parser.parseExpression(), parser);
+			if (!parser.skipSeparator()) {
+				break;
+			}
+		}
+		if (braced) {
+			parser.expectOp('}');
+		}
+		if ('newline' === parser.peek().type) {
+			parser.next();
+		}
+		if ('end' !== parser.peek().type) {
+			throw parser.error('Expected the end of the parameter set' + parser.describeFound());
+		}
+		return parameterSet;
+	}
+
+	return {
+		ParseError: ParseError,
+		functions: Object.keys(functions),
+		compileSystem: compileSystem,
+		parseParameterSet: parseParameterSet
+	};
+})();
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,299 @@
+/**
+ * Continuous-time systems (flows) given by ordinary differential equations in n dimensions,
+ * such as the Lorenz and Rössler attractors.
+ * The state is advanced by a choice of numerical integrators, and projected onto the plane of the view
+ * after rotating it, so that the attractor can be seen from any direction.
+ *
+ * The Lyapunov spectrum is measured as for the discrete maps, by evolving a set of tangent vectors
+ * and re-orthonormalising them after every step, but with the Jacobian of one integration step
+ * estimated by finite differences, and the exponents given per unit of time rather than per step.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * The state of a flow being integrated.
+ * @param job As for AttractorCanvas.Renderer, with:
+ * derivative: function(state, params) returning the time derivative of the state as an array,
+ * dimensions: number of components of the state,
+ * initialValues: starting state as { x, y, z, ... } (see AttractorCanvas.Flow.variables),
+ * integrator: id of one of AttractorCanvas.Flow.integrators (default 'rk4'),
+ * timeStep: integration step; for adaptive integrators, the largest step taken,
+ * tolerance: for adaptive integrators, the error allowed per step relative to the size of the state (default 1e-6),
+ * rotation: yaw and pitch in radians of the projection (see setRotation()).
+ * @returns {AttractorCanvas.Flow} The new instance
+ */
+AttractorCanvas.Flow = function(job) {
+	var n = job.dimensions, i;
+	this.derivative = job.derivative;
+	this.params = job.params;
+	this.dimensions = n;
+	this.integrator = AttractorCanvas.Flow.findIntegrator(job.integrator || 'rk4');
+	if (!this.integrator) {
+		throw new Error("Unknown integrator '" + job.integrator + "'");
+	}
+	this.timeStep = job.timeStep;
+	this.tolerance = job.tolerance || 1e-6;
+	// Step size to try next, and the one last taken
+	this.h = this.timeStep;
+	this.lastStep = 0;
+	this.state = AttractorCanvas.Flow.variables.slice(0, n).map(function(name) {
+		return job.initialValues[name] || 0;
+	});
+	// Orthonormal tangent vectors, and the running totals of the logarithmic stretching along each
+	this.tangents = [];
+	for (i = 0; i < n; i++) {
+		this.tangents.push(this.state.map(function(value, j) {
+			return i === j ? 1 : 0;
+		}));
+	}
+	this.lyapunovSums = this.state.map(function() {
+		return 0;
+	});
+	// Total time over which the stretching has been measured
+	this.time = 0;
+	this.setRotation(job.rotation || { yaw: 0, pitch: 0 });
+};
+
+// Names of the components of the state, as used in initial values and formulae
+AttractorCanvas.Flow.variables = [ 'x', 'y', 'z', 'w' ];
+
+/**
+ * Numerical integrators. Each step() advances a state by time h,
+ * returning the new state and, for adaptive integrators, an estimate of the error in each component.
+ */
+AttractorCanvas.Flow.integrators = [
+	{
+		id: 'euler',
+		name: 'Euler',
+		step: function(f, s, params, h) {
+			var k = f(s, params);
+			return {
+				state: s.map(function(value, i) {
+					return value + h * k[i];
+				})
+			};
+		}
+	},
+	{
+		id: 'rk4',
+		name: 'Runge-Kutta 4',
+		step: function(f, s, params, h) {
+			function offset(k, scale) {
+				return s.map(function(value, i) {
+					return value + scale * k[i];
+				});
+			}
+			var k1 = f(s, params),
+				k2 = f(offset(k1, h / 2), params),
+				k3 = f(offset(k2, h / 2), params),
+				k4 = f(offset(k3, h), params);
+			return {
+				state: s.map(function(value, i) {
+					return value + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+				})
+			};
+		}
+	},
+	/**
+	 * The Dormand-Prince 5(4) pair, as used by many adaptive ODE solvers:
+	 * the difference between its fifth- and fourth-order solutions estimates the error of the step.
+	 */
+	{
+		id: 'rk45',
+		name: 'Adaptive Runge-Kutta 4(5)',
+		adaptive: true,
+		a: [
+			[],
+			[ 1 / 5 ],
+			[ 3 / 40, 9 / 40 ],
+			[ 44 / 45, -56 / 15, 32 / 9 ],
+			[ 19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729 ],
+			[ 9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656 ],
+			[ 35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84 ]
+		],
+		// Weights of the fifth-order solution, and their differences from those of the fourth-order one
+		b: [ 35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0 ],
+		e: [ 71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40 ],
+		step: function(f, s, params, h) {
+			var a = this.a, b = this.b, e = this.e, k = [], stage;
+			function combine(weights) {
+				return s.map(function(value, i) {
+					var sum = 0, j;
+					for (j = 0; j < weights.length; j++) {
+						sum += weights[j] * k[j][i];
+					}
+					return value + h * sum;
+				});
+			}
+			for (stage = 0; stage < 7; stage++) {
+				k.push(f(stage ? combine(a[stage]) : s, params));
+			}
+			return {
+				state: combine(b),
+				error: s.map(function(value, i) {
+					var sum = 0, j;
+					for (j = 0; j < 7; j++) {
+						sum += e[j] * k[j][i];
+					}
+					return h * sum;
+				})
+			};
+		}
+	}
+];
+
+/**
+ * @returns The integrator with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.Flow.findIntegrator = function(id) {
+	var i, integrators = AttractorCanvas.Flow.integrators;
+	for (i = 0; i < integrators.length; i++) {
+		if (id === integrators[i].id) {
+			return integrators[i];
+		}
+	}
+	return undefined;
+};
+
+AttractorCanvas.Flow.prototype = {
+	/**
+	 * Set the direction from which the attractor is viewed.
+	 * The state is first rotated by the yaw about the z axis, then by the pitch about the x axis,
+	 * after which its x and y co-ordinates are those plotted. Components beyond the third are not shown.
+	 * @param rotation Object with the yaw and pitch in radians
+	 */
+	setRotation: function(rotation) {
+		var cy = Math.cos(rotation.yaw), sy = Math.sin(rotation.yaw),
+			cp = Math.cos(rotation.pitch), sp = Math.sin(rotation.pitch);
+		this.rotation = [
+			cy, -sy, 0,
+			sy * cp, cy * cp, -sp,
+			sy * sp, cy * sp, cp
+		];
+		return this;
+	},
+	/**
+	 * Project a state onto the plane of the view.
+	 * @returns The x and y co-ordinates in that plane, and the depth (distance towards the viewer)
+	 */
+	project: function(state) {
+		var m = this.rotation, x = state[0], y = state[1] || 0, z = state[2] || 0;
+		return {
+			x: m[0] * x + m[1] * y + m[2] * z,
+			y: m[3] * x + m[4] * y + m[5] * z,
+			depth: m[6] * x + m[7] * y + m[8] * z
+		};
+	},
+	/**
+	 * Advance the state by one step of the integrator.
+	 * Adaptive integrators shrink the step until its estimated error is within the tolerance,
+	 * and grow it again, up to the time step, once the error allows.
+	 * @returns The new state, which is also left in this.state.
+	 */
+	advance: function() {
+		var integrator = this.integrator, s = this.state, h = this.h, result, scale, error, i;
+		if (!integrator.adaptive) {
+			result = integrator.step(this.derivative, s, this.params, h);
+			this.lastStep = h;
+			this.state = result.state;
+			return this.state;
+		}
+		for (;;) {
+			result = integrator.step(this.derivative, s, this.params, h);
+			scale = 0;
+			for (i = 0; i < s.length; i++) {
+				scale = Math.max(scale, Math.abs(s[i]));
+			}
+			scale = this.tolerance * (1 + scale);
+			error = 0;
+			for (i = 0; i < s.length; i++) {
+				error = Math.max(error, Math.abs(result.error[i]) / scale);
+			}
+			// Give up shrinking the step rather than stall; NaNs are caught by the caller
+			if (!(error > 1) || h < 1e-6 * this.timeStep) {
+				break;
+			}
+			h *= Math.max(0.2, 0.9 * Math.pow(error, -0.2));
+		}
+		this.lastStep = h;
+		this.h = Math.min(this.timeStep, h * (error > 0 ? Math.min(5, 0.9 * Math.pow(error, -0.2)) : 5));
+		this.state = result.state;
+		return this.state;
+	},
+	/**
+	 * Evolve the tangent vectors through the step just taken from the given state,
+	 * and re-orthonormalise them by Gram-Schmidt, accumulating the logarithms of the stretching factors.
+	 * @param previous The state before the step
+	 * @param accumulate Whether to include this step in the Lyapunov exponents
+	 * @returns false if the estimate of the Lyapunov exponents has broken down, otherwise true
+	 */
+	advanceTangents: function(previous, accumulate) {
+		var n = this.dimensions, h = this.lastStep, next = this.state,
+			epsilon = 1e-7, tangents = [], norms = [], i, j, k, w, dot, norm, perturbed;
+		for (i = 0; i < n; i++) {
+			// Image of the tangent vector under the step, by a forward difference
+			perturbed = this.integrator.step(this.derivative, previous.map(function(value, k) {
+				return value + epsilon * this.tangents[i][k];
+			}, this), this.params, h).state;
+			w = perturbed.map(function(value, k) {
+				return (value - next[k]) / epsilon;
+			});
+			for (j = 0; j < i; j++) {
+				dot = 0;
+				for (k = 0; k < n; k++) {
+					dot += w[k] * tangents[j][k];
+				}
+				for (k = 0; k < n; k++) {
+					w[k] -= dot * tangents[j][k];
+				}
+			}
+			norm = 0;
+			for (k = 0; k < n; k++) {
+				norm += w[k] * w[k];
+			}
+			norm = Math.sqrt(norm);
+			if (!(norm > 0)) {
+				// The step collapses this direction; start afresh
+				this.tangents = this.tangents.map(function(tangent, i) {
+					return tangent.map(function(value, j) {
+						return i === j ? 1 : 0;
+					});
+				});
+				return true;
+			}
+			tangents.push(w.map(function(value) {
+				return value / norm;
+			}));
+			norms.push(norm);
+		}
+		this.tangents = tangents;
+		if (accumulate) {
+			for (i = 0; i < n; i++) {
+				this.lyapunovSums[i] += Math.log(norms[i]);
+				if (isNaN(this.lyapunovSums[i])) {
+					return false;
+				}
+			}
+			this.time += h;
+		}
+		return true;
+	},
+	/**
+	 * The Lyapunov exponents per unit time, largest first.
+	 */
+	getLyapunovExponents: function() {
+		var time = this.time;
+		return this.lyapunovSums.map(function(sum) {
+			return time ? sum / time : 0;
+		});
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,204 @@
+/**
+ * Galleries of thumbnails and side-by-side comparisons of views, rendered one after another
+ * by a queue shared between them, so that they do not compete with each other for the thread.
+ * Each view is a state of the engine as given by its toJSON(), rendered by an engine of its own
+ * a slice at a time, and can be cancelled whether or not its render has started.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A queue of views waiting to be rendered, rendered in the order they were added.
+ * @param sliceTime Milliseconds to render for before yielding the thread (default 20)
+ * @returns {AttractorCanvas.RenderQueue} The new instance
+ */
+AttractorCanvas.RenderQueue = function(sliceTime) {
+	this.sliceTime = sliceTime || 20;
+	// Tasks waiting, and the one being rendered, if any
+	this.tasks = [];
+	this.current = null;
+	this.nextId = 1;
+};
+
+AttractorCanvas.RenderQueue.prototype = {
+	/**
+	 * Queue a view to be rendered.
+	 * @param state Engine state, as given by AttractorCanvas.Engine.prototype.toJSON(); its size is replaced by the one given
+	 * @param width, height Size of the image in pixels
+	 * @param callbacks Object with any of the functions:
+	 * done(imageData, outcome): called with the RGBA image and the outcome, as for AttractorCanvas.Engine.prototype.render(),
+	 * failed(exception): called if the state cannot be restored or rendering fails.
+	 * @param tag Optionally, a name for the task, such as the part of the page it is for, so that cancel() can find it
+	 * @returns The task, which can be passed to cancel()
+	 */
+	add: function(state, width, height, callbacks, tag) {
+		var task = {
+			id: this.nextId++,
+			tag: tag,
+			state: state,
+			width: width,
+			height: height,
+			callbacks: callbacks || {},
+			cancelled: false
+		};
+		this.tasks.push(task);
+		if (!this.current) {
+			this.renderNext();
+		}
+		return task;
+	},
+	/**
+	 * Abandon the given task, or all of those with the given tag, whether waiting or being rendered.
+	 * Their callbacks are not called.
+	 * @param taskOrTag A task returned by add(), a tag, or undefined to abandon every task
+	 */
+	cancel: function(taskOrTag) {
+		function matches(task) {
+			return undefined === taskOrTag || task === taskOrTag || task.tag === taskOrTag;
+		}
+		this.tasks = this.tasks.filter(function(task) {
+			if (matches(task)) {
+				task.cancelled = true;
+				return false;
+			}
+			return true;
+		});
+		if (this.current && matches(this.current)) {
+			this.current.cancelled = true;
+		}
+		return this;
+	},
+	/**
+	 * The number of tasks waiting or being rendered.
+	 */
+	getLength: function() {
+		return this.tasks.length + (this.current ? 1 : 0);
+	},
+	isIdle: function() {
+		return !this.current && !this.tasks.length;
+	},
+	/**
+	 * Start rendering the next task, if any, a slice at a time.
+	 */
+	renderNext: function() {
+		var that = this,
+			task = this.tasks.shift(),
+			started = Date.now(),
+			engine, renderer;
+		this.current = task || null;
+		if (!task) {
+			return;
+		}
+		function finish() {
+			that.current = null;
+			that.renderNext();
+		}
+		function renderSlice() {
+			var sliceStarted = Date.now(), result;
+			if (task.cancelled) {
+				finish();
+				return;
+			}
+			try {
+				if (!renderer) {
+					engine = new AttractorCanvas.Engine(task.width, task.height);
+					// Restoring a state changes the Custom system and parameter set, which must stay as the page has them
+					engine.systems = engine.systems.map(function(system) {
+						var copy = Object.create(system);
+						copy.parameterSets = system.parameterSets.slice();
+						return copy;
+					});
+					engine.fromJSON(task.state);
+					engine.setSize(task.width, task.height);
+					engine.imageData = engine.createImageData();
+					renderer = new AttractorCanvas.Renderer(engine.createJob());
+					engine.density = renderer.density;
+				}
+			} catch (e) {
+				finish();
+				if (task.callbacks.failed) {
+					task.callbacks.failed(e);
+				}
+				return;
+			}
+			do {
+				result = AttractorCanvas.Engine.runRenderer(renderer, 1000);
+			} while ('running' === result.status && Date.now() - sliceStarted < that.sliceTime);
+			if ('running' === result.status) {
+				AttractorCanvas.defer(renderSlice);
+				return;
+			}
+			engine.cyclePoints = result.cyclePoints || null;
+			engine.redraw();
+			result.started = started;
+			result.elapsed = Date.now() - started;
+			finish();
+			if (task.callbacks.done) {
+				task.callbacks.done(engine.imageData, result);
+			}
+		}
+		// Deferred, so that add() never calls back before it returns
+		AttractorCanvas.defer(renderSlice);
+	}
+};
+
+AttractorCanvas.Gallery = {
+	/**
+	 * The states showing each preset parameter set of the engine's current system in an image of the given size,
+	 * each in the system's preferred view with the engine's colouring.
+	 * The number of iterations is scaled with the area of the image, so that thumbnails are as dense as the engine's view.
+	 * @param engine AttractorCanvas.Engine whose system and colouring are shown
+	 * @param width, height Size of each image in pixels
+	 * @param minIterations Fewest iterations for any state (default 10000)
+	 * @returns Array of states as for AttractorCanvas.Engine.prototype.toJSON(), in the order of the parameter sets
+	 */
+	parameterSetStates: function(engine, width, height, minIterations) {
+		var system = engine.getSystem(),
+			base = engine.toJSON(),
+			scale = Math.min(width / engine.getWidth(), height / engine.getHeight()),
+			iterations = Math.max(minIterations || 10000, Math.round(engine.getIterations() * scale * scale)),
+			states = [], state, i;
+		delete base.bifurcation;
+		for (i = 0; i < system.parameterSets.length; i++) {
+			if (i === engine.getCustomParameterSetIndex()) {
+				continue;
+			}
+			state = JSON.parse(JSON.stringify(base));
+			state.parameterSet = i;
+			state.parameters = JSON.parse(JSON.stringify(system.parameterSets[i]));
+			state.centre = [ system.view.centre[0], system.view.centre[1] ];
+			state.zoom = system.view.zoom * scale;
+			if (engine.isFlow()) {
+				state.timeStep = system.view.timeStep;
+				state.rotation = [ system.view.rotation.yaw, system.view.rotation.pitch ];
+			}
+			state.iterations = iterations;
+			state.width = width;
+			state.height = height;
+			states.push(state);
+		}
+		return states;
+	},
+	/**
+	 * A copy of the given state framing the same area as the engine's current view, so that views compared
+	 * side by side can be moved and zoomed together. If the aspect ratios differ, the whole of the engine's view
+	 * is included, as for AttractorCanvas.Export.scaleView().
+	 * @param state State as for AttractorCanvas.Engine.prototype.toJSON(), including its width and height
+	 * @param engine AttractorCanvas.Engine whose centre and zoom are taken
+	 */
+	linkView: function(state, engine) {
+		var linked = JSON.parse(JSON.stringify(state)),
+			scale = Math.min(state.width / engine.getWidth(), state.height / engine.getHeight());
+		linked.centre = engine.getCentre();
+		linked.zoom = engine.getZoom() * scale;
+		return linked;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,187 @@
+/**
+ * Undoable history of the states of an engine, as given by its toJSON(),
+ * so that changes of view, system, parameters, iterations and colouring can be stepped back through.
+ * Bursts of small changes to the same thing, such as a spinner being held down, are coalesced into one entry.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A history of the given engine's states, starting with its current one.
+ * @param engine AttractorCanvas.Engine whose states are recorded and restored
+ * @param options Any of:
+ * limit: the most entries kept, the oldest being dropped first (default 100),
+ * coalesceInterval: changes with the same key recorded within this many milliseconds of each other
+ * replace one another (default 1000).
+ * @returns {AttractorCanvas.History} The new instance
+ */
+AttractorCanvas.History = function(engine, options) {
+	options = options || {};
+	this.engine = engine;
+	this.limit = Math.max(2, options.limit || 100);
+	this.coalesceInterval = undefined === options.coalesceInterval ? 1000 : options.coalesceInterval;
+	this.clear();
+};
+
+/**
+ * A short description of how one state differs from another, such as 'Zoom 400' or 'Hénon map, set 2'.
+ * @param engine AttractorCanvas.Engine whose systems and colour modes the states refer to
+ * @param previous State before the change, or undefined for the first state
+ * @param state State after the change
+ */
+AttractorCanvas.History.describeChange = function(engine, previous, state) {
+	var systemIndex = engine.findSystemIndex(state.system),
+		system = engine.systems[systemIndex],
+		systemName = system ? system.name : state.system,
+		parameterSet = system && state.parameterSet === engine.getCustomParameterSetIndex(systemIndex) ? 'Custom' : 'set ' + (state.parameterSet + 1),
+		colourMode, i;
+	function changed(key) {
+		return JSON.stringify(previous[key]) !== JSON.stringify(state[key]);
+	}
+	if (!previous || changed('system') || changed('formula')) {
+		return systemName + ', ' + parameterSet;
+	}
+	if (changed('bifurcation')) {
+		return state.bifurcation ? 'Bifurcation diagram of ' + state.bifurcation.parameter : 'Attractor';
+	}
+	if (changed('parameterSet') || changed('parameters')) {
+		return 'Parameters, ' + parameterSet;
+	}
+	if (changed('centre') || changed('zoom')) {
+		return (changed('centre') ? 'Centre (' + state.centre[0].toPrecision(4) + ', ' + state.centre[1].toPrecision(4) + ')' :
+			'View') + ', zoom ' + state.zoom.toPrecision(4);
+	}
+	if (changed('iterations')) {
+		return 'Iterations ' + state.iterations;
+	}
+	if (changed('colourMode')) {
+		for (i = 0; i < engine.colourModes.length; i++) {
+			if (state.colourMode === engine.colourModes[i].id) {
+				colourMode = engine.colourModes[i].name;
+			}
+		}
+		return 'Colour mode ' + (colourMode || state.colourMode);
+	}
+	if (changed('palette')) {
+		return 'Palette ' + state.palette.name;
+	}
+	if (changed('rotation') || changed('integrator') || changed('timeStep')) {
+		return 'Integration and rotation';
+	}
+	if (changed('symmetry')) {
+		return state.symmetry.order > 1 || state.symmetry.reflection ?
+			state.symmetry.order + '-fold symmetry' + (state.symmetry.reflection ? ' with reflection' : '') : 'No symmetry';
+	}
+	if (changed('width') || changed('height')) {
+		return 'Size ' + state.width + '×' + state.height;
+	}
+	return 'Colouring';
+};
+
+AttractorCanvas.History.prototype = {
+	/**
+	 * Forget all entries but one of the engine's current state.
+	 */
+	clear: function() {
+		this.entries = [];
+		this.index = -1;
+		this.push(this.engine.toJSON(), undefined);
+		return this;
+	},
+	push: function(state, key) {
+		var previous = this.entries[this.index];
+		this.entries.push({
+			state: state,
+			label: AttractorCanvas.History.describeChange(this.engine, previous && previous.state, state),
+			key: key,
+			time: Date.now()
+		});
+		if (this.entries.length > this.limit) {
+			this.entries.shift();
+		}
+		this.index = this.entries.length - 1;
+	},
+	/**
+	 * Record the engine's current state as a new entry, discarding any entries that could have been redone.
+	 * Nothing is recorded if the state is that of the current entry, e.g. after undo() or goTo().
+	 * @param key Optionally, what was changed, such as the id of a control. If the current entry was recorded
+	 * with the same key less than coalesceInterval milliseconds ago, and is the latest entry, it is replaced.
+	 * @returns Whether an entry was added or replaced
+	 */
+	record: function(key) {
+		var state = this.engine.toJSON(),
+			current = this.entries[this.index],
+			coalesce = undefined !== key && key === current.key && this.index > 0 &&
+				this.index === this.entries.length - 1 && Date.now() - current.time < this.coalesceInterval;
+		if (JSON.stringify(state) === JSON.stringify(current.state)) {
+			return false;
+		}
+		this.entries.splice(coalesce ? this.index : this.index + 1);
+		this.index = this.entries.length - 1;
+		this.push(state, key);
+		return true;
+	},
+	canUndo: function() {
+		return this.index > 0;
+	},
+	canRedo: function() {
+		return this.index < this.entries.length - 1;
+	},
+	/**
+	 * Restore the state before the current entry.
+	 * @returns The entry restored, or undefined if there is nothing to undo.
+	 */
+	undo: function() {
+		return this.canUndo() ? this.goTo(this.index - 1) : undefined;
+	},
+	/**
+	 * Restore the state after the current entry.
+	 * @returns The entry restored, or undefined if there is nothing to redo.
+	 */
+	redo: function() {
+		return this.canRedo() ? this.goTo(this.index + 1) : undefined;
+	},
+	/**
+	 * Restore the state of the given entry, which becomes the current one, keeping the others.
+	 * The engine is not re-rendered.
+	 * @param index Index into getEntries()
+	 * @throws Error if there is no such entry, or as for AttractorCanvas.Engine.prototype.fromJSON().
+	 * @returns The entry restored
+	 */
+	goTo: function(index) {
+		var entry = this.entries[index];
+		if (!entry) {
+			throw new Error('There is no history entry ' + index);
+		}
+		this.engine.fromJSON(entry.state);
+		if (!entry.state.bifurcation) {
+			// fromJSON() leaves properties missing from the state unchanged
+			this.engine.setBifurcation(null);
+		}
+		this.index = index;
+		// A later change should not be merged into the entry jumped to
+		entry.key = undefined;
+		return entry;
+	},
+	/**
+	 * The entries, oldest first, each with the recorded state, a label describing the change (see describeChange()),
+	 * the key it was recorded with, and the time it was recorded in milliseconds since the epoch.
+	 */
+	getEntries: function() {
+		return this.entries.slice();
+	},
+	/**
+	 * The index of the entry whose state the engine was last known to be in.
+	 */
+	getIndex: function() {
+		return this.index;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
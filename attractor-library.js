@@ -0,0 +1,225 @@
+/**
+ * A personal library of favourite views, each being a state of the engine as given by its toJSON()
+ * (system, parameters, formula of the Custom system, view and colouring) saved under a name with a thumbnail.
+ * The library is kept in a Storage such as window.localStorage, so that it survives reloads,
+ * and can be exported to and imported from JSON files.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A library of favourites, read from the given storage.
+ * @param storage Object with getItem() and setItem() as for window.localStorage,
+ * or null to keep the library in memory only
+ * @param key Key under which the library is stored (default 'AttractorCanvas.library')
+ * @returns {AttractorCanvas.Library} The new instance
+ */
+AttractorCanvas.Library = function(storage, key) {
+	this.storage = storage;
+	this.key = key || 'AttractorCanvas.library';
+	this.load();
+};
+
+/**
+ * Version of the format written by toJSON(), for the sake of future changes to it.
+ */
+AttractorCanvas.Library.version = 1;
+
+/**
+ * Check that the given object is a favourite, as found in a library's entries.
+ * @throws Error if it is not.
+ */
+AttractorCanvas.Library.validateEntry = function(entry) {
+	if (!entry || 'string' !== typeof(entry.name) || !entry.name) {
+		throw new Error('A favourite needs a name');
+	}
+	if (!entry.state || 'string' !== typeof(entry.state.system)) {
+		throw new Error("The favourite '" + entry.name + "' does not say which system it shows");
+	}
+	if (undefined !== entry.thumbnail && 'string' !== typeof(entry.thumbnail)) {
+		throw new Error("The thumbnail of the favourite '" + entry.name + "' is not a data URL");
+	}
+};
+
+AttractorCanvas.Library.prototype = {
+	/**
+	 * Read the library from storage, discarding any unsaved changes.
+	 * A missing or unreadable library is taken to be empty.
+	 */
+	load: function() {
+		var stored;
+		this.entries = [];
+		try {
+			stored = this.storage && JSON.parse(this.storage.getItem(this.key));
+		} catch (e) {
+			stored = null;
+		}
+		if (stored && stored.entries) {
+			this.entries = stored.entries.filter(function(entry) {
+				try {
+					AttractorCanvas.Library.validateEntry(entry);
+					return true;
+				} catch (e) {
+					return false;
+				}
+			});
+		}
+		return this;
+	},
+	/**
+	 * Write the library to storage.
+	 * @throws Error if the storage refuses it, e.g. because its quota is exceeded.
+	 */
+	save: function() {
+		if (this.storage) {
+			this.storage.setItem(this.key, JSON.stringify(this));
+		}
+		return this;
+	},
+	/**
+	 * The favourites, in the order they were added.
+	 * Each has an id, name, the time it was added in milliseconds since the epoch, the engine state and a thumbnail.
+	 */
+	getEntries: function() {
+		return this.entries.slice();
+	},
+	/**
+	 * @returns The favourite with the given id, or undefined if there is none.
+	 */
+	findEntry: function(id) {
+		var i;
+		for (i = 0; i < this.entries.length; i++) {
+			if (id === this.entries[i].id) {
+				return this.entries[i];
+			}
+		}
+		return undefined;
+	},
+	/**
+	 * The favourites showing the given system whose parameters are exactly those given,
+	 * i.e. those whose parameter sets can be used with the system as it now stands.
+	 * @param systemId Identifier of the system
+	 * @param parameterNames Names of the system's parameters
+	 */
+	getParameterSets: function(systemId, parameterNames) {
+		var names = parameterNames.slice().sort().join(',');
+		return this.entries.filter(function(entry) {
+			return systemId === entry.state.system && entry.state.parameters &&
+				Object.keys(entry.state.parameters).sort().join(',') === names;
+		});
+	},
+	/**
+	 * An identifier not used by any favourite.
+	 */
+	createId: function() {
+		var id;
+		do {
+			id = Date.now().toString(36) + '-' + Math.floor(Math.random() * 1679616).toString(36);
+		} while (this.findEntry(id));
+		return id;
+	},
+	/**
+	 * Add a favourite and save the library.
+	 * @param name Name shown in the library
+	 * @param state Engine state, as given by AttractorCanvas.Engine.prototype.toJSON(); it is copied
+	 * @param thumbnail Optionally, a data URL of a small image of the attractor
+	 * @throws Error if the favourite is not valid or cannot be saved, in which case it is not added.
+	 * @returns The new favourite
+	 */
+	add: function(name, state, thumbnail) {
+		var entry = {
+			id: this.createId(),
+			name: name,
+			created: Date.now(),
+			state: JSON.parse(JSON.stringify(state)),
+			thumbnail: thumbnail
+		};
+		AttractorCanvas.Library.validateEntry(entry);
+		this.entries.push(entry);
+		try {
+			this.save();
+		} catch (e) {
+			this.entries.pop();
+			throw e;
+		}
+		return entry;
+	},
+	/**
+	 * Remove the favourite with the given id, if any, and save the library.
+	 */
+	remove: function(id) {
+		this.entries = this.entries.filter(function(entry) {
+			return id !== entry.id;
+		});
+		return this.save();
+	},
+	/**
+	 * Rename the favourite with the given id and save the library.
+	 * @throws Error if there is no such favourite or the name is empty.
+	 */
+	rename: function(id, name) {
+		var entry = this.findEntry(id);
+		if (!entry) {
+			throw new Error("Unknown favourite '" + id + "'");
+		}
+		if (!name) {
+			throw new Error('A favourite needs a name');
+		}
+		entry.name = name;
+		return this.save();
+	},
+	/**
+	 * The library in the form written to storage and to exported files.
+	 */
+	toJSON: function() {
+		return {
+			version: AttractorCanvas.Library.version,
+			entries: this.entries
+		};
+	},
+	/**
+	 * Add the favourites of an exported library, giving new ids to any that clash with existing ones,
+	 * and save the library.
+	 * @param library Object, or the JSON text of one, as given by toJSON()
+	 * @throws Error if the library or any of its favourites is not valid or it cannot be saved,
+	 * in which case nothing is added.
+	 * @returns The number of favourites added
+	 */
+	importJSON: function(library) {
+		var previous = this.entries, added;
+		if ('string' === typeof(library)) {
+			library = JSON.parse(library);
+		}
+		if (!library || !Array.isArray(library.entries)) {
+			throw new Error('This is not an exported library');
+		}
+		if (library.version > AttractorCanvas.Library.version) {
+			throw new Error('This library was exported by a later version');
+		}
+		library.entries.forEach(AttractorCanvas.Library.validateEntry);
+		added = JSON.parse(JSON.stringify(library.entries));
+		this.entries = previous.slice();
+		added.forEach(function(entry) {
+			if (!entry.id || this.findEntry(entry.id)) {
+				entry.id = this.createId();
+			}
+			entry.created = entry.created || Date.now();
+			this.entries.push(entry);
+		}, this);
+		try {
+			this.save();
+		} catch (e) {
+			this.entries = previous;
+			throw e;
+		}
+		return added.length;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,320 @@
+/**
+ * Gradient palettes for colouring attractors.
+ * A palette maps a value in [0, 1] to a colour by interpolating between colour stops,
+ * in RGB, HSV or CIE L*a*b* space. Lookups go through a precomputed table,
+ * since colour modes consult the palette for every point plotted.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A gradient palette.
+ * @param description Object with:
+ * name: name shown in the controls,
+ * space: id of one of AttractorCanvas.Palette.spaces to interpolate in (default 'rgb'),
+ * stops: array of at least one { position, colour }, where position is in [0, 1] and colour is '#rrggbb'.
+ * @throws Error if the description is not valid.
+ * @returns {AttractorCanvas.Palette} The new instance
+ */
+AttractorCanvas.Palette = function(description) {
+	var space = AttractorCanvas.Palette.findSpace(description.space || 'rgb');
+	if (!space) {
+		throw new Error("Unknown interpolation space '" + description.space + "'");
+	}
+	if (!description.stops || !description.stops.length) {
+		throw new Error('A palette needs at least one colour stop');
+	}
+	this.name = description.name || 'Custom';
+	this.space = space;
+	this.stops = description.stops.map(function(stop) {
+		var position = +stop.position;
+		if (isNaN(position)) {
+			throw new Error("Invalid stop position '" + stop.position + "'");
+		}
+		return {
+			position: Math.max(0, Math.min(1, position)),
+			colour: stop.colour,
+			rgb: AttractorCanvas.Palette.parseColour(stop.colour)
+		};
+	}).sort(function(a, b) {
+		return a.position - b.position;
+	});
+	this.table = this.createTable(AttractorCanvas.Palette.tableSize);
+};
+
+// Number of entries in each palette's lookup table
+AttractorCanvas.Palette.tableSize = 256;
+
+/**
+ * @param colour Colour as '#rrggbb'
+ * @returns [ red, green, blue ], each in [0, 255]
+ * @throws Error if the colour is not of that form.
+ */
+AttractorCanvas.Palette.parseColour = function(colour) {
+	var match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(colour);
+	if (!match) {
+		throw new Error("Invalid colour '" + colour + "'; expected #rrggbb");
+	}
+	return [ parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16) ];
+};
+
+/**
+ * Convert a colour from RGB to HSV; the inverse of AttractorCanvas.hsv2rgb().
+ * @returns [ hue in [0, 1), saturation, value ]
+ */
+AttractorCanvas.rgb2hsv = function(r, g, b) {
+	var max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min, h = 0;
+	if (d > 0) {
+		if (max === r) {
+			h = (g - b) / d;
+		} else if (max === g) {
+			h = 2 + (b - r) / d;
+		} else {
+			h = 4 + (r - g) / d;
+		}
+		h /= 6;
+		h -= Math.floor(h);
+	}
+	return [ h, max > 0 ? d / max : 0, max / 255 ];
+};
+
+/**
+ * Convert a colour from sRGB (each component in [0, 255]) to CIE L*a*b* under the D65 illuminant.
+ */
+AttractorCanvas.rgb2lab = function(r, g, b) {
+	function linear(c) {
+		c /= 255;
+		return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+	}
+	function f(t) {
+		return t > 216 / 24389 ? Math.pow(t, 1 / 3) : t * 841 / 108 + 4 / 29;
+	}
+	var lr = linear(r), lg = linear(g), lb = linear(b),
+		fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047),
+		fy = f(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb),
+		fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+	return [ 116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz) ];
+};
+
+/**
+ * Convert a colour from CIE L*a*b* to sRGB; the inverse of AttractorCanvas.rgb2lab(),
+ * clipping colours outside the sRGB gamut.
+ */
+AttractorCanvas.lab2rgb = function(l, a, b) {
+	function finv(t) {
+		return t > 6 / 29 ? t * t * t : (t - 4 / 29) * 108 / 841;
+	}
+	function gamma(c) {
+		c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+		return Math.max(0, Math.min(255, 255 * c));
+	}
+	var fy = (l + 16) / 116,
+		x = 0.95047 * finv(fy + a / 500),
+		y = finv(fy),
+		z = 1.08883 * finv(fy - b / 200);
+	return [
+		gamma( 3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+		gamma(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+		gamma( 0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+	];
+};
+
+/**
+ * Colour spaces in which to interpolate between stops.
+ * Each converts from and to RGB, and mixes two colours in its own co-ordinates.
+ */
+AttractorCanvas.Palette.spaces = [
+	{
+		id: 'rgb',
+		name: 'RGB',
+		fromRGB: function(rgb) {
+			return rgb;
+		},
+		toRGB: function(colour) {
+			return colour;
+		},
+		mix: function(a, b, t) {
+			return [ a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t ];
+		}
+	},
+	{
+		id: 'hsv',
+		name: 'HSV',
+		fromRGB: function(rgb) {
+			return AttractorCanvas.rgb2hsv(rgb[0], rgb[1], rgb[2]);
+		},
+		toRGB: function(colour) {
+			return AttractorCanvas.hsv2rgb(colour[0], colour[1], colour[2]);
+		},
+		mix: function(a, b, t) {
+			// Take the shorter way around the colour wheel
+			var dh = b[0] - a[0];
+			dh -= Math.round(dh);
+			return [ a[0] + dh * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t ];
+		}
+	},
+	{
+		id: 'lab',
+		name: 'CIE L*a*b*',
+		fromRGB: function(rgb) {
+			return AttractorCanvas.rgb2lab(rgb[0], rgb[1], rgb[2]);
+		},
+		toRGB: function(colour) {
+			return AttractorCanvas.lab2rgb(colour[0], colour[1], colour[2]);
+		},
+		mix: function(a, b, t) {
+			return [ a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t ];
+		}
+	}
+];
+
+/**
+ * @returns The interpolation space with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.Palette.findSpace = function(id) {
+	var i, spaces = AttractorCanvas.Palette.spaces;
+	for (i = 0; i < spaces.length; i++) {
+		if (id === spaces[i].id) {
+			return spaces[i];
+		}
+	}
+	return undefined;
+};
+
+/**
+ * Built-in palettes. The first reproduces the fully-saturated hues of the original colouring.
+ */
+AttractorCanvas.Palette.presets = [
+	{
+		name: 'Rainbow',
+		space: 'hsv',
+		stops: [
+			{ position: 0, colour: '#ff0000' },
+			{ position: 1 / 3, colour: '#00ff00' },
+			{ position: 2 / 3, colour: '#0000ff' },
+			{ position: 1, colour: '#ff0000' }
+		]
+	},
+	{
+		name: 'Fire',
+		space: 'rgb',
+		stops: [
+			{ position: 0, colour: '#200000' },
+			{ position: 0.4, colour: '#e02000' },
+			{ position: 0.75, colour: '#ffd000' },
+			{ position: 1, colour: '#ffffe0' }
+		]
+	},
+	{
+		name: 'Ocean',
+		space: 'lab',
+		stops: [
+			{ position: 0, colour: '#001030' },
+			{ position: 0.5, colour: '#00689c' },
+			{ position: 0.85, colour: '#60e0d0' },
+			{ position: 1, colour: '#f0fff8' }
+		]
+	},
+	{
+		// After the matplotlib colour map of the same name
+		name: 'Viridis',
+		space: 'lab',
+		stops: [
+			{ position: 0, colour: '#440154' },
+			{ position: 0.25, colour: '#3b528b' },
+			{ position: 0.5, colour: '#21918c' },
+			{ position: 0.75, colour: '#5ec962' },
+			{ position: 1, colour: '#fde725' }
+		]
+	},
+	{
+		name: 'Sunset',
+		space: 'lab',
+		stops: [
+			{ position: 0, colour: '#2d0b59' },
+			{ position: 0.45, colour: '#b5367a' },
+			{ position: 0.75, colour: '#f57e3c' },
+			{ position: 1, colour: '#fde38c' }
+		]
+	},
+	{
+		name: 'Greyscale',
+		space: 'rgb',
+		stops: [
+			{ position: 0, colour: '#000000' },
+			{ position: 1, colour: '#c0c0c0' }
+		]
+	}
+];
+
+/**
+ * @returns A new palette from the preset with the given name, or undefined if there is none.
+ */
+AttractorCanvas.Palette.findPreset = function(name) {
+	var i, presets = AttractorCanvas.Palette.presets;
+	for (i = 0; i < presets.length; i++) {
+		if (name === presets[i].name) {
+			return new AttractorCanvas.Palette(presets[i]);
+		}
+	}
+	return undefined;
+};
+
+AttractorCanvas.Palette.prototype = {
+	/**
+	 * Precompute the colours at evenly spaced positions.
+	 */
+	createTable: function(size) {
+		var space = this.space,
+			stops = this.stops,
+			colours = stops.map(function(stop) {
+				return space.fromRGB(stop.rgb);
+			}),
+			table = [], i, j = 0, t, from, to;
+		for (i = 0; i < size; i++) {
+			t = i / (size - 1);
+			while (j < stops.length - 1 && stops[j + 1].position < t) {
+				j++;
+			}
+			from = stops[j];
+			to = stops[Math.min(j + 1, stops.length - 1)];
+			if (t <= from.position || to.position <= from.position) {
+				table.push(from.rgb.slice());
+			} else if (t >= to.position) {
+				table.push(to.rgb.slice());
+			} else {
+				table.push(space.toRGB(space.mix(colours[j], colours[j + 1], (t - from.position) / (to.position - from.position))));
+			}
+		}
+		return table;
+	},
+	/**
+	 * The colour at the given position, which is clamped to [0, 1].
+	 * @returns [ red, green, blue ], each in [0, 255]. The array is shared, so must not be modified.
+	 */
+	getColour: function(t) {
+		var table = this.table, i = Math.round(t * (table.length - 1));
+		// NaN fails both comparisons and so is treated as 0
+		return table[i > 0 ? Math.min(i, table.length - 1) : 0];
+	},
+	/**
+	 * Describe the palette in a form that can be serialised as JSON and passed back to the constructor.
+	 */
+	toJSON: function() {
+		return {
+			name: this.name,
+			space: this.space.id,
+			stops: this.stops.map(function(stop) {
+				return { position: stop.position, colour: stop.colour };
+			})
+		};
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,265 @@
+/**
+ * Maps of the plane of two parameters of a system, for finding parameter sets worth looking at.
+ * Each pixel stands for a parameter set, whose orbit is iterated as for a render of its attractor
+ * (with the same detection of escape, point attractors and periodic orbits, but without plotting anything),
+ * and is coloured either by the largest Lyapunov exponent, in the manner of Mario Markus' Lyapunov fractals,
+ * or by the kind of attractor found.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A map of the plane of two parameters, rendered a few rows at a time into an RGBA buffer.
+ * @param system The system to map, as in AttractorCanvas.Engine.prototype.systems; it must be an iterated map.
+ * @param parameterSet Values of the parameters, including those not varied by the map
+ * @param options Any of:
+ * parameters: names of the parameters varied horizontally and vertically (default the first two),
+ * centre: values of those parameters at the centre of the map (default their values in the parameter set),
+ * zoom: pixels per unit of either parameter (default a quarter of the smaller of the width and height),
+ * width, height: size of the map in pixels (default 200 by 200),
+ * iterations: number of iterations used to classify each pixel (default 1000),
+ * colouring: id of one of AttractorCanvas.ParameterMap.colourings (default 'lyapunov'),
+ * lyapunovRange: magnitude of the Lyapunov exponent given the strongest colour (default 1).
+ * @throws Error if the system is a flow, has fewer than two parameters, or the options are not valid.
+ * @returns {AttractorCanvas.ParameterMap} The new instance
+ */
+AttractorCanvas.ParameterMap = function(system, parameterSet, options) {
+	var names = Object.keys(parameterSet), i;
+	options = options || {};
+	if (system.derivative) {
+		throw new Error('Parameter maps can only be drawn for iterated maps');
+	}
+	this.system = system;
+	this.parameterSet = parameterSet;
+	this.parameters = options.parameters || names.slice(0, 2);
+	if (this.parameters.length !== 2 || this.parameters[0] === this.parameters[1]) {
+		throw new Error('A parameter map needs two different parameters');
+	}
+	for (i = 0; i < 2; i++) {
+		if (!parameterSet.hasOwnProperty(this.parameters[i])) {
+			throw new Error("Unknown parameter '" + this.parameters[i] + "'");
+		}
+	}
+	this.width = options.width || 200;
+	this.height = options.height || 200;
+	this.centre = options.centre || [ parameterSet[this.parameters[0]], parameterSet[this.parameters[1]] ];
+	this.zoom = options.zoom || Math.min(this.width, this.height) / 4;
+	this.iterations = options.iterations || 1000;
+	this.colouring = AttractorCanvas.ParameterMap.findColouring(options.colouring || 'lyapunov');
+	if (!this.colouring) {
+		throw new Error("Unknown colouring '" + options.colouring + "'");
+	}
+	this.lyapunovRange = options.lyapunovRange || 1;
+	this.reset();
+};
+
+/**
+ * The kinds of attractor distinguished by the map, and the colours they are shown in when classified.
+ */
+AttractorCanvas.ParameterMap.classes = [
+	{ id: 'escaped', name: 'Escapes to infinity', colour: [ 0, 0, 0 ] },
+	{ id: 'fixedPoint', name: 'Point attractor', colour: [ 40, 60, 170 ] },
+	{ id: 'cycle', name: 'Periodic orbit', colour: [ 40, 170, 80 ] },
+	{ id: 'regular', name: 'Bounded, not chaotic', colour: [ 150, 150, 150 ] },
+	{ id: 'chaotic', name: 'Chaotic', colour: [ 250, 170, 30 ] },
+	{ id: 'error', name: 'Cannot be iterated', colour: [ 140, 20, 20 ] }
+];
+
+/**
+ * @returns The class with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.ParameterMap.findClass = function(id) {
+	var i, classes = AttractorCanvas.ParameterMap.classes;
+	for (i = 0; i < classes.length; i++) {
+		if (id === classes[i].id) {
+			return classes[i];
+		}
+	}
+	return undefined;
+};
+
+/**
+ * Ways of colouring the map. Each getColour() is passed the result for a pixel (see evaluate()) and the map,
+ * and returns [ red, green, blue ].
+ */
+AttractorCanvas.ParameterMap.colourings = [
+	/**
+	 * Gold for negative exponents and blue for positive ones, the brighter the larger their magnitude.
+	 * Attracting cycles found before the exponent could be measured count as strongly negative.
+	 */
+	{
+		id: 'lyapunov',
+		name: 'Largest Lyapunov exponent',
+		getColour: function(result, map) {
+			var t;
+			if ('escaped' === result.classification || 'error' === result.classification) {
+				return [ 0, 0, 0 ];
+			}
+			t = Math.min(1, Math.abs(result.lyapunov) / map.lyapunovRange);
+			t = Math.sqrt(t);
+			return result.lyapunov < 0 ? [ 255 * t, 200 * t, 40 * t ] : [ 40 * t, 110 * t, 255 * t ];
+		}
+	},
+	{
+		id: 'classification',
+		name: 'Kind of attractor',
+		getColour: function(result) {
+			var colour = AttractorCanvas.ParameterMap.findClass(result.classification).colour, shade;
+			if ('cycle' === result.classification) {
+				// Longer periods are paler
+				shade = Math.min(1, Math.log(result.period) / Math.log(64));
+				return [ colour[0] + (255 - colour[0]) * shade * 0.6, colour[1] + (255 - colour[1]) * shade * 0.6, colour[2] + (255 - colour[2]) * shade * 0.6 ];
+			}
+			return colour;
+		}
+	}
+];
+
+/**
+ * @returns The colouring with the given identifier, or undefined if there is none.
+ */
+AttractorCanvas.ParameterMap.findColouring = function(id) {
+	var i, colourings = AttractorCanvas.ParameterMap.colourings;
+	for (i = 0; i < colourings.length; i++) {
+		if (id === colourings[i].id) {
+			return colourings[i];
+		}
+	}
+	return undefined;
+};
+
+AttractorCanvas.ParameterMap.prototype = {
+	/**
+	 * Discard the pixels rendered so far, e.g. after the view of the map has changed.
+	 */
+	reset: function() {
+		this.imageData = {
+			width: this.width,
+			height: this.height,
+			data: new Uint8ClampedArray(this.width * this.height * 4)
+		};
+		this.results = [];
+		// Number of rows rendered so far
+		this.row = 0;
+		return this;
+	},
+	getCentre: function() {
+		return [ this.centre[0], this.centre[1] ];
+	},
+	setCentre: function(x, y) {
+		this.centre = [ x, y ];
+		return this.reset();
+	},
+	getZoom: function() {
+		return this.zoom;
+	},
+	zoomBy: function(factor) {
+		this.zoom *= factor;
+		return this.reset();
+	},
+	/**
+	 * The value of the horizontal parameter at the given column.
+	 */
+	colToParameter: function(c) {
+		return (c + 0.5 - this.width / 2) / this.zoom + this.centre[0];
+	},
+	/**
+	 * The value of the vertical parameter at the given row, which increases up the map.
+	 */
+	rowToParameter: function(r) {
+		return (r + 0.5 - this.height / 2) / -this.zoom + this.centre[1];
+	},
+	/**
+	 * The parameter set at the given pixel.
+	 */
+	getParameterSet: function(c, r) {
+		var parameterSet = {}, name;
+		for (name in this.parameterSet) {
+			parameterSet[name] = this.parameterSet[name];
+		}
+		parameterSet[this.parameters[0]] = this.colToParameter(c);
+		parameterSet[this.parameters[1]] = this.rowToParameter(r);
+		return parameterSet;
+	},
+	/**
+	 * Iterate the orbit of the given parameter set and classify it.
+	 * @returns The status as for AttractorCanvas.Renderer.run(), the largest Lyapunov exponent,
+	 * the period of any periodic orbit, and the classification: the id of one of AttractorCanvas.ParameterMap.classes.
+	 */
+	evaluate: function(parameterSet) {
+		var renderer = new AttractorCanvas.Renderer({
+				iterate: this.system.iterate,
+				jacobian: this.system.jacobian,
+				params: parameterSet,
+				initialValues: this.system.initialValues,
+				colourFunc: function() {
+					return [ 0, 0, 0 ];
+				},
+				iterations: this.iterations,
+				view: { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 }
+			}),
+			result = { period: 0 };
+		result.status = AttractorCanvas.Engine.runRenderer(renderer, this.iterations).status;
+		result.period = renderer.period;
+		if (renderer.lyapunovNumIter) {
+			result.lyapunov = renderer.getLyapunovExponent();
+		} else {
+			// Orbits that settle down before the exponent is measured are strongly attracting
+			result.lyapunov = 'fixedPoint' === renderer.status || 'cycle' === renderer.status ? -Infinity : NaN;
+		}
+		switch (renderer.status) {
+		case 'escaped':
+		case 'fixedPoint':
+		case 'cycle':
+			result.classification = renderer.status;
+			break;
+		case 'error':
+		case 'nan':
+			result.classification = 'error';
+			break;
+		default:
+			result.classification = result.lyapunov > 0.001 ? 'chaotic' : 'regular';
+		}
+		return result;
+	},
+	/**
+	 * Render up to the given number of further rows.
+	 * @returns Whether the whole map has now been rendered.
+	 */
+	renderRows: function(count) {
+		var data = this.imageData.data, end = Math.min(this.height, this.row + count), c, result, colour, j;
+		for (/* NOP */; this.row < end; this.row++) {
+			for (c = 0; c < this.width; c++) {
+				result = this.evaluate(this.getParameterSet(c, this.row));
+				colour = this.colouring.getColour(result, this);
+				j = 4 * (this.row * this.width + c);
+				data[j] = colour[0];
+				data[j + 1] = colour[1];
+				data[j + 2] = colour[2];
+				data[j + 3] = 255;
+				this.results.push(result);
+			}
+		}
+		return this.isComplete();
+	},
+	/**
+	 * The result for the given pixel, as for evaluate(), or undefined if it has not been rendered yet.
+	 */
+	getResult: function(c, r) {
+		return this.results[r * this.width + c];
+	},
+	isComplete: function() {
+		return this.row >= this.height;
+	},
+	getProgress: function() {
+		return this.row / this.height;
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
@@ -0,0 +1,177 @@
+/**
+ * Random search for chaotic parameter sets, in the manner of J. C. Sprott's
+ * "Strange Attractors: Creating Patterns in Chaos" (http://sprott.physics.wisc.edu/sa.htm)
+ * and Paul Bourke's random attractors gallery (http://paulbourke.net/fractals/lyapunov/).
+ *
+ * Candidate parameter sets are sampled at random, and those whose orbits escape to infinity,
+ * settle onto a fixed point or have too small a Lyapunov exponent are discarded.
+ * The survivors are scored by an estimate of their box-counting dimension,
+ * which favours attractors that fill an area over those that trace out curves.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+/**
+ * A seedable search over the parameters of one system.
+ * The same system, options and seed always yield the same sequence of candidates.
+ * @param system The system to search, as in AttractorCanvas.Engine.prototype.systems.
+ * Its parameters are the keys of its first parameter set.
+ * @param options Any of:
+ * seed: integer seed of the search (default random),
+ * iterations: number of iterations used to test each candidate (default 10000),
+ * range: parameters are sampled from [-range, range] (default 1.2),
+ * step: parameters are rounded to multiples of this, so that they can easily be written down (default 0.1),
+ * minLyapunov: candidates with a smaller Lyapunov exponent are discarded (default 0.005),
+ * minDimension: candidates with a smaller dimension estimate are discarded (default 1),
+ * thumbnailSize: width and height of each candidate's thumbnail histogram (default 64),
+ * colourFunc: colour mode function for the thumbnails (default black),
+ * palette: AttractorCanvas.Palette for the colour mode (default the Rainbow preset).
+ * @returns {AttractorCanvas.Search} The new instance
+ */
+AttractorCanvas.Search = function(system, options) {
+	options = options || {};
+	this.system = system;
+	this.parameterNames = Object.keys(system.parameterSets[0]);
+	this.seed = undefined === options.seed ? Math.floor(Math.random() * 4294967296) : options.seed;
+	this.random = AttractorCanvas.Search.random(this.seed);
+	this.iterations = options.iterations || 10000;
+	this.range = options.range || 1.2;
+	this.step = options.step || 0.1;
+	this.minLyapunov = undefined === options.minLyapunov ? 0.005 : options.minLyapunov;
+	this.minDimension = undefined === options.minDimension ? 1 : options.minDimension;
+	this.thumbnailSize = options.thumbnailSize || 64;
+	this.colourFunc = options.colourFunc || function() {
+		return [ 0, 0, 0 ];
+	};
+	this.palette = options.palette;
+	// Number of candidates tried and accepted so far
+	this.tried = 0;
+	this.accepted = 0;
+};
+
+/**
+ * A seeded pseudo-random number generator (mulberry32).
+ * @param seed Integer seed
+ * @returns A function returning successive pseudo-random numbers in [0, 1).
+ */
+AttractorCanvas.Search.random = function(seed) {
+	var state = seed >>> 0;
+	return function() {
+		var t;
+		state = (state + 0x6D2B79F5) >>> 0;
+		t = Math.imul(state ^ (state >>> 15), state | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+AttractorCanvas.Search.prototype = {
+	/**
+	 * The parameter set for the given candidate seed.
+	 */
+	createParameterSet: function(seed) {
+		var random = AttractorCanvas.Search.random(seed),
+			steps = Math.round(this.range / this.step),
+			parameterSet = {},
+			i, k;
+		for (i = 0; i < this.parameterNames.length; i++) {
+			k = Math.floor(random() * (2 * steps + 1)) - steps;
+			// Round away the representation error of k * step
+			parameterSet[this.parameterNames[i]] = parseFloat((k * this.step).toPrecision(12));
+		}
+		return parameterSet;
+	},
+	/**
+	 * Test the given parameter set.
+	 * @param parameterSet The parameter set to test
+	 * @param seed The candidate seed it was created from, if any, for reproducing it later
+	 * @returns A candidate with the parameterSet, seed, status (as for AttractorCanvas.Renderer.run()), lyapunov exponent, bounds,
+	 * and whether it was accepted. Accepted candidates also have a dimension estimate,
+	 * a score (higher is better), the view that frames them and a thumbnail histogram (density).
+	 */
+	evaluate: function(parameterSet, seed) {
+		var candidate = { parameterSet: parameterSet, seed: seed, accepted: false },
+			renderer = this.createRenderer(parameterSet, { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 }),
+			bounds, size;
+		this.tried++;
+		candidate.status = AttractorCanvas.Engine.runRenderer(renderer, this.iterations).status;
+		bounds = renderer.bounds;
+		candidate.lyapunov = renderer.getLyapunovExponent();
+		candidate.bounds = bounds;
+		if ('completed' !== renderer.status || !(candidate.lyapunov >= this.minLyapunov) ||
+				bounds.xmax <= bounds.xmin || bounds.ymax <= bounds.ymin) {
+			return candidate;
+		}
+		// Render again, framed by the orbit's extent, to measure how it fills the plane
+		size = this.thumbnailSize;
+		candidate.view = {
+			centreX: (bounds.xmin + bounds.xmax) / 2,
+			centreY: (bounds.ymin + bounds.ymax) / 2,
+			zoom: 0.9 * size / Math.max(bounds.xmax - bounds.xmin, bounds.ymax - bounds.ymin),
+			width: size,
+			height: size
+		};
+		renderer = this.createRenderer(parameterSet, candidate.view);
+		candidate.status = AttractorCanvas.Engine.runRenderer(renderer, this.iterations).status;
+		if ('completed' !== candidate.status) {
+			return candidate;
+		}
+		candidate.density = renderer.density;
+		candidate.dimension = this.estimateDimension(renderer.density);
+		candidate.score = candidate.dimension;
+		candidate.accepted = candidate.dimension >= this.minDimension;
+		if (candidate.accepted) {
+			this.accepted++;
+		}
+		return candidate;
+	},
+	/**
+	 * Create and test the next candidate in the search.
+	 */
+	next: function() {
+		var seed = Math.floor(this.random() * 4294967296);
+		return this.evaluate(this.createParameterSet(seed), seed);
+	},
+	createRenderer: function(parameterSet, view) {
+		return new AttractorCanvas.Renderer({
+			iterate: this.system.iterate,
+			params: parameterSet,
+			initialValues: this.system.initialValues,
+			colourFunc: this.colourFunc,
+			palette: this.palette,
+			iterations: this.iterations,
+			view: view
+		});
+	},
+	/**
+	 * Box-counting dimension of the points in a histogram,
+	 * from the number of occupied boxes as their size is successively halved.
+	 */
+	estimateDimension: function(density) {
+		var occupied = [], scale, boxes, c, r, total = 0;
+		for (scale = 4; scale >= 1; scale /= 2) {
+			boxes = {};
+			for (r = 0; r < density.height; r++) {
+				for (c = 0; c < density.width; c++) {
+					if (density.counts[r * density.width + c]) {
+						boxes[Math.floor(r / scale) * density.width + Math.floor(c / scale)] = true;
+					}
+				}
+			}
+			occupied.push(Object.keys(boxes).length);
+		}
+		// Average slope of log(boxes occupied) against log(1 / box size)
+		for (c = 1; c < occupied.length; c++) {
+			total += Math.log(occupied[c] / occupied[c - 1]) / Math.LN2;
+		}
+		return total / (occupied.length - 1);
+	}
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
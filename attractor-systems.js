@@ -0,0 +1,808 @@
+/**
+ * The built-in systems, registered with AttractorCanvas.registerSystem().
+ * Further systems can be added in the same way by script files loaded after this one,
+ * or from JSON definitions giving their iteration functions as formulae.
+ *
+ * Like attractor-core.js, this file has no dependencies on the DOM.
+ */
+
+if (typeof(AttractorCanvas) === "undefined") {
+	AttractorCanvas = {};
+}
+
+[
+	{
+		id: 'dejong',
+		name: 'Peter de Jong',
+		description: 'A non-linear Cartesian mapping due to Peter de Jong, chaotic (Lyapunov exponent > 0) for many parameters.',
+		references: [
+			'http://paulbourke.net/fractals/peterdejong/',
+			'http://complexification.net/gallery/machines/peterdejong/',
+			'http://www.a-matters.info/Geometry/Complex-System/peter-de-jong-attractor.html'
+		],
+		formula: "x' = sin(a*y) - cos(b*x)\ny' = sin(c*x) - cos(d*y)",
+		parameters: [
+			{ name: 'a', min: -3, max: 3 },
+			{ name: 'b', min: -3, max: 3 },
+			{ name: 'c', min: -3, max: 3 },
+			{ name: 'd', min: -3, max: 3 }
+		],
+		initialValues: { x: 1, y: 1 },
+		view: { zoom: 100 },
+		iterate: function(x, y, params) {
+			return {
+				x: Math.sin(params.a * y) - Math.cos(params.b * x),
+				y: Math.sin(params.c * x) - Math.cos(params.d * y)
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				params.b * Math.sin(params.b * x), params.a * Math.cos(params.a * y),
+				params.c * Math.cos(params.c * x), params.d * Math.sin(params.d * y)
+			];
+		},
+		parameterSets: [
+			// Some interesting values given by Jared Tarbell on his site
+			{ a: -0.89567065, b:  1.59095860, c:  1.8515863, d:  2.197430600 },
+			{ a: -1.97378990, b: -0.29585147, c: -2.3156738, d:  0.040812516 },
+			{ a:  2.03372000, b: -0.78980076, c: -0.5964787, d: -1.758290150 },
+			{ a: -2.09892100, b: -0.30945826, c:  1.4205422, d:  0.232973580 },
+			{ a: -1.21448970, b: -0.59580576, c: -2.2561285, d:  0.960403900 },
+			{ a:  1.41914030, b: -2.28415230, c:  2.4275403, d: -2.177196000 },
+			// Futher parameters found at:
+			// http://www.a-matters.info/Geometry/Complex-System/peter-de-jong-attractor.html
+			{ a: -0.5206013, b: -2.083939, c: 0.7189889, d: -2.40354 },
+			{ a: -2.830518, b: 1.967394, c: 1.700244, d: 1.746933 }
+		],
+		// Tarbell's fifth set collapses to a point from (1, 1), but is kept with the rest of his
+		exemptParameterSets: [ 4 ]
+	},
+	{
+		id: 'duffing',
+		name: 'Duffing',
+		description: 'A discrete version of the Duffing oscillator.',
+		references: [ 'http://en.wikipedia.org/wiki/Duffing_map' ],
+		formula: "x' = y\ny' = -b*x + a*y - y^3",
+		parameters: [
+			{ name: 'a', min: 0, max: 3 },
+			{ name: 'b', min: -0.5, max: 0.5 }
+		],
+		initialValues: { x: 1, y: 1 },
+		view: { zoom: 100 },
+		iterate: function(x, y, params) {
+			return {
+				x: y,
+				y: -params.b * x + params.a * y - (y * y * y)
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				0, 1,
+				-params.b, params.a - 3 * y * y
+			];
+		},
+		parameterSets: [
+			{ a: 2.75, b: 0.2 }
+		]
+	},
+	/**
+	 * For a = 1.4, b = 0.3 the Lyapunov exponents are approximately 0.419 and -1.623
+	 * (their sum is log(b), since the Jacobian's determinant is -b),
+	 * giving a Kaplan-Yorke dimension of 1.258 and a correlation dimension of about 1.21.
+	 */
+	{
+		id: 'henon',
+		name: 'Hénon',
+		description: 'The simplest two-dimensional map with a strange attractor, which is chaotic for a = 1.4, b = 0.3.',
+		references: [
+			'M. Hénon, "A two-dimensional mapping with a strange attractor", Commun. Math. Phys. 50, 69-77 (1976)',
+			'J. C. Sprott, "Chaos and Time-Series Analysis", Oxford University Press, 2003'
+		],
+		formula: "x' = 1 - a*x^2 + y\ny' = b*x",
+		parameters: [
+			{ name: 'a', min: 0, max: 1.5, default: 1.4 },
+			{ name: 'b', min: -1.1, max: 1.1, default: 0.3 }
+		],
+		initialValues: { x: 0, y: 0 },
+		view: { zoom: 30 },
+		iterate: function(x, y, params) {
+			return {
+				x: 1 - params.a * x * x + y,
+				y: params.b * x
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				-2 * params.a * x, 1,
+				params.b, 0
+			];
+		},
+		parameterSets: [
+			{ a: 0.2, b: 0.9991 },
+			{ a: 1.4, b: 0.3 },
+			{ a: 0.2, b: 1.01 },
+			{ a: 0.2, b: -0.99999 }
+		],
+		// With b > 1 the map expands areas, so the third set escapes; it is kept from the original presets
+		exemptParameterSets: [ 2 ]
+	},
+	{
+		id: 'gingerbread',
+		name: 'Gingerbread man',
+		description: 'A piecewise-linear map whose chaotic orbits fill a region shaped like a gingerbread man.',
+		references: [ 'R. L. Devaney, "A piecewise linear model for the zones of instability of an area-preserving map", Physica D 10, 387-393 (1984)' ],
+		formula: "x' = 1 - y + abs(x)\ny' = x",
+		initialValues: { x: -0.1, y: 0 },
+		view: { zoom: 30 },
+		iterate: function(x, y, params) {
+			return {
+				x: 1 - y + Math.abs(x),
+				y: x
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				x < 0 ? -1 : 1, -1,
+				1, 0
+			];
+		},
+		parameterSets: [
+			{}
+		]
+	},
+	{
+		id: 'tinkerbell',
+		name: 'Tinkerbell map',
+		description: 'A quadratic map whose attractor is chaotic only in a narrow range of its parameters.',
+		references: [ 'http://en.wikipedia.org/wiki/Tinkerbell_map' ],
+		formula: "x' = x^2 - y^2 + a*x + b*y\ny' = 2*x*y + c*x + d*y",
+		parameters: [
+			{ name: 'a', min: -1, max: 1.5 },
+			{ name: 'b', min: -1.5, max: 1 },
+			{ name: 'c', min: 0, max: 3 },
+			{ name: 'd', min: -1, max: 1 }
+		],
+		initialValues: { x: -0.72, y: -0.64 },
+		view: { centre: [ -0.4, -0.5 ], zoom: 170 },
+		iterate: function(x, y, params) {
+			return {
+				x: x * x - y * y + params.a * x + params.b * y,
+				y: 2 * x * y + params.c * x + params.d * y
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				2 * x + params.a, -2 * y + params.b,
+				2 * y + params.c, 2 * x + params.d
+			];
+		},
+		parameterSets: [
+			{ a: 0.9, b: -0.6013, c: 2, d: 0.50 },
+			// Wikipedia's other parameter set, { a: 0.3, b: 0.6, c: 2, d: 0.27 }, escapes from this starting point,
+			// so these were found nearby the first instead; a little further out, e.g. at a = 0.95 or c = 2.1, they escape too
+			{ a: 0.88, b: -0.6, c: 2, d: 0.5 },
+			{ a: 0.8, b: -0.6, c: 2, d: 0.5 },
+			{ a: 0.9, b: -0.6, c: 1.9, d: 0.45 },
+			{ a: 0.9, b: -0.6013, c: 2, d: 0.4 }
+		]
+	},
+	{
+		id: 'bogdanov',
+		name: 'Bogdanov map',
+		description: 'A discretisation of the Bogdanov-Takens normal form.',
+		references: [
+			// A detailed discussion of its dynamic structure
+			'http://citeseerx.ist.psu.edu/viewdoc/download?doi=10.1.1.54.9701&rep=rep1&type=pdf',
+			// Some numerical investigations of its attractors
+			'http://faculty.uaeu.ac.ae/hakca/papers/djellit-i.pdf'
+		],
+		formula: "u = (1 + eta)*y + h*x*(x - 1) + mu*x*y\nx' = x + u\ny' = u",
+		parameters: [
+			{ name: 'eta', min: -0.1, max: 0.3 },
+			{ name: 'mu', min: -3, max: 3 },
+			{ name: 'h', min: 0, max: 2 }
+		],
+		initialValues: { x: 0.1, y: 0.1 },
+		view: { zoom: 100 },
+		iterate: function(x, y, params) {
+			var nexty = (1 + params.eta) * y + params.h * x * (x - 1) + params.mu * x * y;
+			return {
+				x: x + nexty,
+				y: nexty
+			};
+		},
+		jacobian: function(x, y, params) {
+			var dudx = params.h * (2 * x - 1) + params.mu * y,
+				dudy = 1 + params.eta + params.mu * x;
+			return [
+				1 + dudx, dudy,
+				dudx, dudy
+			];
+		},
+		parameterSets: [
+			{ eta: 0.15, mu: -1.7, h: 0.3 },
+			{ eta: 0, mu: 2, h: 1.44 },
+			{ eta: 0.001, mu: -0.1, h: 1.44 }
+		],
+		// Kept from the original presets, although the second escapes within a few hundred iterations
+		exemptParameterSets: [ 1 ]
+	},
+	/**
+	 * x' = a1 + a2 x + a3 x^2 +  a4 xy +  a5 y +  a6 y^2
+	 * y' = a7 + a8 x + a9 x^2 + a10 xy + a11 y + a12 y^2
+	 */
+	{
+		id: 'quadratic',
+		name: 'Quadratic map',
+		description: 'The general two-dimensional quadratic map, whose coefficients Sprott searched for strange attractors in [-1.2, 1.2].',
+		references: [
+			'J. C. Sprott, "Strange Attractors: Creating Patterns in Chaos", M&T Books, 1993',
+			'http://mathworld.wolfram.com/StrangeAttractor.html'
+		],
+		formula: "x' = a1 + a2*x + a3*x^2 + a4*x*y + a5*y + a6*y^2\ny' = a7 + a8*x + a9*x^2 + a10*x*y + a11*y + a12*y^2",
+		parameters: [ 'a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8', 'a9', 'a10', 'a11', 'a12' ].map(function(name) {
+			return { name: name, min: -1.2, max: 1.2 };
+		}),
+		initialValues: { x: 0.1, y: 0.1 },
+		view: { zoom: 100 },
+		iterate: function(x, y, params) {
+			return {
+				x: params.a1 + params.a2 * x + params.a3 * x * x + params.a4 * x * y + params.a5 * y + params.a6 * y * y,
+				y: params.a7 + params.a8 * x + params.a9 * x * x + params.a10 * x * y + params.a11 * y + params.a12 * y * y
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				params.a2 + 2 * params.a3 * x + params.a4 * y, params.a4 * x + params.a5 + 2 * params.a6 * y,
+				params.a8 + 2 * params.a9 * x + params.a10 * y, params.a10 * x + params.a11 + 2 * params.a12 * y
+			];
+		},
+		parameterSets: [
+			// Following parameters from Wolfram Mathworld:
+			// http://mathworld.wolfram.com/StrangeAttractor.html
+			{ a1: -1.2, a2: 0, a3: 0.7, a4: 0, a5: 0.1, a6: 0.4, a7: 0.4, a8: 1.1, a9: 0.8, a10: 1.2, a11: -0.6, a12: -1.2 },
+			{ a1: -1, a2: 0.9, a3: 0.4, a4: -0.2, a5: -0.6, a6: -0.5, a7: 0.4, a8: 0.7, a9: 0.3, a10: -0.5, a11: 0.7, a12: -0.8 },
+			{ a1: -0.7, a2: -0.4, a3: 0.5, a4: -1, a5: -0.9, a6: -0.8, a7: 0.5, a8: 0.5, a9: 0.3, a10: 0.9, a11: -0.1, a12: -0.9 },
+			{ a1: -0.6, a2: -0.4, a3: -0.4, a4: -0.8, a5: 0.7, a6: 0.3, a7: -0.4, a8: 0.4, a9: 0.5, a10: 0.5, a11: 0.8, a12: -0.1 },
+			{ a1: -0.6, a2: -0.1, a3: 1.1, a4: 0.2, a5: -0.8, a6: 0.6, a7: -0.7, a8: 0.7, a9: 0.7, a10: 0.3, a11: 0.6, a12: 0.9 },
+			{ a1: -0.6, a2: 1.1, a3: 0.4, a4: 0.6, a5: 0.1, a6: 0.6, a7: -0.2, a8: -0.8, a9: -0.8, a10: -1, a11: 0.7, a12: 1.1 },
+			{ a1: -0.5, a2: -0.6, a3: 0.8, a4: -0.5, a5: -0.9, a6: 0.3, a7: -0.5, a8: 0.1, a9: 0.6, a10: -0.6, a11: 0.2, a12: -0.5 },
+			{ a1: -0.4, a2: -0.1, a3: -0.4, a4: -1.1, a5: 0.9, a6: 0.3, a7: -0.2, a8: -0.3, a9: 1, a10: -0.6, a11: 0.5, a12: 0.5 },
+			{ a1: -0.1, a2: 0.8, a3: -0.7, a4: -1.1, a5: -1.1, a6: -0.7, a7: -0.4, a8: 0.6, a9: -0.6, a10: -0.3, a11: 1.2, a12: 0.6 },
+			{ a1: 0, a2: -1, a3: 0.5, a4: -1.1, a5: -0.4, a6: 0.3, a7: 0.2, a8: 0.3, a9: -0.5, a10: 0.7, a11: -1.1, a12: 0.1 },
+			{ a1: 0, a2: -0.9, a3: 0.9, a4: -1.2, a5: -0.4, a6: -0.9, a7: 0.2, a8: 1.2, a9: -0.5, a10: 1.2, a11: -0.8, a12: -1.2 },
+			{ a1: 0.2, a2: -0.9, a3: -0.6, a4: 0.4, a5: -1, a6: 0.1, a7: 1.1, a8: 0.2, a9: -0.9, a10: 0.1, a11: 1.2, a12: -1.2 },
+			{ a1: 0.4, a2: -0.7, a3: -0.7, a4: 0.9, a5: 0.6, a6: -0.1, a7: 0, a8: -0.3, a9: -0.3, a10: -0.6, a11: -1, a12: 0.5 },
+			{ a1: 0.8, a2: 1, a3: -1.2, a4: -1, a5: 1.1, a6: -0.9, a7: 0.4, a8: -0.4, a9: -0.6, a10: -0.2, a11: -0.5, a12: -0.7 },
+			{ a1: 0.9, a2: -1.1, a3: 1, a4: 0.1, a5: -1.1, a6: -0.9, a7: -0.8, a8: -0.1, a9: 1.2, a10: -0.5, a11: 0.8, a12: -0.1 },
+			{ a1: 1, a2: 0.1, a3: -1, a4: 0.6, a5: -0.1, a6: -0.7, a7: -0.1, a8: -0.6, a9: -0.4, a10: -0.5, a11: -0.6, a12: -0.1 }
+		]
+	},
+	{
+		id: 'clifford',
+		name: 'Clifford',
+		description: "A variation of Peter de Jong's map due to Clifford Pickover, whose sinusoids are mixed in different proportions.",
+		references: [
+			'C. A. Pickover, "Chaos in Wonderland: Visual Adventures in a Fractal World", St. Martin\'s Press, 1994',
+			'http://paulbourke.net/fractals/clifford/'
+		],
+		formula: "x' = sin(a*y) + c*cos(a*x)\ny' = sin(b*x) + d*cos(b*y)",
+		parameters: [
+			{ name: 'a', min: -3, max: 3 },
+			{ name: 'b', min: -3, max: 3 },
+			{ name: 'c', min: -3, max: 3 },
+			{ name: 'd', min: -3, max: 3 }
+		],
+		initialValues: { x: 0.1, y: 0.1 },
+		view: { zoom: 65 },
+		iterate: function(x, y, params) {
+			return {
+				x: Math.sin(params.a * y) + params.c * Math.cos(params.a * x),
+				y: Math.sin(params.b * x) + params.d * Math.cos(params.b * y)
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				-params.a * params.c * Math.sin(params.a * x), params.a * Math.cos(params.a * y),
+				params.b * Math.cos(params.b * x), -params.b * params.d * Math.sin(params.b * y)
+			];
+		},
+		parameterSets: [
+			// From Paul Bourke's page
+			{ a: -1.4, b: 1.6, c: 1, d: 0.7 },
+			{ a: 1.1, b: -1, c: 1, d: 1.5 },
+			{ a: 1.6, b: -0.6, c: -1.2, d: 1.6 },
+			{ a: 1.7, b: 1.7, c: 0.06, d: 1.2 },
+			{ a: 1.3, b: 1.7, c: 0.5, d: 1.4 },
+			{ a: -1.7, b: 1.3, c: -0.1, d: -1.2 },
+			{ a: -1.8, b: -2, c: -0.5, d: -0.9 },
+			{ a: -1.7, b: 1.8, c: -1.9, d: -0.4 }
+		]
+	},
+	{
+		id: 'ikeda',
+		name: 'Ikeda',
+		description: 'A model of light going round a ring cavity containing a non-linear dielectric medium, which is chaotic for u > 0.6.',
+		references: [
+			'K. Ikeda, "Multiple-valued stationary state and its instability of the transmitted light by a ring cavity system", Opt. Commun. 30, 257-261 (1979)',
+			'S. M. Hammel, C. K. R. T. Jones and J. V. Moloney, "Global dynamical behavior of the optical field in a ring cavity", J. Opt. Soc. Am. B 2, 552-564 (1985)'
+		],
+		formula: "t = 0.4 - 6/(1 + x^2 + y^2)\nx' = 1 + u*(x*cos(t) - y*sin(t))\ny' = u*(x*sin(t) + y*cos(t))",
+		parameters: [
+			{ name: 'u', min: 0, max: 1, description: 'Proportion of the light retained on each round trip' }
+		],
+		initialValues: { x: 0, y: 0 },
+		view: { centre: [ 0.65, -0.65 ], zoom: 120 },
+		iterate: function(x, y, params) {
+			var t = 0.4 - 6 / (1 + x * x + y * y), cos = Math.cos(t), sin = Math.sin(t);
+			return {
+				x: 1 + params.u * (x * cos - y * sin),
+				y: params.u * (x * sin + y * cos)
+			};
+		},
+		parameterSets: [
+			{ u: 0.9 },
+			{ u: 0.8 },
+			{ u: 0.7 }
+		]
+	},
+	{
+		id: 'lozi',
+		name: 'Lozi',
+		description: "A piecewise-linear version of Hénon's map, whose strange attractor can be proven to exist.",
+		references: [
+			'R. Lozi, "Un attracteur étrange (?) du type attracteur de Hénon", J. Phys. Colloques 39, C5-9-C5-10 (1978)',
+			'M. Misiurewicz, "Strange attractors for the Lozi mappings", Ann. N. Y. Acad. Sci. 357, 348-358 (1980)'
+		],
+		formula: "x' = 1 - a*abs(x) + y\ny' = b*x",
+		parameters: [
+			{ name: 'a', min: 0, max: 2 },
+			{ name: 'b', min: -1, max: 1 }
+		],
+		initialValues: { x: 0, y: 0 },
+		view: { centre: [ -0.5, 0.25 ], zoom: 80 },
+		iterate: function(x, y, params) {
+			return {
+				x: 1 - params.a * Math.abs(x) + y,
+				y: params.b * x
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				x < 0 ? params.a : -params.a, 1,
+				params.b, 0
+			];
+		},
+		parameterSets: [
+			{ a: 1.7, b: 0.5 },
+			{ a: 1.4, b: 0.3 },
+			{ a: 1.8, b: 0.35 },
+			{ a: 1.7, b: -0.5 }
+		]
+	},
+	{
+		id: 'gumowskimira',
+		name: 'Gumowski–Mira',
+		description: 'A map devised to model the trajectories of particles in an accelerator, drawing shapes reminiscent of birds and sea creatures.',
+		references: [
+			'I. Gumowski and C. Mira, "Recurrences and Discrete Dynamic Systems", Lecture Notes in Mathematics 809, Springer, 1980'
+		],
+		formula: "u = y + a*(1 - s*y^2)*y + mu*x + 2*(1 - mu)*x^2/(1 + x^2)\nx' = u\ny' = -x + mu*u + 2*(1 - mu)*u^2/(1 + u^2)",
+		parameters: [
+			{ name: 'a', min: 0, max: 0.05, description: 'Strength of the dissipation' },
+			{ name: 's', min: 0, max: 0.1, description: 'Scale of the dissipation' },
+			{ name: 'mu', min: -1, max: 1, description: 'Shape of the non-linearity' }
+		],
+		initialValues: { x: 0.1, y: 0.1 },
+		view: { centre: [ 2, -2 ], zoom: 9 },
+		iterate: function(x, y, params) {
+			var mu = params.mu,
+				u = y + params.a * (1 - params.s * y * y) * y + mu * x + 2 * (1 - mu) * x * x / (1 + x * x);
+			return {
+				x: u,
+				y: -x + mu * u + 2 * (1 - mu) * u * u / (1 + u * u)
+			};
+		},
+		jacobian: function(x, y, params) {
+			var mu = params.mu,
+				u = y + params.a * (1 - params.s * y * y) * y + mu * x + 2 * (1 - mu) * x * x / (1 + x * x),
+				// Derivatives of the non-linearity at x and at u
+				dfx = mu + 4 * (1 - mu) * x / ((1 + x * x) * (1 + x * x)),
+				dfu = mu + 4 * (1 - mu) * u / ((1 + u * u) * (1 + u * u)),
+				dudy = 1 + params.a * (1 - 3 * params.s * y * y);
+			return [
+				dfx, dudy,
+				-1 + dfu * dfx, dfu * dudy
+			];
+		},
+		parameterSets: [
+			{ a: 0.008, s: 0.05, mu: -0.496 },
+			{ a: 0.008, s: 0.05, mu: -0.7 },
+			{ a: 0.008, s: 0.05, mu: -0.8 },
+			{ a: 0.009, s: 0.05, mu: -0.801 }
+		]
+	},
+	{
+		id: 'standard',
+		name: 'Chirikov standard map',
+		description: 'A kicked rotor, area-preserving, on a torus of side 2π. ' +
+			'Its last invariant circle breaks up at k = 0.971635, after which a single orbit can wander round the torus.',
+		references: [
+			'B. V. Chirikov, "A universal instability of many-dimensional oscillator systems", Phys. Rep. 52, 263-379 (1979)',
+			'J. M. Greene, "A method for determining a stochastic transition", J. Math. Phys. 20, 1183-1201 (1979)'
+		],
+		formula: "p = mod(y + k*sin(x), 2*pi)\nx' = mod(x + p, 2*pi)\ny' = p",
+		parameters: [
+			{ name: 'k', min: 0, max: 6, description: 'Strength of the kicks' }
+		],
+		initialValues: { x: 0.5, y: 0.5 },
+		view: { centre: [ Math.PI, Math.PI ], zoom: 60 },
+		iterate: function(x, y, params) {
+			var twoPi = 2 * Math.PI, p = y + params.k * Math.sin(x);
+			p -= twoPi * Math.floor(p / twoPi);
+			x += p;
+			return {
+				x: x - twoPi * Math.floor(x / twoPi),
+				y: p
+			};
+		},
+		jacobian: function(x, y, params) {
+			var dp = params.k * Math.cos(x);
+			return [
+				1 + dp, 1,
+				dp, 1
+			];
+		},
+		parameterSets: [
+			{ k: 0.971635 },
+			{ k: 1.2 },
+			{ k: 2 },
+			// An invariant circle
+			{ k: 0.5 }
+		]
+	},
+	{
+		id: 'zaslavsky',
+		name: 'Zaslavsky web map',
+		description: 'A kicked harmonic oscillator, whose orbits spread through a web with q-fold symmetry when the kicks resonate with the oscillation.',
+		references: [
+			'A. A. Chernikov, R. Z. Sagdeev, D. A. Usikov, M. Yu. Zakharov and G. M. Zaslavsky, "Minimal chaos and stochastic webs", Nature 326, 559-563 (1987)',
+			'G. M. Zaslavsky, R. Z. Sagdeev, D. A. Usikov and A. A. Chernikov, "Weak Chaos and Quasi-Regular Patterns", Cambridge University Press, 1991'
+		],
+		formula: "u = x + k*sin(y)\nx' = u*cos(2*pi/q) + y*sin(2*pi/q)\ny' = -u*sin(2*pi/q) + y*cos(2*pi/q)",
+		parameters: [
+			{ name: 'k', min: 0, max: 3, description: 'Strength of the kicks' },
+			{ name: 'q', min: 3, max: 12, description: 'Number of kicks in each period of the oscillator' }
+		],
+		initialValues: { x: 0.5, y: 3 },
+		view: { zoom: 20 },
+		iterate: function(x, y, params) {
+			var angle = 2 * Math.PI / params.q, cos = Math.cos(angle), sin = Math.sin(angle),
+				u = x + params.k * Math.sin(y);
+			return {
+				x: u * cos + y * sin,
+				y: -u * sin + y * cos
+			};
+		},
+		jacobian: function(x, y, params) {
+			var angle = 2 * Math.PI / params.q, cos = Math.cos(angle), sin = Math.sin(angle),
+				dudy = params.k * Math.cos(y);
+			return [
+				cos, dudy * cos + sin,
+				-sin, -dudy * sin + cos
+			];
+		},
+		parameterSets: [
+			{ k: 1.5, q: 4 },
+			{ k: 1.2, q: 5 },
+			{ k: 1.5, q: 6 },
+			{ k: 1.5, q: 7 },
+			{ k: 0.8, q: 5 }
+		]
+	},
+	{
+		id: 'gingerbreadfamily',
+		name: 'Gingerbread man family',
+		description: 'The gingerbread man map with the slope of its fold made a parameter: a = 1 gives the gingerbread man itself.',
+		references: [ 'R. L. Devaney, "A piecewise linear model for the zones of instability of an area-preserving map", Physica D 10, 387-393 (1984)' ],
+		formula: "x' = 1 - y + a*abs(x)\ny' = x",
+		parameters: [
+			{ name: 'a', min: -1.5, max: 1.5, description: 'Slope of the fold' }
+		],
+		initialValues: { x: -0.1, y: 0 },
+		view: { centre: [ 1.5, 1.5 ], zoom: 28 },
+		iterate: function(x, y, params) {
+			return {
+				x: 1 - y + params.a * Math.abs(x),
+				y: x
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				x < 0 ? -params.a : params.a, -1,
+				1, 0
+			];
+		},
+		parameterSets: [
+			{ a: 1 },
+			{ a: 0.9 },
+			{ a: 0.5 },
+			{ a: -0.5 },
+			{ a: -1 }
+		]
+	},
+	{
+		id: 'svensson',
+		name: 'Svensson',
+		description: "Johnny Svensson's variation of Peter de Jong's map.",
+		references: [ 'http://paulbourke.net/fractals/peterdejong/' ],
+		formula: "x' = d*sin(a*x) - sin(b*y)\ny' = c*cos(a*x) + cos(b*y)",
+		parameters: [
+			{ name: 'a', min: -3, max: 3 },
+			{ name: 'b', min: -3, max: 3 },
+			{ name: 'c', min: -7, max: 7 },
+			{ name: 'd', min: -7, max: 7 }
+		],
+		initialValues: { x: 0.1, y: 0.1 },
+		view: { zoom: 26 },
+		iterate: function(x, y, params) {
+			return {
+				x: params.d * Math.sin(params.a * x) - Math.sin(params.b * y),
+				y: params.c * Math.cos(params.a * x) + Math.cos(params.b * y)
+			};
+		},
+		jacobian: function(x, y, params) {
+			return [
+				params.a * params.d * Math.cos(params.a * x), -params.b * Math.cos(params.b * y),
+				-params.a * params.c * Math.sin(params.a * x), -params.b * Math.sin(params.b * y)
+			];
+		},
+		parameterSets: [
+			{ a: 1.4, b: 1.56, c: 1.4, d: -6.56 },
+			{ a: -0.91, b: -1.29, c: -1.97, d: -1.56 },
+			{ a: 1.5, b: -1.8, c: 1.6, d: 0.9 },
+			{ a: -1.78, b: 1.29, c: -0.09, d: -1.18 },
+			{ a: -2.337, b: -2.337, c: 0.533, d: 1.378 }
+		]
+	},
+	{
+		id: 'bedhead',
+		name: 'Bedhead',
+		description: "Ivan Emrich's map, named for the tousled look of its attractors.",
+		references: [ 'http://paulbourke.net/fractals/bedhead/' ],
+		formula: "x' = sin(x*y/b)*y + cos(a*x - y)\ny' = x + sin(y)/b",
+		parameters: [
+			{ name: 'a', min: -1, max: 1 },
+			{ name: 'b', min: -1, max: 1, description: 'Must not be zero' }
+		],
+		initialValues: { x: 1, y: 1 },
+		view: { centre: [ 0, 0.5 ], zoom: 35 },
+		iterate: function(x, y, params) {
+			return {
+				x: Math.sin(x * y / params.b) * y + Math.cos(params.a * x - y),
+				y: x + Math.sin(y) / params.b
+			};
+		},
+		jacobian: function(x, y, params) {
+			var cos = Math.cos(x * y / params.b), sin = Math.sin(params.a * x - y);
+			return [
+				cos * y * y / params.b - params.a * sin, cos * x * y / params.b + Math.sin(x * y / params.b) + sin,
+				1, Math.cos(y) / params.b
+			];
+		},
+		parameterSets: [
+			{ a: -0.81, b: -0.92 },
+			{ a: -0.67, b: 0.83 },
+			{ a: -0.92, b: 0.81 },
+			{ a: 0.06, b: 0.98 },
+			{ a: -0.64, b: 0.76 }
+		]
+	},
+	{
+		id: 'symmetricicon',
+		name: 'Symmetric icon',
+		description: "Field and Golubitsky's map of the complex plane, z' = (lambda + alpha*|z|^2 + beta*Re(z^n) + i*omega)*z + gamma*conj(z)^(n - 1), " +
+			'whose attractors have n-fold rotational symmetry, and mirror symmetry as well when omega is zero.',
+		references: [ 'M. Field and M. Golubitsky, "Symmetry in Chaos", Oxford University Press (1992)' ],
+		formula: "r2 = x^2 + y^2\nt = atan2(y, x)\np = lambda + alpha*r2 + beta*r2^(n/2)*cos(n*t)\ng = gamma*r2^((n - 1)/2)\n" +
+			"x' = p*x - omega*y + g*cos((n - 1)*t)\ny' = p*y + omega*x - g*sin((n - 1)*t)",
+		parameters: [
+			{ name: 'lambda', min: -3, max: 3 },
+			{ name: 'alpha', min: -20, max: 20 },
+			{ name: 'beta', min: -20, max: 20 },
+			{ name: 'gamma', min: -2, max: 2 },
+			{ name: 'omega', min: -1, max: 1, description: 'Rotation, which breaks the mirror symmetry' },
+			{ name: 'n', min: 1, max: 24, description: 'Order of the rotational symmetry; must be a whole number' }
+		],
+		initialValues: { x: 0.01, y: 0.003 },
+		view: { zoom: 130 },
+		iterate: function(x, y, params) {
+			var r2 = x * x + y * y,
+				t = Math.atan2(y, x),
+				p = params.lambda + params.alpha * r2 + params.beta * Math.pow(r2, params.n / 2) * Math.cos(params.n * t),
+				g = params.gamma * Math.pow(r2, (params.n - 1) / 2);
+			return {
+				x: p * x - params.omega * y + g * Math.cos((params.n - 1) * t),
+				y: p * y + params.omega * x - g * Math.sin((params.n - 1) * t)
+			};
+		},
+		parameterSets: [
+			{ lambda: -2.08, alpha: 1, beta: -0.1, gamma: 0.167, omega: 0, n: 7 },
+			{ lambda: 1.56, alpha: -1, beta: 0.1, gamma: -0.82, omega: 0.12, n: 3 },
+			{ lambda: -1.806, alpha: 1.806, beta: 0, gamma: 1.5, omega: 0, n: 7 },
+			{ lambda: -2.195, alpha: 10, beta: -12, gamma: 1, omega: 0, n: 3 },
+			{ lambda: -2.05, alpha: 3, beta: -16.79, gamma: 1, omega: 0, n: 9 },
+			{ lambda: -2.7, alpha: 5, beta: 1.5, gamma: 1, omega: 0, n: 6 },
+			{ lambda: 2.409, alpha: -2.5, beta: 0, gamma: 0.9, omega: 0, n: 23 },
+			{ lambda: 2.6, alpha: -2, beta: 0, gamma: -0.5, omega: 0, n: 5 },
+			{ lambda: 1.455, alpha: -1, beta: 0.03, gamma: -0.8, omega: 0, n: 3 },
+			{ lambda: 2.39, alpha: -2.5, beta: -0.1, gamma: 0.9, omega: -0.15, n: 16 }
+		]
+	},
+	/**
+	 * The continuous-time systems below are flows rather than maps: each has a derivative giving dx/dt etc.
+	 * in place of an iteration function, the number of dimensions of its state,
+	 * and a view that includes a default time step and the rotation from which it is first seen.
+	 * For the classic parameters of the Lorenz system the Lyapunov exponents are approximately
+	 * 0.906, 0 and -14.57 per unit time.
+	 */
+	{
+		id: 'lorenz',
+		name: 'Lorenz (flow)',
+		description: 'A simplified model of atmospheric convection, and the first strange attractor to be described.',
+		references: [ 'E. N. Lorenz, "Deterministic nonperiodic flow", J. Atmos. Sci. 20, 130-141 (1963)' ],
+		formula: "dx/dt = sigma*(y - x)\ndy/dt = x*(rho - z) - y\ndz/dt = x*y - beta*z",
+		dimensions: 3,
+		parameters: [
+			{ name: 'sigma', min: 0, max: 30 },
+			{ name: 'rho', min: 0, max: 120 },
+			{ name: 'beta', min: 0, max: 5 }
+		],
+		initialValues: { x: 1, y: 1, z: 1 },
+		view: { centre: [ 0, 25 ], zoom: 7, rotation: { yaw: 0, pitch: -Math.PI / 2 }, timeStep: 0.005 },
+		derivative: function(state, params) {
+			var x = state[0], y = state[1], z = state[2];
+			return [
+				params.sigma * (y - x),
+				x * (params.rho - z) - y,
+				x * y - params.beta * z
+			];
+		},
+		parameterSets: [
+			{ sigma: 10, rho: 28, beta: 8 / 3 },
+			// Used as a benchmark by A. Wolf et al., "Determining Lyapunov exponents from a time series",
+			// Physica D 16, 285-317 (1985), who give a largest exponent of 1.50
+			{ sigma: 16, rho: 45.92, beta: 4 },
+			// A periodic orbit, knotted about both lobes
+			{ sigma: 10, rho: 99.96, beta: 8 / 3 }
+		]
+	},
+	{
+		id: 'rossler',
+		name: 'Rössler (flow)',
+		description: 'A flow with a single non-linear term, designed to be simpler than the Lorenz system.',
+		references: [ 'O. E. Rössler, "An equation for continuous chaos", Phys. Lett. A 57, 397-398 (1976)' ],
+		formula: "dx/dt = -y - z\ndy/dt = x + a*y\ndz/dt = b + z*(x - c)",
+		dimensions: 3,
+		parameters: [
+			{ name: 'a', min: 0, max: 0.5 },
+			{ name: 'b', min: 0, max: 2 },
+			{ name: 'c', min: 0, max: 20 }
+		],
+		initialValues: { x: 1, y: 1, z: 0 },
+		view: { centre: [ 1, 1 ], zoom: 15, rotation: { yaw: 0, pitch: -0.5 }, timeStep: 0.02 },
+		derivative: function(state, params) {
+			var x = state[0], y = state[1], z = state[2];
+			return [
+				-y - z,
+				x + params.a * y,
+				params.b + z * (x - params.c)
+			];
+		},
+		parameterSets: [
+			{ a: 0.2, b: 0.2, c: 5.7 },
+			{ a: 0.1, b: 0.1, c: 14 }
+		]
+	},
+	{
+		id: 'aizawa',
+		name: 'Aizawa (flow)',
+		description: 'A flow due to Y. Aizawa whose orbits wind around a sphere-like surface with a tube through its axis.',
+		references: [ 'W. F. Langford, "Numerical studies of torus bifurcations", International Series of Numerical Mathematics 70, 285-295 (1984)' ],
+		formula: "dx/dt = (z - b)*x - d*y\ndy/dt = d*x + (z - b)*y\ndz/dt = c + a*z - z^3/3 - (x^2 + y^2)*(1 + e*z) + f*z*x^3",
+		dimensions: 3,
+		parameters: [
+			{ name: 'a', min: 0, max: 1.5 },
+			{ name: 'b', min: 0, max: 1.5 },
+			{ name: 'c', min: 0, max: 1.5 },
+			{ name: 'd', min: 0, max: 5 },
+			{ name: 'e', min: 0, max: 1 },
+			{ name: 'f', min: 0, max: 0.5 }
+		],
+		initialValues: { x: 0.1, y: 0, z: 0 },
+		view: { centre: [ 0, 0.65 ], zoom: 110, rotation: { yaw: 0.4, pitch: -1.2 }, timeStep: 0.01 },
+		derivative: function(state, params) {
+			var x = state[0], y = state[1], z = state[2];
+			return [
+				(z - params.b) * x - params.d * y,
+				params.d * x + (z - params.b) * y,
+				params.c + params.a * z - z * z * z / 3 - (x * x + y * y) * (1 + params.e * z) + params.f * z * x * x * x
+			];
+		},
+		parameterSets: [
+			{ a: 0.95, b: 0.7, c: 0.6, d: 3.5, e: 0.25, f: 0.1 }
+		]
+	},
+	/**
+	 * The system whose formula the user may edit.
+	 */
+	{
+		id: 'custom',
+		name: 'Custom',
+		custom: true,
+		formula: "x' = y\ny' = x",
+		initialValues: { x: 0, y: 0 },
+		view: { zoom: 30 },
+		iterate: function(x, y, params) {
+			return {
+				x: y,
+				y: x
+			};
+		},
+		parameterSets: [
+			{}
+		]
+	}
+].forEach(function(definition) {
+	AttractorCanvas.registerSystem(definition);
+});
+
+/**
+ * Check that a preset of a registered system shows an attractor: that its orbit, iterated and classified
+ * just as by AttractorCanvas.Engine.prototype.update(), neither escapes to infinity nor collapses to a point,
+ * nor fails, within the given number of iterations. Periodic orbits pass, since they are drawn.
+ * @param systemId Identifier of the system
+ * @param parameterSetIndex Index of the preset in the system's parameter sets
+ * @param iterations Number of iterations (default 100000)
+ * @throws Error if there is no such system.
+ * @returns The outcome, as for AttractorCanvas.Renderer.prototype.getResult(), with passed: whether the check passed
+ */
+AttractorCanvas.checkParameterSet = function(systemId, parameterSetIndex, iterations) {
+	var engine = new AttractorCanvas.Engine(64, 64), result;
+	engine.setSystemId(systemId).setParameterSetIndex(parameterSetIndex).setIterations(iterations || 100000);
+	result = AttractorCanvas.Engine.runRenderer(new AttractorCanvas.Renderer(engine.createJob()), engine.getIterations());
+	result.passed = 'completed' === result.status || 'cycle' === result.status;
+	return result;
+};
+
+/**
+ * Check every preset of every registered system but the Custom one, as for checkParameterSet(),
+ * except those the system exempts (see AttractorCanvas.registerSystem()).
+ * @param iterations Number of iterations of each (default 100000)
+ * @returns The presets that fail, each as { system, parameterSet, status } with the system's id and the preset's index;
+ * empty if all pass
+ */
+AttractorCanvas.checkPresets = function(iterations) {
+	var failures = [];
+	AttractorCanvas.systems.forEach(function(system) {
+		var i, result;
+		if (system.custom) {
+			return;
+		}
+		// The last parameter set is the editable Custom one
+		for (i = 0; i < system.parameterSets.length - 1; i++) {
+			if (system.exemptParameterSets.indexOf(i) >= 0) {
+				continue;
+			}
+			result = AttractorCanvas.checkParameterSet(system.id, i, iterations);
+			if (!result.passed) {
+				failures.push({ system: system.id, parameterSet: i, status: result.status });
+			}
+		}
+	});
+	return failures;
+};
+
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = AttractorCanvas;
+}
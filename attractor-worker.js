@@ -0,0 +1,88 @@
+/**
+ * Web Worker that runs an AttractorCanvas.Renderer off the UI thread.
+ *
+ * Accepts a single 'start' message whose job is as for AttractorCanvas.Renderer,
+ * except that the iteration function, Jacobian and derivative are given as source code, the colour mode by index
+ * and the palette by its description, since functions cannot be passed to a worker.
+ * Posts 'progress' messages carrying a copy of the histogram and the outcome so far every so often,
+ * then a final 'stop' message with the outcome, as for AttractorCanvas.Renderer.prototype.getResult(),
+ * or a 'failed' message if the job could not be started. The buffer of the orbit's first points, if the job asks for one,
+ * is sent with the first progress message after it fills up and with the stop message.
+ * The page stops a render by terminating the worker.
+ */
+
+importScripts('attractor-core.js', 'attractor-palette.js', 'attractor-flow.js');
+
+// Interval between progress reports in milliseconds
+var reportInterval = 100;
+
+// The sources are of functions registered by scripts or compiled from formulae, never of text read from a file,
+// since AttractorCanvas.registerSystem() accepts only functions
+function compileFunc(source) {
+	return eval('(' + source + ')');
+}
+
+/**
+ * Copy the renderer's histogram into a message, transferring the copies' buffers.
+ */
+function postDensity(renderer, message) {
+	var density = renderer.density,
+		copy = {
+			width: density.width,
+			height: density.height,
+			counts: density.counts.slice(),
+			red: density.red.slice(),
+			green: density.green.slice(),
+			blue: density.blue.slice(),
+			maxCount: density.maxCount
+		};
+	message.density = copy;
+	message.progress = renderer.getProgress();
+	message.statistics = renderer.getStatistics();
+	postMessage(message, [ copy.counts.buffer, copy.red.buffer, copy.green.buffer, copy.blue.buffer ]);
+}
+
+onmessage = function(event) {
+	var job = event.data.job, renderer, lastReported = Date.now(), result, message, orbitSent = false;
+	if ('start' !== event.data.command) {
+		return;
+	}
+	try {
+		if (job.iterateSource) {
+			job.iterate = compileFunc(job.iterateSource);
+		}
+		if (job.jacobianSource) {
+			job.jacobian = compileFunc(job.jacobianSource);
+		}
+		if (job.derivativeSource) {
+			job.derivative = compileFunc(job.derivativeSource);
+		}
+		job.colourFunc = AttractorCanvas.Engine.prototype.colourModes[job.colourModeIndex].getColour;
+		job.palette = new AttractorCanvas.Palette(job.palette);
+		renderer = new AttractorCanvas.Renderer(job);
+	} catch (e) {
+		postMessage({ type: 'failed', message: '' + e });
+		return;
+	}
+	do {
+		result = AttractorCanvas.Engine.runRenderer(renderer, 10000);
+		if ('running' === result.status && Date.now() - lastReported > reportInterval) {
+			message = { type: 'progress', result: result };
+			if (!orbitSent && renderer.orbit && renderer.orbit.count === renderer.orbit.size) {
+				message.orbit = renderer.orbit;
+				orbitSent = true;
+			}
+			postDensity(renderer, message);
+			lastReported = Date.now();
+		}
+	} while ('running' === result.status);
+	if (result.errorPoint) {
+		// Exceptions cannot be cloned, so pass on their description only
+		result.errorPoint = {
+			x: result.errorPoint.x,
+			y: result.errorPoint.y,
+			exception: result.errorPoint.exception && ('' + result.errorPoint.exception)
+		};
+	}
+	postDensity(renderer, { type: 'stop', result: result, orbit: renderer.orbit });
+};
@@ -21,6 +21,8 @@ if (typeof(AttractorCanvas) === "undefined") {
 
 /**
  * An HTML5 Canvas that displays a strange attractor.
+ * A thin adapter over AttractorCanvas.Engine that draws into the canvas,
+ * reports events by triggering them on the canvas, and renders in a Web Worker when possible.
  * @param canvas jQuery wrapper around the HTML5 Canvas to draw into.
  * @returns {AttractorCanvas.Attractor} The new instance
  */
@@ -28,490 +30,124 @@ AttractorCanvas.Attractor = function(canvas) {
 	this.$canvas = canvas;
 	this.canvas = canvas[0];
 	this.context = this.canvas.getContext("2d");
-	this.imageData = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
-	this.centreX = 0;
-	this.centreY = 0;
-	this.iterations = 50000;
-	this.zoom = Math.min(this.imageData.width, this.imageData.height) / 4;
-	this.currentSystem = 0;
-	this.currentParameterSet = 0;
-	this.colourModeIndex = 0;
-	// Append a custom parameter set to each system, initially identical to the last existing one
-	$(this.systems).each(function(i, system) {
-		var clone = $.extend(true, {}, system.parameterSets[system.parameterSets.length - 1]);
-		system.parameterSets.push(clone);
-	});
+	this.worker = null;
+	AttractorCanvas.Engine.call(this, this.canvas.width, this.canvas.height);
 };
+AttractorCanvas.Attractor.prototype = Object.create(AttractorCanvas.Engine.prototype);
 $.extend(AttractorCanvas.Attractor.prototype, {
-	/**
-	 * Methods of colouring the points.
-	 */
-	colourModes: [
-		{
-			name: 'Prev X co-ord',
-			getColour: function(i, r, c, previousX) {
-				return hsv2rgb(previousX, 1, 1);
-			}
-		},
-		{
-			name: 'Black',
-			getColour: function(i, r, c, previousX) {
-				return [ 0, 0, 0 ];
-			}
-		},
-		/**
-		 * This one is included mostly to show that it doesn't work well!
-		 * There is no simple relationship between iteration count
-		 * and location of point for a chaotic attractor.
-		 */
-		{
-			name: 'Alternating',
-			getColour: function(i, r, c, previousX) {
-				return (i % 2) ? [ 255, 0, 0 ] : [ 0, 0, 255 ];
-			}
-		}
-	],
-	systems: [
-		/**
-		 * Attractor due to Peter de Jong.
-		 * Non-linear Cartesian mapping, Lyapunov exponent > 0 (chaotic).
-		 */
-		{
-			name: 'Peter de Jong',
-			initialValues: { x: 1, y: 1 },
-			initialZoom: 100,
-			iterate: function(x, y, params) {
-				return {
-					x: Math.sin(params.a * y) - Math.cos(params.b * x),
-					y: Math.sin(params.c * x) - Math.cos(params.d * y)
-				};
-			},
-			parameterSets: [
-				// Some interesting values given by Jared Tarbell on his site
-				{ a: -0.89567065, b:  1.59095860, c:  1.8515863, d:  2.197430600 },
-				{ a: -1.97378990, b: -0.29585147, c: -2.3156738, d:  0.040812516 },
-				{ a:  2.03372000, b: -0.78980076, c: -0.5964787, d: -1.758290150 },
-				{ a: -2.09892100, b: -0.30945826, c:  1.4205422, d:  0.232973580 },
-				{ a: -1.21448970, b: -0.59580576, c: -2.2561285, d:  0.960403900 },
-				{ a:  1.41914030, b: -2.28415230, c:  2.4275403, d: -2.177196000 },
-				// Futher parameters found at:
-				// http://www.a-matters.info/Geometry/Complex-System/peter-de-jong-attractor.html
-				{ a: -0.5206013, b: -2.083939, c: 0.7189889, d: -2.40354 },
-				{ a: -2.830518, b: 1.967394, c: 1.700244, d: 1.746933 }
-			]
-		},
-		{
-			name: 'Duffing',
-			initialValues: { x: 1, y: 1 },
-			initialZoom: 100,
-			iterate: function(x, y, params) {
-				return {
-					x: y,
-					y: -params.b * x + params.a * y - (y * y * y)
-				};
-			},
-			parameterSets: [
-				{ a: 2.75, b: 0.2 }
-			]
-		},
-		{
-			name: 'Hénon',
-			initialValues: { x: 0, y: 0 },
-			initialZoom: 30,
-			iterate: function(x, y, params) {
-				return {
-					x: 1 - params.a * x * x + y,
-					y: params.b * x
-				};
-			},
-			parameterSets: [
-				{ a: 0.2, b: 0.9991 },
-				{ a: 1.4, b: 0.3 },
-				{ a: 0.2, b: 1.01 },
-				{ a: 0.2, b: -0.99999 }
-			]
-		},
-		{
-			name: 'Gingerbread man',
-			initialValues: { x: -0.1, y: 0 },
-			initialZoom: 30,
-			iterate: function(x, y, params) {
-				return {
-					x: 1 - y + Math.abs(x),
-					y: x
-				};
-			},
-			parameterSets: [
-				{},
-			]
-		},
-		{
-			name: 'Tinkerbell map',
-			initialValues: { x: -0.72, y: -0.64 },
-			initialZoom: 120,
-			iterate: function(x, y, params) {
-				return {
-					x: x * x - y * y + params.a * x + params.b * y,
-					y: 2 * x * y + params.c * x + params.d * y
-				};
-			},
-			parameterSets: [
-				{ a: 0.9, b: -0.6013, c: 2, d: 0.50 }
-				/**
-				 * FIXME: Boring parameters.
-				 * This Wikipedia entry:
-				 * http://en.wikipedia.org/wiki/Tinkerbell_map
-				 * lists the following parameters, but they just generate
-				 * an infinite attractor, so are pretty boring.
-				 */
-				// { a: 0.3, b:  0.6000, c: 2, d: 0.27 }
-			]
-		},
-		/**
-		 * For a detailed discussion of dynamic structure see:
-		 * http://citeseerx.ist.psu.edu/viewdoc/download?doi=10.1.1.54.9701&rep=rep1&type=pdf
-		 * For some numerical investigations of attractors see:
-		 * http://faculty.uaeu.ac.ae/hakca/papers/djellit-i.pdf
-		 */
-		{
-			name: 'Bogdanov map',
-			initialValues: { x: 0.1, y: 0.1 },
-			initialZoom: 100,
-			iterate: function(x, y, params) {
-				var nexty = (1 + params.eta) * y + params.h * x * (x - 1) + params.mu * x * y;
-				return {
-					x: x + nexty,
-					y: nexty
-				};
-			},
-			parameterSets: [
-				{ eta: 0.15, mu: -1.7, h: 0.3 },
-				{ eta: 0, mu: 2, h: 1.44 },
-				{ eta: 0.001, mu: -0.1, h: 1.44 }
-			]
-		},
-		/**
-		 * x' = a1 + a2 x + a3 x^2 +  a4 xy +  a5 y +  a6 y^2
-		 * y' = a7 + a8 x + a9 x^2 + a10 xy + a11 y + a12 y^2
-		 */
-		{
-			name: 'Quadratic map',
-			initialValues: { x: 0.1, y: 0.1 },
-			initialZoom: 100,
-			iterate: function(x, y, params) {
-				return {
-					x: params.a1 + params.a2 * x + params.a3 * x * x + params.a4 * x * y + params.a5 * y + params.a6 * y * y,
-					y: params.a7 + params.a8 * x + params.a9 * x * x + params.a10 * x * y + params.a11 * y + params.a12 * y * y
-				};
-			},
-			parameterSets: [
-				// Following parameters from Wolfram Mathworld:
-				// http://mathworld.wolfram.com/StrangeAttractor.html
-				{ a1: -1.2, a2: 0, a3: 0.7, a4: 0, a5: 0.1, a6: 0.4, a7: 0.4, a8: 1.1, a9: 0.8, a10: 1.2, a11: -0.6, a12: -1.2 },
-				{ a1: -1, a2: 0.9, a3: 0.4, a4: -0.2, a5: -0.6, a6: -0.5, a7: 0.4, a8: 0.7, a9: 0.3, a10: -0.5, a11: 0.7, a12: -0.8 },
-				{ a1: -0.7, a2: -0.4, a3: 0.5, a4: -1, a5: -0.9, a6: -0.8, a7: 0.5, a8: 0.5, a9: 0.3, a10: 0.9, a11: -0.1, a12: -0.9 },
-				{ a1: -0.6, a2: -0.4, a3: -0.4, a4: -0.8, a5: 0.7, a6: 0.3, a7: -0.4, a8: 0.4, a9: 0.5, a10: 0.5, a11: 0.8, a12: -0.1 },
-				{ a1: -0.6, a2: -0.1, a3: 1.1, a4: 0.2, a5: -0.8, a6: 0.6, a7: -0.7, a8: 0.7, a9: 0.7, a10: 0.3, a11: 0.6, a12: 0.9 },
-				{ a1: -0.6, a2: 1.1, a3: 0.4, a4: 0.6, a5: 0.1, a6: 0.6, a7: -0.2, a8: -0.8, a9: -0.8, a10: -1, a11: 0.7, a12: 1.1 },
-				{ a1: -0.5, a2: -0.6, a3: 0.8, a4: -0.5, a5: -0.9, a6: 0.3, a7: -0.5, a8: 0.1, a9: 0.6, a10: -0.6, a11: 0.2, a12: -0.5 },
-				{ a1: -0.4, a2: -0.1, a3: -0.4, a4: -1.1, a5: 0.9, a6: 0.3, a7: -0.2, a8: -0.3, a9: 1, a10: -0.6, a11: 0.5, a12: 0.5 },
-				{ a1: -0.1, a2: 0.8, a3: -0.7, a4: -1.1, a5: -1.1, a6: -0.7, a7: -0.4, a8: 0.6, a9: -0.6, a10: -0.3, a11: 1.2, a12: 0.6 },
-				{ a1: 0, a2: -1, a3: 0.5, a4: -1.1, a5: -0.4, a6: 0.3, a7: 0.2, a8: 0.3, a9: -0.5, a10: 0.7, a11: -1.1, a12: 0.1 },
-				{ a1: 0, a2: -0.9, a3: 0.9, a4: -1.2, a5: -0.4, a6: -0.9, a7: 0.2, a8: 1.2, a9: -0.5, a10: 1.2, a11: -0.8, a12: -1.2 },
-				{ a1: 0.2, a2: -0.9, a3: -0.6, a4: 0.4, a5: -1, a6: 0.1, a7: 1.1, a8: 0.2, a9: -0.9, a10: 0.1, a11: 1.2, a12: -1.2 },
-				{ a1: 0.4, a2: -0.7, a3: -0.7, a4: 0.9, a5: 0.6, a6: -0.1, a7: 0, a8: -0.3, a9: -0.3, a10: -0.6, a11: -1, a12: 0.5 },
-				{ a1: 0.8, a2: 1, a3: -1.2, a4: -1, a5: 1.1, a6: -0.9, a7: 0.4, a8: -0.4, a9: -0.6, a10: -0.2, a11: -0.5, a12: -0.7 },
-				{ a1: 0.9, a2: -1.1, a3: 1, a4: 0.1, a5: -1.1, a6: -0.9, a7: -0.8, a8: -0.1, a9: 1.2, a10: -0.5, a11: 0.8, a12: -0.1 },
-				{ a1: 1, a2: 0.1, a3: -1, a4: 0.6, a5: -0.1, a6: -0.7, a7: -0.1, a8: -0.6, a9: -0.4, a10: -0.5, a11: -0.6, a12: -0.1 }
-			]
-		},
-		{
-			name: 'Custom',
-			initialValues: { x: 0, y: 0 },
-			initialZoom: 30,
-			iterate: function(x, y, params) {
-				return {
-					x: y,
-					y: x
-				};
-			},
-			parameterSets: [
-				// TODO: Custom parameter set
-				{},
-			]
-		}
-	],
-	stop: function() {
-		this.running = false;
-		return this;
-	},
-	getCentre: function() {
-		return [ this.centreX, this.centreY ];
-	},
-	setCentre: function(rl, im) {
-		this.centreX = rl;
-		this.centreY = im;
-		return this;
-	},
-	getZoom: function() {
-		return this.zoom;
-	},
-	setZoom: function(newZoom) {
-		this.zoom = newZoom;
-		return this;
-	},
-	zoomBy: function(factor) {
-		this.zoom *= factor;
-		return this;
-	},
-	zoomOutBy: function(factor) {
-		this.zoomBy(1 / factor);
-		return this;
-	},
-	getIterations: function() {
-		return this.iterations;
-	},
-	setIterations: function(newIterations) {
-		this.iterations = newIterations;
-		return this;
-	},
-	getSystemIndex: function() {
-		return this.currentSystem;
-	},
-	setSystemIndex: function(newSystemIdx) {
-		this.currentSystem = newSystemIdx;
-		this.zoom = this.systems[this.currentSystem].initialZoom;
+	constructor: AttractorCanvas.Attractor,
+	trigger: function(eventName, data) {
+		this.$canvas.trigger(eventName, data);
 		return this;
 	},
-	getParameterSetIndex: function() {
-		return this.currentParameterSet;
+	createImageData: function() {
+		this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		return this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
 	},
-	setParameterSetIndex: function(newParamSetIdx) {
-		this.currentParameterSet = newParamSetIdx;
+	display: function() {
+		this.context.putImageData(this.imageData, 0, 0);
 		return this;
 	},
-	getSystem: function() {
-		return this.systems[this.currentSystem];
-	},
-	getParameterSet: function() {
-		return this.systems[this.currentSystem].parameterSets[this.currentParameterSet];
-	},
-	getIterationFunction: function() {
-		return this.systems[this.currentSystem].iterate;
-	},
 	/**
-	 * Select the Custom system, select the first of its parameter sets,
-	 * and set the system's iteration function to the function given.
-	 * @param func The iteration function to be used.
+	 * Resize the canvas, which clears it, if it is not already the given size.
 	 */
-	setCustomIterationFunction: function(func) {
-		// Custom iteration function is always the last entry
-		this.systems[this.systems.length - 1].iterate = func;
-	},
-	setCustomParameterSet: function(parameterSet) {
-		// Custom parameter set is always the last entry
-		var system = this.systems[this.currentSystem];
-		system.parameterSets[system.parameterSets.length - 1] = parameterSet;
-	},
-	colToX: function(c) {
-		return (c + 0.5 - this.imageData.width  / 2) /  this.zoom + this.centreX;
-	},
-	rowToY: function(r) {
-		// Inversion due to the canvas' inverted-Y co-ordinate system.
-		return (r - 0.5 - this.imageData.height / 2) / -this.zoom + this.centreY;
-	},
-	xToCol: function(x) {
-		return Math.round((x - this.centreX) *  this.zoom + this.imageData.width  / 2);
-	},
-	yToRow: function(y) {
-		return Math.round((y - this.centreY) * -this.zoom + this.imageData.height / 2);
-	},
-	getColourFunc: function() {
-		return this.colourModes[this.colourModeIndex].getColour;
+	setSize: function(width, height) {
+		if (this.canvas.width !== width || this.canvas.height !== height) {
+			this.canvas.width = width;
+			this.canvas.height = height;
+		}
+		return AttractorCanvas.Engine.prototype.setSize.call(this, width, height);
 	},
-	getColourModeIndex: function() {
-		return this.colourModeIndex;
+	update: function(iterations) {
+		// The canvas may have been resized since the last render
+		this.setSize(this.canvas.width, this.canvas.height);
+		return AttractorCanvas.Engine.prototype.update.call(this, iterations);
 	},
-	setColourModeIndex: function(newColourModeIndex) {
-		this.colourModeIndex = newColourModeIndex;
-		return this;
+	/**
+	 * Render in a Web Worker if possible, otherwise on the UI thread.
+	 * The worker replays the job's orbit itself, so any renderer already made is only used on the UI thread.
+	 */
+	startRender: function(job, renderId, renderer) {
+		if (!this.startWorker(job, renderId)) {
+			AttractorCanvas.Engine.prototype.startRender.call(this, job, renderId, renderer);
+		}
 	},
-	// TODO: Use web worker if available, fall back to below approach if not
-	update: function() {
-		// NOTE: Eclipse incorrectly warns: "The local variable [foo] is never read"
-		var i = 0, that = this,
-			minIterations = 50,
-			sys = this.getSystem(),
-			params = this.getParameterSet(),
-			colourFunc = this.getColourFunc(),
-			// Initial co-ordinates of main point
-			x = sys.initialValues.x, y = sys.initialValues.y,
-			// A small value
-			eta = Math.pow(10, -12),
-			// Partner point, initially close to main point
-			xe = x + eta, ye = y + eta,
-			// Initial distance between main point and partner point
-			d0 = Math.SQRT2 * eta,
-			// Number of steps included in calculation of largest Lyapunov exponent
-			lyapunovNumIter = 0,
-			// If the point exceeds these bounds, it is assumed to escape to infinity
-			xmax = Math.pow(2, 32), xmin = -xmax, ymax = xmax, ymin = xmin,
-			// Boundaries of drawing area in logical (x,y) co-ordinates
-			left = this.colToX(0),
-			right = this.colToX(this.canvas.width),
-			// These two are again inverted because of the Canvas' inverted Y co-ordinates
-			top = this.rowToY(this.canvas.height),
-			bottom = this.rowToY(0),
-			// Previous X co-ordinate, for colouring
-			previousX = 0
-		;
-		// Running total of Lyapunov exponent
-		this.lyapunov = 0;
-		this.stop();
-		// The following is wrapped in a setImmediate to give the preceding stop() a chance to take effect.
-		// If this is not done, multiple updates can run in pseudo-parallel, yielding corrupt drawing.
-		// This occurs despite the fact that current Javascript interpreters are single-threaded.
-		setImmediate(function() {
-			that.running = true;
-			that.context.clearRect(0, 0, that.canvas.width, that.canvas.height);
-			that.imageData = that.context.getImageData(0, 0, that.canvas.width, that.canvas.height);
-			setImmediate(function() {
-				that.$canvas.trigger(AttractorCanvas.eventNames.renderStart);
-				updateFunc.call(that);
-			});
-		});
-		function updateFunc() {
-			var next, nextd, r, rgb, dx, nexte, end = i + Math.min(this.iterations, 1000);
-			for (/* NOP */;
-				i < end;
-				i++, previousX = x, x = next.x, y = next.y
-			) {
-				if (!this.running) {
-					$().toastmessage('showNoticeToast', 'Stopped');
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					return; // Aborted
-				}
-				// Draw the corresponding pixel if it's visible onscreen
-				if (x >= left && x < right && y >= top && y < bottom) {
-					r = this.yToRow(y), c = this.xToCol(x);
-					if (false) {
-						rgb = getPixel(this.imageData, c, r);
-						if (rgb[3]) {
-							/**
-							 * TODO: Detect cycles and halt rendering.
-							 * Need somehow to distinguish between (x, y) true cycles and
-							 * (row, column) pseudo-cycles.
-							 * 
-							 * We've aready drawn this pixel in some non-transparent colour.
-							 * These attractors do have cycles, but we have not necessarily found one of them now.
-							 * It's possible that loss of numeric precision and/or the consequent
-							 * cumulative error when iterating have caused two close but distinct points
-							 * on the Argand plane to be mapped to the same pixel location on the canvas.
-							 */
-							this.running = false;
-							this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-							return; // Cycle detected
-						}
-					}
-					if (previousX < 0) {
-						previousX += that.canvas.width;
-					}
-					rgb = colourFunc(i, r, c, this.xToCol(previousX) / that.canvas.width);
-					setPixel(this.imageData, c, r, rgb[0], rgb[1], rgb[2], 255);
-				}
-				// Detect infinite attractors
-				if (x < xmin || x > xmax || y < ymin || y > ymax) {
-					$().toastmessage('showNoticeToast', 'Infinite attractor detected after ' + i + ' iterations');
-					this.running = false;
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					return;
-				}
-				// Iterate the point
-				try {
-					next = sys.iterate(x, y, params);
-				} catch (e) {
-					this.running = false;
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					this.$canvas.trigger(AttractorCanvas.eventNames.iterFuncRuntimeError, {x: x, y: y, exception: e});
-					return;
-				}
-				if (isNaN(next.x) || isNaN(next.y)) {
-					this.running = false;
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					this.$canvas.trigger(AttractorCanvas.eventNames.iterFuncRuntimeError, {x: x, y: y, exception: null});
-					return;
-				}
-				dx = Math.abs(x - next.x), dy = Math.abs(y - next.y);
-				// Detect point attractors
-				if (dx < eta && dy < eta && i > minIterations) {
-					$().toastmessage('showNoticeToast', 'Point attractor detected after ' + i + ' iterations');
-					this.running = false;
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					return;
-				}
-				// Iterate the partner, originally 'close' point
-				nexte = sys.iterate.call(sys, xe, ye, params);
-				// Update running approximation of Lyapunov exponent if some way into iteration.
-				// Values at start are discarded so as to give time to reach an attractor.
-				// FIXME: I doubt that the following calculations are correct.
-				// Need to test this software with a known attractor with known Lyapunov exponent.
-				if (i > 1000) {
-					// Calculate current distance between main point and partner point
-					nextdx = next.x - nexte.x;
-					nextdy = next.y - nexte.y;
-					nextd = Math.sqrt(nextdx * nextdx + nextdy * nextdy);
-					if (isNaN(this.lyapunov)) {
-						this.running = false;
-						this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-						throw "NaN lyapunov exponent 1";
-					}
-					this.lyapunov += Math.log(nextd / d0);
-					if (isNaN(this.lyapunov)) {
-						$().toastmessage('showErrorToast', this.lyapunov + ' ' + nextd + ' ' + d0);
-						this.running = false;
-						this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-						throw "NaN lyapunov exponent 2";
-					}
-					lyapunovNumIter++;
-					// Re-adjust partner point to be closer to main point
-					xe = next.x + d0 * nextdx / nextd;
-					ye = next.y + d0 * nextdy / nextd;
-				}
+	/**
+	 * Render in a Web Worker.
+	 * @returns false if workers are unavailable, e.g. when loaded from the local filesystem.
+	 */
+	startWorker: function(job, renderId) {
+		var that = this, worker;
+		if (typeof(Worker) === "undefined") {
+			return false;
+		}
+		try {
+			worker = new Worker('attractor-worker.js');
+		} catch (e) {
+			return false;
+		}
+		worker.onmessage = function(event) {
+			var data = event.data;
+			if (renderId !== that.renderId) {
+				return;
 			}
-			if (lyapunovNumIter) {
-				// Divide sum by number of counted values to get average,
-				// which should be approximately equal to the greatest Lyapunov exponent.
-				this.lyapunov /= lyapunovNumIter;
-				if (isNaN(this.lyapunov)) {
-					this.running = false;
-					this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
-					throw "NaN lyapunov exponent 3";
-				}
+			if ('failed' === data.type) {
+				that.finishRender({ status: 'error', iterations: 0, message: data.message });
+				return;
 			}
-			this.context.putImageData(this.imageData, 0, 0);
-			if (this.running && i < this.iterations) {
-				this.$canvas.trigger(AttractorCanvas.eventNames.renderProgress, i / this.iterations);
-				setImmediate(function() {
-					updateFunc.call(that);
-				});
+			that.density = data.density;
+			that.setStatistics(data.statistics);
+			if (data.orbit) {
+				that.orbit = data.orbit;
+			}
+			if ('progress' === data.type) {
+				that.partialResult = data.result;
+				that.redraw();
+				that.trigger(AttractorCanvas.eventNames.renderProgress, data.progress);
 			} else {
-				this.running = false;
-				this.$canvas.trigger(AttractorCanvas.eventNames.renderStop);
+				that.finishRender(data.result);
 			}
-		}
+		};
+		worker.onerror = function(event) {
+			if (renderId === that.renderId) {
+				that.finishRender({ status: 'error', iterations: that.partialResult.iterations, message: event.message });
+			}
+		};
+		worker.postMessage({
+			command: 'start',
+			job: {
+				iterateSource: job.iterate && job.iterate.toString(),
+				jacobianSource: job.jacobian && job.jacobian.toString(),
+				derivativeSource: job.derivative && job.derivative.toString(),
+				dimensions: job.dimensions,
+				integrator: job.integrator,
+				timeStep: job.timeStep,
+				rotation: job.rotation,
+				bifurcation: job.bifurcation,
+				orbitBufferSize: job.orbitBufferSize,
+				orbitKey: job.orbitKey,
+				replay: job.replay,
+				symmetry: job.symmetry,
+				colourModeIndex: job.colourModeIndex,
+				palette: job.palette.toJSON(),
+				params: job.params,
+				initialValues: job.initialValues,
+				iterations: job.iterations,
+				escapeBound: job.escapeBound,
+				eta: job.eta,
+				minIterations: job.minIterations,
+				view: job.view
+			}
+		});
+		this.worker = worker;
+		return true;
 	},
-	getLyapunovExponent: function() {
-		return this.lyapunov;
-	}
-});
-AttractorCanvas.Attractor.prototype.zoomInBy = AttractorCanvas.Attractor.prototype.zoomBy;
-
-$.extend(AttractorCanvas, {
-	eventNames: {
-		renderStart: 'Attractor.renderStart',
-		renderStop:  'Attractor.renderStop',
-		renderProgress: 'Attractor.renderProgress',
-		iterFuncRuntimeError: 'Attractor.iterFuncRuntimeError'
+	finishRender: function(result) {
+		if (this.worker) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+		AttractorCanvas.Engine.prototype.finishRender.call(this, result);
 	}
 });
 
@@ -519,7 +155,10 @@ $.extend(AttractorCanvas, {
 	$(function() {
 		var $canvas = $('#canvas'),
 			canvas = $canvas[0],
-			displayLyapunovExponent = $('#lyapunovExponent'),
+			displayLyapunovExponents = $('#lyapunovExponents'),
+			displayKaplanYorkeDimension = $('#kaplanYorkeDimension'),
+			displayCorrelationDimension = $('#correlationDimension'),
+			displayCycle = $('#cycle'),
 			displayMouseX = $('#mousex'),
 			displayMouseY = $('#mousey'),
 			editCentreX = $('#centrex'),
@@ -527,13 +166,157 @@ $.extend(AttractorCanvas, {
 			editZoomLevel = $('#zoomFactor'),
 			editMaxIterations = $('#iterationsMax'),
 			selectSystem = $('#system'),
+			systemDescription = $('#systemDescription'),
+			listSystemReferences = $('#systemReferences'),
+			systemFile = $('#systemFile'),
 			selectParameterSet = $('#selectParameterSet'),
 			parameterSetDetails = $('#parameterSetDetails'),
 			selectColourMode = $('#selectColourMode'),
 			iterFuncDetails = $('#iterFuncDetails'),
+			selectIntegrator = $('#selectIntegrator'),
+			editTimeStep = $('#timeStep'),
+			editRotationYaw = $('#rotationYaw'),
+			editRotationPitch = $('#rotationPitch'),
+			editSymmetryOrder = $('#symmetryOrder'),
+			checkSymmetryReflection = $('#symmetryReflection'),
+			selectBifurcationParameter = $('#bifurcationParameter'),
+			editBifurcationMin = $('#bifurcationMin'),
+			editBifurcationMax = $('#bifurcationMax'),
+			selectBifurcationCoordinate = $('#bifurcationCoordinate'),
+			editBifurcationLow = $('#bifurcationLow'),
+			editBifurcationHigh = $('#bifurcationHigh'),
+			editBifurcationTransient = $('#bifurcationTransient'),
+			editBifurcationIterations = $('#bifurcationIterations'),
+			buttonShowBifurcation = $('#showBifurcation'),
+			buttonShowAttractor = $('#showAttractor'),
+			selectPalette = $('#selectPalette'),
+			palettePreview = $('#palettePreview'),
+			listPaletteStops = $('#paletteStops'),
+			buttonAddPaletteStop = $('#addPaletteStop'),
+			selectPaletteSpace = $('#selectPaletteSpace'),
+			editPaletteName = $('#paletteName'),
+			buttonSavePalette = $('#savePalette'),
+			buttonDeletePalette = $('#deletePalette'),
+			// Key under which the user's palettes are kept in local storage
+			paletteStorageKey = 'AttractorCanvas.palettes',
+			editExposure = $('#exposure'),
+			editGamma = $('#gamma'),
+			checkLogScale = $('#logScale'),
 			buttonZoomIn = $('#zoomIn'),
 			buttonZoomOut = $('#zoomOut'),
+			buttonFitView = $('#fitView'),
+			checkAutoFit = $('#autoFit'),
+			// The box last fitted to by fitView(), and the view it gave, so that it can be fitted again after a resize
+			fittedView = null,
 			buttonStop = $('#stop'),
+			buttonUndo = $('#undo'),
+			buttonRedo = $('#redo'),
+			listBreadcrumbs = $('#breadcrumbs'),
+			// Number of the latest history entries shown as breadcrumbs
+			breadcrumbCount = 8,
+			// The undoable history of the view, parameters and colouring
+			viewHistory = null,
+			editSearchSeed = $('#searchSeed'),
+			buttonSearch = $('#search'),
+			buttonStopSearch = $('#stopSearch'),
+			searchStatus = $('#searchStatus'),
+			searchResults = $('#searchResults'),
+			selectMapParameterX = $('#mapParameterX'),
+			selectMapParameterY = $('#mapParameterY'),
+			selectMapColouring = $('#selectMapColouring'),
+			editMapIterations = $('#mapIterations'),
+			mapCanvas = $('#parameterMap'),
+			buttonDrawMap = $('#drawMap'),
+			buttonStopMap = $('#stopMap'),
+			buttonZoomOutMap = $('#zoomOutMap'),
+			mapStatus = $('#parameterMapStatus'),
+			editExportWidth = $('#exportWidth'),
+			editExportHeight = $('#exportHeight'),
+			buttonExportPNG = $('#exportPNG'),
+			buttonCancelExport = $('#cancelExport'),
+			exportStatus = $('#exportStatus'),
+			buttonExportOrbitCSV = $('#exportOrbitCSV'),
+			buttonExportOrbitBinary = $('#exportOrbitBinary'),
+			buttonExportDensityCSV = $('#exportDensityCSV'),
+			buttonExportDensityBinary = $('#exportDensityBinary'),
+			listKeyframes = $('#keyframes'),
+			buttonAddKeyframe = $('#addKeyframe'),
+			buttonClearKeyframes = $('#clearKeyframes'),
+			editAnimationFrames = $('#animationFrames'),
+			editAnimationFrameRate = $('#animationFrameRate'),
+			selectEasing = $('#selectEasing'),
+			buttonRenderAnimation = $('#renderAnimation'),
+			buttonPlayAnimation = $('#playAnimation'),
+			buttonPauseAnimation = $('#pauseAnimation'),
+			animationStatus = $('#animationStatus'),
+			buttonExportFrames = $('#exportFrames'),
+			buttonExportAPNG = $('#exportAPNG'),
+			editFavouriteName = $('#favouriteName'),
+			buttonSaveFavourite = $('#saveFavourite'),
+			listFavourites = $('#favourites'),
+			buttonExportLibrary = $('#exportLibrary'),
+			libraryFile = $('#libraryFile'),
+			// Largest width or height of the thumbnails of favourites, in pixels
+			favouriteThumbnailSize = 96,
+			// The user's favourite views
+			library = null,
+			buttonShowGallery = $('#showGallery'),
+			buttonHideGallery = $('#hideGallery'),
+			gallery = $('#gallery'),
+			// Width and height of the thumbnails in the gallery, in pixels
+			galleryThumbnailSize = 120,
+			// The system and formula the gallery shows, or null if it is hidden
+			gallerySystem = null,
+			buttonAddComparison = $('#addComparison'),
+			buttonClearComparison = $('#clearComparison'),
+			checkLinkComparison = $('#linkComparison'),
+			comparison = $('#comparison'),
+			// Views compared side by side, each with its state, canvas and the task rendering it
+			comparisonViews = [],
+			// Renders the gallery and compared views one at a time
+			renderQueue = new AttractorCanvas.RenderQueue(),
+			editAnalysisStart = $('#analysisStart'),
+			selectAnalysisLength = $('#analysisLength'),
+			buttonAnalyseOrbit = $('#analyseOrbit'),
+			timeSeriesCanvas = $('#timeSeries'),
+			returnMapCanvas = $('#returnMap'),
+			spectrumCanvas = $('#powerSpectrum'),
+			analysisStatus = $('#analysisStatus'),
+			buttonExportSeriesCSV = $('#exportSeriesCSV'),
+			buttonExportSpectrumCSV = $('#exportSpectrumCSV'),
+			buttonExportAnalysisPNG = $('#exportAnalysisPNG'),
+			// The window of the orbit analysed, if any, and the index in it of the iterate marked on the attractor, or -1
+			analysis = null,
+			analysisSelected = -1,
+			// The export in progress, if any
+			tiledRender = null,
+			// Keyframes chosen for the next animation, the latest animation rendered,
+			// and the timer playing it back, if any
+			keyframes = [],
+			animation = null,
+			playbackTimer = null,
+			// The search in progress, if any
+			search = null,
+			// The latest parameter map, and the one being drawn, if any
+			parameterMap = null,
+			drawingMap = null,
+			// Where the mouse button was pressed on the canvas, and whether it has since been dragged
+			dragStart = null,
+			dragged = false,
+			// What the drag is doing: 'rotate', 'pan' or 'zoomRect' (rubber-band zoom), or null before it is known
+			gesture = null,
+			// Copy of the canvas taken when a change of view began, transformed to preview the change,
+			// and the transformation applied to it as [ scale, translation x, translation y ]
+			snapshot = null,
+			previewMatrix = null,
+			// Timer that re-renders once the mouse wheel comes to rest
+			wheelTimer = null,
+			// Set from the start of a preview of a change until the change is rendered in full,
+			// since the preview's renders and their stopping are not worth reporting
+			previewing = false,
+			listParameterSliders = $('#parameterSliders'),
+			// Iterations of the preview rendered while a parameter's slider is dragged
+			sliderPreviewIterations = 10000,
 			attractor = new AttractorCanvas.Attractor($canvas),
 			resizable = $('#resizable'),
 			renderProgress = $('#renderProgress'),
@@ -544,15 +327,20 @@ $.extend(AttractorCanvas, {
 			errDetailsIterFuncRuntime = $('#errDetailsIterFuncRuntime'),
 			errMsgBadParamSet = $('#errMsgBadParamSet'),
 			errDetailsParamSet = $('#errDetailsParamSet'),
+			errContextIterFunc = $('#errContextIterFunc'),
+			errContextParamSet = $('#errContextParamSet'),
 			menuZoomIn = $('#menuZoomIn'),
 			menuZoomOut = $('#menuZoomOut'),
+			menuFitView = $('#menuFitView'),
 			errorDialogOpts
 		;
-		// This forces expression context, and also seems to help the JIT.
-		function compileExpr(text) {
-			return eval(
-				'(' + text + ')'
-			);
+		/**
+		 * Show the given error in a dialog, with the position of the error if it is known.
+		 */
+		function showParseError(e, dialog, details, context) {
+			details.text('' + e);
+			context.text(e instanceof AttractorCanvas.Expression.ParseError ? e.getContext() : '');
+			dialog.dialog(errorDialogOpts);
 		}
 		// Enable jQuery UI buttons
 		$("button").button();
@@ -561,95 +349,712 @@ $.extend(AttractorCanvas, {
 		// Enable jQuery UI menus for selects
 		$('select').menu();
 		function populateSystems() {
-			$(AttractorCanvas.Attractor.prototype.systems).each(function(i, system) {
+			selectSystem.empty();
+			// The editable Custom system goes last, after any systems registered from files
+			attractor.systems.filter(function(system) {
+				return !system.custom;
+			}).concat(attractor.systems.filter(function(system) {
+				return system.custom;
+			})).forEach(function(system) {
 				var option = $(document.createElement('option'));
 				option.text(system.name);
-				option.val(i);
+				option.val(system.id);
 				selectSystem.append(option);
 			});
 		}
+		/**
+		 * Show what is known about the current system, linking those of its references that are URLs.
+		 */
+		function showSystemDescription() {
+			var system = attractor.getSystem();
+			systemDescription.text(system.description);
+			listSystemReferences.empty();
+			system.references.forEach(function(reference) {
+				var item = $(document.createElement('li'));
+				if (/^https?:\/\//.test(reference)) {
+					item.append($(document.createElement('a')).attr({ href: reference, target: '_blank' }).text(reference));
+				} else {
+					item.text(reference);
+				}
+				listSystemReferences.append(item);
+			});
+		}
 		function populateParameterSets(systemIndex) {
 			selectParameterSet.empty();
-			$(AttractorCanvas.Attractor.prototype.systems[systemIndex].parameterSets).each(function(i, parameterSet) {
+			$(attractor.systems[systemIndex].parameterSets).each(function(i, parameterSet) {
 				var option = $(document.createElement('option'));
 				option.text(JSON.stringify(parameterSet, null, ' '));
 				option.val(i);
 				selectParameterSet.append(option);
 			});
-			// The last entry is the editable custom one; label it so.
-			selectParameterSet.find('option:last-child').text('Custom');
+			// The editable custom entry is labelled as such
+			selectParameterSet.find('option').eq(attractor.getCustomParameterSetIndex(systemIndex)).text('Custom');
+			addSavedParameterSets(attractor.systems[systemIndex]);
+		}
+		/**
+		 * List the parameter sets of the given system saved in the library, as options whose values are 'saved:'
+		 * followed by the favourite's id. Choosing one copies its values into the Custom parameter set.
+		 */
+		function addSavedParameterSets(system) {
+			var names = system.parameters.map(function(parameter) {
+					return parameter.name;
+				}),
+				favourites = library.getParameterSets(system.id, names),
+				group;
+			if (!favourites.length) {
+				return;
+			}
+			group = $(document.createElement('optgroup')).attr('label', 'Saved');
+			favourites.forEach(function(favourite) {
+				var option = $(document.createElement('option'));
+				option.text(favourite.name);
+				option.val('saved:' + favourite.id);
+				group.append(option);
+			});
+			selectParameterSet.append(group);
+		}
+		function populateIntegrators() {
+			$(AttractorCanvas.Flow.integrators).each(function(i, integrator) {
+				var option = $(document.createElement('option'));
+				option.text(integrator.name);
+				option.val(integrator.id);
+				selectIntegrator.append(option);
+			});
 		}
 		function populateColourModes() {
-			$(AttractorCanvas.Attractor.prototype.colourModes).each(function(i, colourMode) {
+			$(attractor.colourModes).each(function(i, colourMode) {
 				var option = $(document.createElement('option'));
 				option.text(colourMode.name);
 				option.val(i);
 				selectColourMode.append(option);
 			});
 		}
+		/**
+		 * The palettes saved by the user, as descriptions for AttractorCanvas.Palette.
+		 */
+		function getSavedPalettes() {
+			try {
+				return JSON.parse(localStorage.getItem(paletteStorageKey)) || [];
+			} catch (e) {
+				return [];
+			}
+		}
+		function setSavedPalettes(palettes) {
+			try {
+				localStorage.setItem(paletteStorageKey, JSON.stringify(palettes));
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'Palettes cannot be saved in this browser: ' + e.message);
+				return false;
+			}
+			return true;
+		}
+		/**
+		 * List the preset and saved palettes. Option values are 'preset:' or 'saved:' followed by the palette's name.
+		 */
+		function populatePalettes() {
+			function addGroup(label, prefix, palettes) {
+				var group = $(document.createElement('optgroup')).attr('label', label);
+				$(palettes).each(function(i, palette) {
+					var option = $(document.createElement('option'));
+					option.text(palette.name);
+					option.val(prefix + palette.name);
+					group.append(option);
+				});
+				selectPalette.append(group);
+			}
+			selectPalette.empty();
+			addGroup('Presets', 'preset:', AttractorCanvas.Palette.presets);
+			addGroup('Saved', 'saved:', getSavedPalettes());
+		}
+		function populatePaletteSpaces() {
+			$(AttractorCanvas.Palette.spaces).each(function(i, space) {
+				var option = $(document.createElement('option'));
+				option.text(space.name);
+				option.val(space.id);
+				selectPaletteSpace.append(option);
+			});
+		}
+		/**
+		 * Show the current palette in the palette selector and editor.
+		 */
+		function showPalette() {
+			var palette = attractor.getPalette(),
+				context = palettePreview[0].getContext('2d'),
+				width = palettePreview[0].width,
+				x, rgb;
+			// Saved palettes may not take the names of presets, so the name identifies the palette
+			selectPalette.val((AttractorCanvas.Palette.findPreset(palette.name) ? 'preset:' : 'saved:') + palette.name);
+			for (x = 0; x < width; x++) {
+				rgb = palette.getColour(x / (width - 1));
+				context.fillStyle = 'rgb(' + Math.round(rgb[0]) + ',' + Math.round(rgb[1]) + ',' + Math.round(rgb[2]) + ')';
+				context.fillRect(x, 0, 1, palettePreview[0].height);
+			}
+			listPaletteStops.empty();
+			$(palette.stops).each(function(i, stop) {
+				var item = $(document.createElement('li')),
+					colour = $(document.createElement('input')).attr('type', 'color').val(stop.colour),
+					position = $(document.createElement('input')).attr({ type: 'number', min: 0, max: 1, step: 0.01 }).val(stop.position),
+					remove = $(document.createElement('a')).text('remove');
+				colour.on('change', function() {
+					editPalette(function(description) {
+						description.stops[i].colour = colour.val();
+					});
+				});
+				position.on('change', function() {
+					editPalette(function(description) {
+						description.stops[i].position = parseFloat(position.val());
+					});
+				});
+				remove.on('click', function() {
+					editPalette(function(description) {
+						description.stops.splice(i, 1);
+					});
+				});
+				item.append(colour, position);
+				if (palette.stops.length > 1) {
+					item.append(remove);
+				}
+				listPaletteStops.append(item);
+			});
+			selectPaletteSpace.val(palette.space.id);
+			editPaletteName.val(palette.name);
+		}
+		/**
+		 * Change the current palette and re-render.
+		 * @param changeFunc Function that modifies the palette's description as given by its toJSON()
+		 */
+		function editPalette(changeFunc) {
+			var description = attractor.getPalette().toJSON();
+			changeFunc(description);
+			try {
+				attractor.setPalette(new AttractorCanvas.Palette(description));
+			} catch (e) {
+				$().toastmessage('showErrorToast', e.message);
+			}
+			update();
+		}
+		function populateMapColourings() {
+			$(AttractorCanvas.ParameterMap.colourings).each(function(i, colouring) {
+				var option = $(document.createElement('option'));
+				option.text(colouring.name);
+				option.val(colouring.id);
+				selectMapColouring.append(option);
+			});
+		}
+		/**
+		 * List the current parameter set's parameters as those the parameter map can vary, keeping those chosen if possible.
+		 */
+		function updateMapControls() {
+			var names = Object.keys(attractor.getParameterSet());
+			[ selectMapParameterX, selectMapParameterY ].forEach(function(select, i) {
+				var parameter = select.val();
+				select.empty();
+				names.forEach(function(name) {
+					var option = $(document.createElement('option'));
+					option.text(name);
+					option.val(name);
+					select.append(option);
+				});
+				select.val(names.indexOf(parameter) >= 0 ? parameter : names[Math.min(i, names.length - 1)]);
+			});
+			buttonDrawMap.button('option', 'disabled', attractor.isFlow() || names.length < 2);
+			buttonZoomOutMap.button('option', 'disabled', !parameterMap);
+		}
+		function populateEasings() {
+			$(AttractorCanvas.Animation.easings).each(function(i, easing) {
+				var option = $(document.createElement('option'));
+				option.text(easing.name);
+				option.val(easing.id);
+				selectEasing.append(option);
+			});
+			selectEasing.val('easeInOut');
+		}
+		/**
+		 * Fill in the bifurcation diagram controls with the given settings.
+		 */
+		function showBifurcationSettings(settings) {
+			selectBifurcationParameter.val(settings.parameter);
+			editBifurcationMin.val(settings.min);
+			editBifurcationMax.val(settings.max);
+			selectBifurcationCoordinate.val(settings.coordinate);
+			editBifurcationLow.val(settings.low);
+			editBifurcationHigh.val(settings.high);
+			editBifurcationTransient.val(settings.transient);
+			editBifurcationIterations.val(settings.iterations);
+		}
+		/**
+		 * List the current parameter set's parameters as those a bifurcation diagram can vary,
+		 * keeping the settings entered unless they refer to a parameter that no longer exists.
+		 */
+		function updateBifurcationControls() {
+			var settings = attractor.getBifurcation(),
+				names = Object.keys(attractor.getParameterSet()),
+				parameter = settings ? settings.parameter : selectBifurcationParameter.val();
+			selectBifurcationParameter.empty();
+			names.forEach(function(name) {
+				var option = $(document.createElement('option'));
+				option.text(name);
+				option.val(name);
+				selectBifurcationParameter.append(option);
+			});
+			if (settings) {
+				showBifurcationSettings(settings);
+			} else if (names.indexOf(parameter) >= 0) {
+				selectBifurcationParameter.val(parameter);
+			} else if (names.length) {
+				showBifurcationSettings(attractor.defaultBifurcation(names[0]));
+			}
+			buttonShowBifurcation.button('option', 'disabled', attractor.isFlow() || !names.length);
+			buttonShowAttractor.button('option', 'disabled', !settings);
+		}
+		/**
+		 * Show a slider and numeric field for each parameter of the current parameter set,
+		 * over the range registered for it, widened if need be to include its value.
+		 * The sliders are only rebuilt when the parameters change, so as not to disturb one being used.
+		 */
+		function showParameterSliders() {
+			var parameterSet = attractor.getParameterSet(),
+				names = Object.keys(parameterSet),
+				described = {};
+			attractor.getParameters().forEach(function(parameter) {
+				described[parameter.name] = parameter;
+			});
+			if (names.join(',') !== listParameterSliders.data('names')) {
+				listParameterSliders.empty().data('names', names.join(','));
+				names.forEach(function(name) {
+					var parameter = described[name] || AttractorCanvas.describeParameter({ name: name, default: parameterSet[name] }),
+						item = $(document.createElement('li')).attr('title', parameter.description),
+						slider = $(document.createElement('input')).attr({ type: 'range', min: parameter.min, max: parameter.max }),
+						field = $(document.createElement('input')).attr({ type: 'number', size: 8 });
+					item.data('name', name);
+					item.append($(document.createElement('label')).text(name), slider, field);
+					listParameterSliders.append(item);
+					// While dragging, preview with fewer iterations and without recording each step in the history
+					slider.on('input', function() {
+						setParameter(name, +$(this).val());
+						field.val($(this).val());
+						previewParameters();
+					}).on('change', function() {
+						setParameter(name, +$(this).val());
+						update('parameter ' + name);
+					});
+					field.on('change', function() {
+						var value = parseFloat($(this).val());
+						if (!isNaN(value)) {
+							setParameter(name, value);
+							update('parameter ' + name);
+						}
+					});
+				});
+			}
+			listParameterSliders.children().each(function() {
+				var name = $(this).data('name'),
+					value = parameterSet[name],
+					slider = $(this).find('input[type="range"]'),
+					min = Math.min(+slider.attr('min'), value),
+					max = Math.max(+slider.attr('max'), value);
+				slider.attr({ min: min, max: max, step: (max - min) / 1000 }).val(value);
+				$(this).find('input[type="number"]').val(value);
+			});
+		}
+		/**
+		 * Give a parameter a new value in the Custom parameter set, copying the other values from the current
+		 * parameter set, so that the presets are left as they are, and select it.
+		 */
+		function setParameter(name, value) {
+			var parameterSet = $.extend({}, attractor.getParameterSet());
+			parameterSet[name] = value;
+			attractor.selectCustomParameterSet(parameterSet);
+		}
+		/**
+		 * Render the current parameters quickly, for as long as they are being changed.
+		 */
+		function previewParameters() {
+			stopAnimation();
+			previewing = true;
+			selectParameterSet.val(attractor.getParameterSetIndex());
+			parameterSetDetails.val(JSON.stringify(attractor.getParameterSet(), null, ' '));
+			parameterSetDetails.prop('readonly', false);
+			attractor.update(Math.min(attractor.getIterations(), sliderPreviewIterations));
+		}
 		function updateControls() {
 			editCentreX.val(attractor.getCentre()[0]);
 			editCentreY.val(attractor.getCentre()[1]);
 			editZoomLevel.val(attractor.getZoom());
 			editMaxIterations.val(attractor.getIterations());
-			selectSystem.val(attractor.getSystemIndex());
+			selectSystem.val(attractor.getSystemId());
 			selectParameterSet.val(attractor.getParameterSetIndex());
 			parameterSetDetails.val(JSON.stringify(attractor.getParameterSet(), null, ' '));
+			showParameterSliders();
 			selectColourMode.val(attractor.getColourModeIndex());
-			iterFuncDetails.val(attractor.getIterationFunction().toString());
+			showPalette();
+			iterFuncDetails.val(attractor.getFormula() || attractor.getIterationFunction().toString());
+			// Only the Custom system and parameter set are editable
+			iterFuncDetails.prop('readonly', !attractor.isCustomSystem());
+			parameterSetDetails.prop('readonly', !attractor.isCustomParameterSet());
+			showSystemDescription();
+			// Integration and rotation only apply to flows
+			selectIntegrator.val(attractor.getIntegrator()).prop('disabled', !attractor.isFlow());
+			editTimeStep.val(attractor.getTimeStep()).spinner('option', 'disabled', !attractor.isFlow());
+			editRotationYaw.val((attractor.getRotation().yaw * 180 / Math.PI).toFixed(1)).spinner('option', 'disabled', !attractor.isFlow());
+			editRotationPitch.val((attractor.getRotation().pitch * 180 / Math.PI).toFixed(1)).spinner('option', 'disabled', !attractor.isFlow());
+			// Bifurcation diagrams are drawn without symmetry
+			editSymmetryOrder.val(attractor.getSymmetry().order).spinner('option', 'disabled', !!attractor.getBifurcation());
+			checkSymmetryReflection.prop('checked', attractor.getSymmetry().reflection).prop('disabled', !!attractor.getBifurcation());
+			// The view of a bifurcation diagram is set by its ranges rather than by the centre and zoom
+			buttonFitView.button('option', 'disabled', !!attractor.getBifurcation());
+			updateBifurcationControls();
+			updateMapControls();
+			showGallerySelection();
+			editExposure.val(attractor.getExposure());
+			editGamma.val(attractor.getGamma());
+			checkLogScale.prop('checked', attractor.getLogScale());
+		}
+		/**
+		 * The URL fragment that restores the current view.
+		 */
+		function getStateHash() {
+			return '#' + encodeURIComponent(JSON.stringify(attractor));
+		}
+		/**
+		 * Record the current view in the URL, as a new history entry so that Back returns to the previous one.
+		 */
+		function updateHash() {
+			if (getStateHash() !== location.hash) {
+				history.pushState(null, '', getStateHash());
+			}
+		}
+		/**
+		 * Restore the view recorded in the URL, if any.
+		 */
+		function restoreFromHash() {
+			// location.hash is decoded by some browsers, so take the fragment from the full URL
+			var fragment = location.href.split('#')[1];
+			if (!fragment || '#' + fragment === getStateHash()) {
+				return false;
+			}
+			try {
+				attractor.fromJSON(JSON.parse(decodeURIComponent(fragment)));
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'The link could not be restored: ' + e.message);
+				return false;
+			}
+			populateParameterSets(attractor.getSystemIndex());
+			resizable.width(attractor.getWidth()).height(attractor.getHeight());
+			return true;
 		}
-		function update() {
+		/**
+		 * Re-render after a change, recording it in the history.
+		 * @param historyKey Optionally, what was changed, so that rapid changes to it make a single history entry
+		 */
+		function update(historyKey) {
+			// The animation would otherwise draw over the new render
+			stopAnimation();
+			if (viewHistory) {
+				viewHistory.record(historyKey);
+				showHistory();
+			}
 			updateControls();
+			updateHash();
 			attractor.update();
-			displayLyapunovExponent.text(attractor.getLyapunovExponent());
+			// Only once the preview, if any, has been stopped by the update above
+			previewing = false;
+			if (null !== gallerySystem && getGallerySystem() !== gallerySystem) {
+				showGallery();
+			}
+			// Keep the analysis to the orbit shown
+			if (analysis && analysis.key !== AttractorCanvas.Renderer.orbitKey(attractor.createJob())) {
+				analyseOrbit();
+			}
+			linkComparison();
 		}
-		$canvas.on('mousemove', function(event) {
-			displayMouseX.text(attractor.colToX(event.pageX - $canvas.offset().left));
-			displayMouseY.text(attractor.rowToY(event.pageY - $canvas.offset().top));
-		}).on('click', function(event) {
+		/**
+		 * Enable the Undo and Redo buttons as appropriate, and list the latest history entries as breadcrumbs.
+		 */
+		function showHistory() {
+			var entries = viewHistory.getEntries(), first = Math.max(0, entries.length - breadcrumbCount);
+			buttonUndo.button('option', 'disabled', !viewHistory.canUndo());
+			buttonRedo.button('option', 'disabled', !viewHistory.canRedo());
+			listBreadcrumbs.empty();
+			entries.slice(first).forEach(function(entry, i) {
+				var index = first + i,
+					item = $(document.createElement('li')),
+					link = $(document.createElement('a')).text(entry.label);
+				if (index === viewHistory.getIndex()) {
+					item.addClass('current');
+				}
+				item.attr('title', 'Centre (' + entry.state.centre[0] + ', ' + entry.state.centre[1] + '), zoom ' + entry.state.zoom);
+				link.on('click', function() {
+					restoreHistory(function() {
+						return viewHistory.goTo(index);
+					});
+				});
+				listBreadcrumbs.append(item.append(link));
+			});
+		}
+		/**
+		 * Move through the history and re-render the state moved to.
+		 * @param move Function that restores a history entry, returning it, or undefined if it could not move
+		 */
+		function restoreHistory(move) {
+			try {
+				if (!move()) {
+					return;
+				}
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'The view could not be restored: ' + e.message);
+				return;
+			}
+			populateParameterSets(attractor.getSystemIndex());
+			resizable.width(attractor.getWidth()).height(attractor.getHeight());
+			update();
+		}
+		/**
+		 * Frame the attractor from a quick scan of its orbit, remembering the box fitted.
+		 * @returns Whether the view was changed, which it is not if the orbit escaped or could not be iterated
+		 */
+		function fitView() {
+			var bounds = attractor.fitView();
+			fittedView = bounds && { bounds: bounds, centre: attractor.getCentre(), zoom: attractor.getZoom() };
+			return !!bounds;
+		}
+		/**
+		 * Fit the view to the attractor after the system or parameter set has been changed, if that is wanted.
+		 */
+		function autoFit() {
+			if (checkAutoFit.prop('checked')) {
+				fitView();
+			}
+		}
+		/**
+		 * Whether the view is still the one last fitted to the attractor, rather than having been moved or zoomed since.
+		 */
+		function isFitted() {
+			return !!fittedView && fittedView.zoom === attractor.getZoom() &&
+				fittedView.centre[0] === attractor.getCentre()[0] && fittedView.centre[1] === attractor.getCentre()[1];
+		}
+		/**
+		 * Stop rendering and copy the canvas, so that a change of view can be previewed by transforming the copy
+		 * until the change is complete and the new view is rendered.
+		 */
+		function startPreview() {
+			var canvas = $canvas[0];
+			stopAnimation();
+			previewing = true;
+			attractor.stop();
+			snapshot = document.createElement('canvas');
+			snapshot.width = canvas.width;
+			snapshot.height = canvas.height;
+			snapshot.getContext('2d').drawImage(canvas, 0, 0);
+			previewMatrix = [ 1, 0, 0 ];
+		}
+		/**
+		 * Draw the copy of the canvas transformed by previewMatrix.
+		 */
+		function showPreview() {
+			var context = $canvas[0].getContext('2d');
+			context.clearRect(0, 0, snapshot.width, snapshot.height);
+			context.setTransform(previewMatrix[0], 0, 0, previewMatrix[0], previewMatrix[1], previewMatrix[2]);
+			context.drawImage(snapshot, 0, 0);
+			context.setTransform(1, 0, 0, 1, 0, 0);
+		}
+		/**
+		 * Zoom the view by the given factor about the given pixel, which stays where it is, and preview the result.
+		 */
+		function zoomAbout(factor, c, r) {
+			var x = attractor.colToX(c), y = attractor.rowToY(r), centre;
+			attractor.setZoom(attractor.getZoom() * factor);
+			// Move the centre by however far the pixel's point moved, so that it maps back to the same point
+			centre = attractor.getCentre();
+			attractor.setCentre(centre[0] + x - attractor.colToX(c), centre[1] + y - attractor.rowToY(r));
+			previewMatrix = [ previewMatrix[0] * factor, previewMatrix[1] * factor + c * (1 - factor), previewMatrix[2] * factor + r * (1 - factor) ];
+			showPreview();
+		}
+		$canvas.on('mousedown', function(event) {
+			dragStart = { x: event.pageX, y: event.pageY, c: event.pageX - $canvas.offset().left, r: event.pageY - $canvas.offset().top };
+			dragged = false;
+			gesture = null;
+		}).on('mousemove', function(event) {
+			var dx, dy, c = event.pageX - $canvas.offset().left, r = event.pageY - $canvas.offset().top, context;
+			if (attractor.isBifurcation()) {
+				// The parameter's value and the co-ordinate plotted
+				displayMouseX.text(attractor.colToParameter(c));
+				displayMouseY.text(attractor.rowToValue(r));
+			} else {
+				displayMouseX.text(attractor.colToX(c));
+				displayMouseY.text(attractor.rowToY(r));
+			}
+			// Bifurcation diagrams are not positioned by the centre and zoom, so cannot be panned or zoomed
+			if (!dragStart || !event.which || attractor.isBifurcation()) {
+				return;
+			}
+			dx = event.pageX - dragStart.x;
+			dy = event.pageY - dragStart.y;
+			// Ignore the slight movement of an ordinary click
+			if (!dragged && Math.abs(dx) + Math.abs(dy) < 4) {
+				return;
+			}
+			if (!dragged) {
+				// Shift-drag zooms into a rectangle, and otherwise dragging rotates a flow (unless Alt is held) or pans
+				gesture = event.shiftKey ? 'zoomRect' : attractor.isFlow() && !event.altKey ? 'rotate' : 'pan';
+				if ('rotate' !== gesture) {
+					startPreview();
+				}
+			}
+			dragged = true;
+			switch (gesture) {
+			case 'rotate':
+				dragStart.x = event.pageX;
+				dragStart.y = event.pageY;
+				attractor.rotateBy(dx * 0.01, dy * 0.01);
+				// Re-render without recording each step of the drag in the history
+				stopAnimation();
+				updateControls();
+				previewing = true;
+				attractor.update();
+				break;
+			case 'pan':
+				previewMatrix = [ 1, dx, dy ];
+				showPreview();
+				break;
+			case 'zoomRect':
+				showPreview();
+				context = $canvas[0].getContext('2d');
+				context.setLineDash([ 4, 4 ]);
+				context.strokeStyle = '#808080';
+				context.strokeRect(dragStart.c + 0.5, dragStart.r + 0.5, c - dragStart.c, r - dragStart.r);
+				context.setLineDash([]);
+				break;
+			}
+		}).on('wheel', function(event) {
+			var wheel = event.originalEvent,
+				// Lines or pages rather than pixels in some browsers
+				delta = wheel.deltaY * (wheel.deltaMode ? 40 : 1);
+			if (attractor.isBifurcation() || !delta) {
+				return;
+			}
+			event.preventDefault();
+			if (!wheelTimer) {
+				startPreview();
+			}
+			zoomAbout(Math.pow(2, -delta / 500), event.pageX - $canvas.offset().left, event.pageY - $canvas.offset().top);
+			updateControls();
+			// Re-render once the wheel comes to rest, making one history entry of a series of turns
+			clearTimeout(wheelTimer);
+			wheelTimer = setTimeout(function() {
+				wheelTimer = null;
+				update('wheel');
+			}, 250);
+		});
+		// The drag may end outside the canvas
+		$(document).on('mouseup', function(event) {
+			var c, r, width, height, start = dragStart;
+			dragStart = null;
+			if (!start || !dragged) {
+				return;
+			}
+			c = event.pageX - $canvas.offset().left;
+			r = event.pageY - $canvas.offset().top;
+			if ('pan' === gesture) {
+				attractor.setCentre(attractor.getCentre()[0] - (event.pageX - start.x) / attractor.getZoom(),
+					attractor.getCentre()[1] + (event.pageY - start.y) / attractor.getZoom());
+			} else if ('zoomRect' === gesture) {
+				width = Math.abs(c - start.c);
+				height = Math.abs(r - start.r);
+				if (width >= 4 && height >= 4) {
+					attractor.setCentre(attractor.colToX((c + start.c) / 2), attractor.rowToY((r + start.r) / 2));
+					attractor.zoomBy(Math.min(attractor.getWidth() / width, attractor.getHeight() / height));
+				}
+			}
+			update();
+		});
+		$canvas.on('click', function(event) {
+			var parameterSet;
+			if (dragged) {
+				dragged = false;
+				return;
+			}
+			if (attractor.isBifurcation()) {
+				// Show the attractor for the column's value of the parameter, in the Custom parameter set
+				parameterSet = $.extend({}, attractor.getParameterSet());
+				parameterSet[attractor.getBifurcation().parameter] = attractor.colToParameter(event.pageX - $canvas.offset().left);
+				attractor.setBifurcation(null);
+				attractor.selectCustomParameterSet(parameterSet);
+				update();
+				return;
+			}
 			attractor.setCentre(attractor.colToX(event.pageX - $canvas.offset().left), attractor.rowToY(event.pageY - $canvas.offset().top));
 			attractor.zoomInBy(2);
 			update();
 		});
 		editCentreX.on('spinchange', function() {
 			attractor.setCentre(parseFloat($(this).val()), attractor.getCentre()[1]);
-			update();
+			update('centreX');
 		});
 		editCentreY.on('spinchange', function() {
 			attractor.setCentre(attractor.getCentre()[0], parseFloat($(this).val()));
-			update();
+			update('centreY');
 		});
 		editZoomLevel.on('spinchange', function() {
 			attractor.setZoom(parseFloat($(this).val()));
-			update();
+			update('zoom');
 		});
 		editMaxIterations.on('spinchange', function() {
 			attractor.setIterations(parseInt($(this).val(), 10));
-			update();
+			update('iterations');
 		});
 		selectSystem.on('change', function() {
-			var systemIndex = +$(this).val();
-			if (systemIndex === $(this).children().length - 1) {
-				// Custom system is always last entry
-				iterFuncDetails.removeAttr('readonly');
-			} else {
-				iterFuncDetails.attr('readonly', 'readonly');
-			}
-			attractor.setSystemIndex(systemIndex);
-			populateParameterSets(systemIndex);
+			attractor.setSystemId($(this).val());
+			populateParameterSets(attractor.getSystemIndex());
+			// Search results and the parameter map refer to the previous system's parameters
+			stopSearch();
+			searchResults.empty();
+			clearMap();
 			// Select the first of the new system's parameter sets
 			attractor.setParameterSetIndex(0);
+			autoFit();
 			update();
 		});
+		systemFile.on('change', function() {
+			var file = this.files[0], reader = new FileReader();
+			if (!file) {
+				return;
+			}
+			reader.onload = function() {
+				var definitions, added = [];
+				try {
+					definitions = JSON.parse(reader.result);
+				} catch (e) {
+					$().toastmessage('showErrorToast', file.name + ' is not valid JSON: ' + e.message);
+					return;
+				}
+				// The file may hold a single definition or an array of them
+				[].concat(definitions).forEach(function(definition) {
+					try {
+						added.push(AttractorCanvas.registerSystem(definition).name);
+					} catch (e) {
+						$().toastmessage('showErrorToast', 'Could not add ' + (definition.name || definition.id || 'a system') + ': ' + e.message);
+					}
+				});
+				if (added.length) {
+					populateSystems();
+					selectSystem.val(attractor.getSystemId());
+					$().toastmessage('showSuccessToast', 'Added ' + added.join(', '));
+				}
+			};
+			reader.readAsText(file);
+			// Allow the same file to be chosen again
+			$(this).val('');
+		});
 		selectParameterSet.on('change', function() {
-			var parameterSetIndex = +$(this).val();
-			if (parameterSetIndex === $(this).children().length - 1) {
-				// Custom parameter set is always last entry
-				parameterSetDetails.removeAttr('readonly');
+			var value = $(this).val(), favourite;
+			if (0 === value.indexOf('saved:')) {
+				favourite = library.findEntry(value.substring('saved:'.length));
+				attractor.selectCustomParameterSet(JSON.parse(JSON.stringify(favourite.state.parameters)));
 			} else {
-				parameterSetDetails.attr('readonly', 'readonly');
+				attractor.setParameterSetIndex(+value);
 			}
-			attractor.setParameterSetIndex(parameterSetIndex);
+			autoFit();
 			update();
 		});
 		errorDialogOpts = {
@@ -665,31 +1070,168 @@ $.extend(AttractorCanvas, {
 			]
 		};
 		iterFuncDetails.on('change', function() {
-			var func;
 			try {
-				func = compileExpr($(this).val());
-				attractor.setCustomIterationFunction(func);
-				update();
+				attractor.setCustomFormula($(this).val());
 			} catch (e) {
-				errDetailsIterFunc.text('' + e);
-				errMsgBadIterFunc.dialog(errorDialogOpts);
+				showParseError(e, errMsgBadIterFunc, errDetailsIterFunc, errContextIterFunc);
+				return;
 			}
+			// The formula's parameters may differ from those of the previous one
+			populateParameterSets(attractor.getSystemIndex());
+			clearMap();
+			autoFit();
+			update();
 		});
 		parameterSetDetails.on('change', function() {
 			var val;
 			try {
-				val = compileExpr($(this).val());
-				attractor.setCustomParameterSet(val);
-				update();
+				val = AttractorCanvas.Expression.parseParameterSet($(this).val());
+			} catch (e) {
+				showParseError(e, errMsgBadParamSet, errDetailsParamSet, errContextParamSet);
+				return;
+			}
+			attractor.setCustomParameterSet(val);
+			update();
+		});
+		selectIntegrator.on('change', function() {
+			attractor.setIntegrator($(this).val());
+			update();
+		});
+		editTimeStep.on('spinchange', function() {
+			var timeStep = parseFloat($(this).val());
+			if (timeStep > 0) {
+				attractor.setTimeStep(timeStep);
+			}
+			update('timeStep');
+		});
+		editRotationYaw.add(editRotationPitch).on('spinchange', function() {
+			attractor.setRotation(parseFloat(editRotationYaw.val()) * Math.PI / 180, parseFloat(editRotationPitch.val()) * Math.PI / 180);
+			update('rotation');
+		});
+		editSymmetryOrder.on('spinchange', function() {
+			try {
+				attractor.setSymmetry({ order: parseFloat($(this).val()) });
+			} catch (e) {
+				$().toastmessage('showErrorToast', e.message);
+				$(this).val(attractor.getSymmetry().order);
+				return;
+			}
+			update('symmetry');
+		});
+		checkSymmetryReflection.on('change', function() {
+			attractor.setSymmetry({ reflection: $(this).prop('checked') });
+			update('symmetry');
+		});
+		selectBifurcationParameter.on('change', function() {
+			showBifurcationSettings(attractor.defaultBifurcation($(this).val()));
+		});
+		buttonShowBifurcation.on('click', function() {
+			try {
+				attractor.setBifurcation({
+					parameter: selectBifurcationParameter.val(),
+					min: parseFloat(editBifurcationMin.val()),
+					max: parseFloat(editBifurcationMax.val()),
+					coordinate: selectBifurcationCoordinate.val(),
+					low: parseFloat(editBifurcationLow.val()),
+					high: parseFloat(editBifurcationHigh.val()),
+					transient: parseInt(editBifurcationTransient.val(), 10),
+					iterations: parseInt(editBifurcationIterations.val(), 10)
+				});
 			} catch (e) {
-				errDetailsParamSet.text('' + e);
-				errMsgBadParamSet.dialog(errorDialogOpts);
+				$().toastmessage('showErrorToast', e.message);
+				return;
 			}
+			update();
+		});
+		buttonShowAttractor.on('click', function() {
+			attractor.setBifurcation(null);
+			update();
 		});
 		selectColourMode.on('change', function() {
-			attractor.setColourModeIndex($(this).val());
+			attractor.setColourModeIndex(+$(this).val());
+			update();
+		});
+		selectPalette.on('change', function() {
+			var value = $(this).val(),
+				name = value.substring(value.indexOf(':') + 1),
+				palettes = 0 === value.indexOf('saved:') ? getSavedPalettes() : AttractorCanvas.Palette.presets;
+			$(palettes).each(function(i, description) {
+				if (name === description.name) {
+					attractor.setPalette(new AttractorCanvas.Palette(description));
+				}
+			});
 			update();
 		});
+		buttonAddPaletteStop.on('click', function() {
+			editPalette(function(description) {
+				var stops = description.stops, widest = 0, i, position, colour;
+				// Split the widest gap between stops, keeping its colours unchanged
+				for (i = 1; i < stops.length; i++) {
+					if (stops[i].position - stops[i - 1].position > stops[widest + 1].position - stops[widest].position) {
+						widest = i - 1;
+					}
+				}
+				if (stops.length < 2) {
+					stops.push({ position: 1, colour: stops[0].colour });
+					return;
+				}
+				position = (stops[widest].position + stops[widest + 1].position) / 2;
+				colour = attractor.getPalette().getColour(position).map(function(component) {
+					return ('0' + Math.round(component).toString(16)).slice(-2);
+				}).join('');
+				stops.splice(widest + 1, 0, { position: position, colour: '#' + colour });
+			});
+		});
+		selectPaletteSpace.on('change', function() {
+			var space = $(this).val();
+			editPalette(function(description) {
+				description.space = space;
+			});
+		});
+		/**
+		 * Keep the current palette in local storage under the name given, replacing any saved palette of that name.
+		 */
+		buttonSavePalette.on('click', function() {
+			var name = $.trim(editPaletteName.val()),
+				description = attractor.getPalette().toJSON(),
+				palettes = getSavedPalettes().filter(function(palette) {
+					return name !== palette.name;
+				});
+			if (!name) {
+				$().toastmessage('showNoticeToast', 'Give the palette a name to save it under');
+				return;
+			}
+			if (AttractorCanvas.Palette.findPreset(name)) {
+				$().toastmessage('showNoticeToast', "'" + name + "' is the name of a preset; choose another");
+				return;
+			}
+			description.name = name;
+			palettes.push(description);
+			if (setSavedPalettes(palettes)) {
+				attractor.setPalette(new AttractorCanvas.Palette(description));
+				populatePalettes();
+				updateControls();
+				updateHash();
+			}
+		});
+		buttonDeletePalette.on('click', function() {
+			var name = attractor.getPalette().name;
+			setSavedPalettes(getSavedPalettes().filter(function(palette) {
+				return name !== palette.name;
+			}));
+			populatePalettes();
+			updateControls();
+		});
+		// Tone-mapping changes only need the existing histogram redrawn, not a re-render
+		editExposure.on('spinchange', function() {
+			attractor.setExposure(parseFloat($(this).val())).redraw();
+		});
+		editGamma.on('spinchange', function() {
+			attractor.setGamma(parseFloat($(this).val())).redraw();
+		});
+		checkLogScale.on('change', function() {
+			attractor.setLogScale($(this).prop('checked')).redraw();
+		});
 		buttonZoomIn.add(menuZoomIn).on('click', function() {
 			attractor.zoomInBy(2);
 			update();
@@ -698,28 +1240,848 @@ $.extend(AttractorCanvas, {
 			attractor.zoomOutBy(2);
 			update();
 		});
+		buttonFitView.add(menuFitView).on('click', function() {
+			if (!fitView()) {
+				$().toastmessage('showNoticeToast', 'There is no attractor to fit to, since the orbit escapes or cannot be iterated');
+				return;
+			}
+			update();
+		});
+		buttonUndo.on('click', function() {
+			restoreHistory(function() {
+				return viewHistory.undo();
+			});
+		});
+		buttonRedo.on('click', function() {
+			restoreHistory(function() {
+				return viewHistory.redo();
+			});
+		});
+		// Ctrl+Z undoes, and Ctrl+Y or Ctrl+Shift+Z redoes, except while editing text, which has its own undo
+		$(document).on('keydown', function(event) {
+			var key = String.fromCharCode(event.which);
+			if (!(event.ctrlKey || event.metaKey) || $(event.target).is('input[type="text"], textarea')) {
+				return;
+			}
+			if ('Z' === key && !event.shiftKey) {
+				buttonUndo.click();
+			} else if ('Y' === key || ('Z' === key && event.shiftKey)) {
+				buttonRedo.click();
+			} else {
+				return;
+			}
+			event.preventDefault();
+		});
 		buttonStop.on('click', function() {
 			attractor.stop();
+			stopAnimation();
+		});
+		/**
+		 * A PNG data URL of the canvas scaled down to fit favouriteThumbnailSize.
+		 */
+		function createThumbnail() {
+			var source = $canvas[0], thumbnail = document.createElement('canvas'),
+				scale = Math.min(1, favouriteThumbnailSize / Math.max(source.width, source.height));
+			thumbnail.width = Math.max(1, Math.round(source.width * scale));
+			thumbnail.height = Math.max(1, Math.round(source.height * scale));
+			thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+			return thumbnail.toDataURL('image/png');
+		}
+		/**
+		 * Show the view saved as the given favourite, as for a link.
+		 */
+		function openFavourite(favourite) {
+			try {
+				attractor.fromJSON(favourite.state);
+			} catch (e) {
+				$().toastmessage('showErrorToast', favourite.name + ' could not be opened: ' + e.message);
+				return;
+			}
+			populateParameterSets(attractor.getSystemIndex());
+			resizable.width(attractor.getWidth()).height(attractor.getHeight());
+			update();
+		}
+		function showFavourites() {
+			listFavourites.empty();
+			library.getEntries().forEach(function(favourite) {
+				var item = $(document.createElement('li')),
+					open = $(document.createElement('a')).text(favourite.name),
+					remove = $(document.createElement('a')).text('remove'),
+					system = AttractorCanvas.findSystem(favourite.state.system);
+				if (favourite.thumbnail) {
+					open.prepend($(document.createElement('img')).attr({ src: favourite.thumbnail, alt: '' }));
+				}
+				item.attr('title', (system ? system.name : favourite.state.system) + ', saved ' + new Date(favourite.created).toLocaleString());
+				open.on('click', function() {
+					openFavourite(favourite);
+				});
+				remove.on('click', function() {
+					library.remove(favourite.id);
+					showFavourites();
+					populateParameterSets(attractor.getSystemIndex());
+					selectParameterSet.val(attractor.getParameterSetIndex());
+				});
+				item.append(open, remove);
+				listFavourites.append(item);
+			});
+		}
+		buttonSaveFavourite.on('click', function() {
+			var name = $.trim(editFavouriteName.val()) || attractor.getSystem().name + ' ' + new Date().toLocaleString();
+			try {
+				library.add(name, attractor.toJSON(), createThumbnail());
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'The favourite could not be saved: ' + e.message);
+				return;
+			}
+			editFavouriteName.val('');
+			showFavourites();
+			populateParameterSets(attractor.getSystemIndex());
+			selectParameterSet.val(attractor.getParameterSetIndex());
+		});
+		/**
+		 * Draw an image rendered by a headless engine into the given canvas.
+		 */
+		function drawImageData(canvas, imageData) {
+			var context = canvas.getContext('2d'),
+				image = context.createImageData(imageData.width, imageData.height);
+			image.data.set(imageData.data);
+			context.putImageData(image, 0, 0);
+		}
+		/**
+		 * The current system and formula, which the gallery must be redrawn for if they change.
+		 */
+		function getGallerySystem() {
+			return JSON.stringify([ attractor.getSystemId(), attractor.getFormula() ]);
+		}
+		/**
+		 * Show a thumbnail of each preset parameter set of the current system, in the system's preferred view.
+		 * Clicking one selects its parameter set in the main view.
+		 */
+		function showGallery() {
+			var states = AttractorCanvas.Gallery.parameterSetStates(attractor, galleryThumbnailSize, galleryThumbnailSize);
+			renderQueue.cancel('gallery');
+			gallery.empty();
+			gallerySystem = getGallerySystem();
+			buttonHideGallery.button('option', 'disabled', false);
+			if (!states.length) {
+				$().toastmessage('showNoticeToast', 'This system has no preset parameter sets');
+			}
+			states.forEach(function(state) {
+				var thumbnail = document.createElement('canvas');
+				thumbnail.width = state.width;
+				thumbnail.height = state.height;
+				thumbnail.title = 'Set ' + (state.parameterSet + 1) + ': ' + JSON.stringify(state.parameters);
+				$(thumbnail).data('parameterSet', state.parameterSet).on('click', function() {
+					attractor.setParameterSetIndex(state.parameterSet);
+					autoFit();
+					update();
+				});
+				gallery.append(thumbnail);
+				renderQueue.add(state, state.width, state.height, {
+					done: function(imageData) {
+						drawImageData(thumbnail, imageData);
+					}
+				}, 'gallery');
+			});
+			showGallerySelection();
+		}
+		function hideGallery() {
+			renderQueue.cancel('gallery');
+			gallery.empty();
+			gallerySystem = null;
+			buttonHideGallery.button('option', 'disabled', true);
+		}
+		/**
+		 * Mark the thumbnail of the current parameter set, if any.
+		 */
+		function showGallerySelection() {
+			gallery.children().each(function() {
+				$(this).toggleClass('current', $(this).data('parameterSet') === attractor.getParameterSetIndex());
+			});
+		}
+		/**
+		 * Add the current view to those compared side by side, at the size of the canvas.
+		 */
+		function addComparison() {
+			var view = { state: attractor.toJSON(), canvas: document.createElement('canvas'), task: null },
+				item = $(document.createElement('div')),
+				remove = $(document.createElement('a')).text('remove');
+			view.canvas.width = view.state.width;
+			view.canvas.height = view.state.height;
+			remove.on('click', function() {
+				renderQueue.cancel(view.task);
+				comparisonViews.splice(comparisonViews.indexOf(view), 1);
+				item.remove();
+			});
+			item.append(view.canvas, $(document.createElement('br')),
+				$(document.createElement('span')).text(AttractorCanvas.History.describeChange(attractor, undefined, view.state)), remove);
+			comparison.append(item);
+			comparisonViews.push(view);
+			renderComparison(view);
+		}
+		/**
+		 * Render a compared view again, abandoning any render of it in progress.
+		 */
+		function renderComparison(view) {
+			if (view.task) {
+				renderQueue.cancel(view.task);
+			}
+			view.task = renderQueue.add(view.state, view.state.width, view.state.height, {
+				done: function(imageData) {
+					drawImageData(view.canvas, imageData);
+				},
+				failed: function(e) {
+					$().toastmessage('showErrorToast', 'A compared view could not be rendered: ' + e.message);
+				}
+			});
+		}
+		/**
+		 * If the compared views are linked to the main view, move and zoom them to frame the same area.
+		 */
+		function linkComparison() {
+			// Bifurcation diagrams are not positioned by the centre and zoom
+			if (!checkLinkComparison.prop('checked') || attractor.isBifurcation()) {
+				return;
+			}
+			comparisonViews.forEach(function(view) {
+				var linked = AttractorCanvas.Gallery.linkView(view.state, attractor);
+				if (JSON.stringify(linked) !== JSON.stringify(view.state)) {
+					view.state = linked;
+					renderComparison(view);
+				}
+			});
+		}
+		/**
+		 * Record a window of the current orbit and plot it, unmarking any iterate marked before.
+		 * Does not redraw the attractor.
+		 */
+		function analyseOrbit() {
+			var start = Math.max(0, parseInt(editAnalysisStart.val(), 10) || 0);
+			analysis = AttractorCanvas.Analysis.record(attractor, start, +selectAnalysisLength.val());
+			analysisSelected = -1;
+			attractor.setMarkedPoints([]);
+			plotAnalysis();
+			showAnalysisStatus();
+			[ buttonExportSeriesCSV, buttonExportSpectrumCSV, buttonExportAnalysisPNG ].forEach(function(button) {
+				button.button('option', 'disabled', !analysis.length);
+			});
+		}
+		function showAnalysisStatus() {
+			var n = analysisSelected;
+			if (n >= 0) {
+				analysisStatus.text('Iteration ' + (analysis.start + n) + ': (' + analysis.x[n].toPrecision(6) + ', ' + analysis.y[n].toPrecision(6) + ')');
+			} else if ('running' !== analysis.status && 'completed' !== analysis.status) {
+				analysisStatus.text('The orbit ended (' + analysis.status + ') with ' + analysis.length + ' iterations recorded');
+			} else {
+				analysisStatus.text('Iterations ' + analysis.start + ' to ' + (analysis.start + analysis.length - 1));
+			}
+		}
+		/**
+		 * Draw the given values as a line across the given area of a plot, scaled to fill its height.
+		 */
+		function plotLine(context, values, left, top, width, height, colour) {
+			var range = AttractorCanvas.Analysis.range(values), i;
+			context.strokeStyle = colour;
+			context.beginPath();
+			for (i = 0; i < values.length; i++) {
+				context[i ? 'lineTo' : 'moveTo'](left + width * i / Math.max(1, values.length - 1),
+					top + height * (range[1] - values[i]) / (range[1] - range[0]));
+			}
+			context.stroke();
+		}
+		/**
+		 * Plot the time series, return map and power spectra of the orbit analysed, marking the iterate selected if any.
+		 */
+		function plotAnalysis() {
+			var series = timeSeriesCanvas[0], map = returnMapCanvas[0], spectrum = spectrumCanvas[0],
+				context, range, n = analysisSelected, i;
+			function logPower(power) {
+				return Array.prototype.map.call(power, function(p) {
+					return Math.log(p + 1e-300) / Math.LN10;
+				});
+			}
+			[ series, map, spectrum ].forEach(function(canvas) {
+				var context = canvas.getContext('2d');
+				context.fillStyle = 'white';
+				context.fillRect(0, 0, canvas.width, canvas.height);
+			});
+			if (!analysis || !analysis.length) {
+				return;
+			}
+			// x(n) above y(n)
+			context = series.getContext('2d');
+			plotLine(context, analysis.x, 0, 2, series.width, series.height / 2 - 4, '#2060c0');
+			plotLine(context, analysis.y, 0, series.height / 2 + 2, series.width, series.height / 2 - 4, '#c02020');
+			if (n >= 0) {
+				context.strokeStyle = 'black';
+				context.beginPath();
+				context.moveTo(series.width * n / Math.max(1, analysis.length - 1) + 0.5, 0);
+				context.lineTo(series.width * n / Math.max(1, analysis.length - 1) + 0.5, series.height);
+				context.stroke();
+			}
+			// x(n + 1) against x(n)
+			context = map.getContext('2d');
+			range = AttractorCanvas.Analysis.range(analysis.x);
+			function mapPoint(i, size, colour) {
+				context.fillStyle = colour;
+				context.fillRect(map.width * (analysis.x[i] - range[0]) / (range[1] - range[0]) - size / 2,
+					map.height * (range[1] - analysis.x[i + 1]) / (range[1] - range[0]) - size / 2, size, size);
+			}
+			for (i = 0; i + 1 < analysis.length; i++) {
+				mapPoint(i, 1, '#2060c0');
+			}
+			if (n >= 0 && n + 1 < analysis.length) {
+				mapPoint(n, 5, 'black');
+			}
+			// Logarithm of the power against frequency
+			context = spectrum.getContext('2d');
+			plotLine(context, logPower(AttractorCanvas.Analysis.powerSpectrum(analysis.x)), 0, 2, spectrum.width, spectrum.height - 4, '#2060c0');
+			plotLine(context, logPower(AttractorCanvas.Analysis.powerSpectrum(analysis.y)), 0, 2, spectrum.width, spectrum.height - 4, '#c02020');
+		}
+		buttonAnalyseOrbit.on('click', function() {
+			analyseOrbit();
+			attractor.redraw();
+		});
+		timeSeriesCanvas.on('click', function(event) {
+			var c = event.pageX - timeSeriesCanvas.offset().left, n;
+			if (!analysis || !analysis.length) {
+				return;
+			}
+			n = Math.max(0, Math.min(analysis.length - 1, Math.round(c * (analysis.length - 1) / timeSeriesCanvas[0].width)));
+			analysisSelected = n;
+			attractor.setMarkedPoints([ { x: analysis.x[n], y: analysis.y[n] } ]).redraw();
+			plotAnalysis();
+			showAnalysisStatus();
+		});
+		buttonExportSeriesCSV.on('click', function() {
+			download(AttractorCanvas.Analysis.seriesCSV(analysis), 'text/csv', exportFilename('iterates', 'csv'));
+		});
+		buttonExportSpectrumCSV.on('click', function() {
+			download(AttractorCanvas.Analysis.spectrumCSV(analysis), 'text/csv', exportFilename('spectrum', 'csv'));
+		});
+		buttonExportAnalysisPNG.on('click', function() {
+			// The three plots side by side
+			var plots = [ timeSeriesCanvas[0], returnMapCanvas[0], spectrumCanvas[0] ],
+				offscreen = document.createElement('canvas'),
+				left = 0;
+			offscreen.width = plots.reduce(function(width, plot) {
+				return width + plot.width;
+			}, 0);
+			offscreen.height = Math.max.apply(Math, plots.map(function(plot) {
+				return plot.height;
+			}));
+			plots.forEach(function(plot) {
+				offscreen.getContext('2d').drawImage(plot, left, 0);
+				left += plot.width;
+			});
+			offscreen.toBlob(function(blob) {
+				download([ blob ], 'image/png', exportFilename('analysis', 'png'));
+			}, 'image/png');
+		});
+		buttonShowGallery.on('click', showGallery);
+		buttonHideGallery.on('click', hideGallery);
+		buttonAddComparison.on('click', addComparison);
+		buttonClearComparison.on('click', function() {
+			comparisonViews.forEach(function(view) {
+				renderQueue.cancel(view.task);
+			});
+			comparisonViews = [];
+			comparison.empty();
+		});
+		checkLinkComparison.on('change', linkComparison);
+		buttonExportLibrary.on('click', function() {
+			download([ JSON.stringify(library, null, 1) ], 'application/json', 'attractor-library.json');
+		});
+		libraryFile.on('change', function() {
+			var file = this.files[0], reader = new FileReader();
+			if (!file) {
+				return;
+			}
+			reader.onload = function() {
+				var count;
+				try {
+					count = library.importJSON(reader.result);
+				} catch (e) {
+					$().toastmessage('showErrorToast', file.name + ' could not be imported: ' + e.message);
+					return;
+				}
+				showFavourites();
+				populateParameterSets(attractor.getSystemIndex());
+				selectParameterSet.val(attractor.getParameterSetIndex());
+				$().toastmessage('showSuccessToast', 'Imported ' + count + ' favourites');
+			};
+			reader.readAsText(file);
+			// Allow the same file to be chosen again
+			$(this).val('');
+		});
+		/**
+		 * Draw a search candidate's thumbnail, which selects its parameter set when clicked.
+		 */
+		function addSearchResult(candidate, parameterSetIndex) {
+			var thumbnail = document.createElement('canvas'),
+				context = thumbnail.getContext('2d'),
+				imageData;
+			thumbnail.width = candidate.view.width;
+			thumbnail.height = candidate.view.height;
+			imageData = context.createImageData(thumbnail.width, thumbnail.height);
+			AttractorCanvas.Renderer.toneMap(candidate.density, imageData.data, attractor);
+			context.putImageData(imageData, 0, 0);
+			thumbnail.title = 'Seed ' + candidate.seed +
+				', Lyapunov exponent ' + candidate.lyapunov.toFixed(3) +
+				', dimension ' + candidate.dimension.toFixed(2);
+			$(thumbnail).on('click', function() {
+				attractor.setParameterSetIndex(parameterSetIndex);
+				update();
+			});
+			searchResults.append(thumbnail);
+		}
+		function stopSearch() {
+			search = null;
+			buttonStopSearch.button('option', 'disabled', true);
+		}
+		/**
+		 * Search for new parameter sets of the current system, a few candidates at a time
+		 * so as to keep the page responsive, until enough have been found.
+		 */
+		function startSearch() {
+			var wanted = 12, maxTries = 5000, seed = parseInt(editSearchSeed.val(), 10);
+			if (attractor.isFlow()) {
+				$().toastmessage('showNoticeToast', 'Searching is only possible for iterated maps, not flows');
+				return;
+			}
+			if (!Object.keys(attractor.getSystem().parameterSets[0]).length) {
+				$().toastmessage('showNoticeToast', 'This system has no parameters to search');
+				return;
+			}
+			if (isNaN(seed)) {
+				seed = undefined;
+			}
+			search = new AttractorCanvas.Search(attractor.getSystem(), {
+				seed: seed,
+				colourFunc: attractor.getColourFunc(),
+				palette: attractor.getPalette()
+			});
+			// Show the seed, so that the search can be repeated
+			editSearchSeed.val(search.seed);
+			searchResults.empty();
+			buttonStopSearch.button('option', 'disabled', false);
+			(function searchFunc(thisSearch) {
+				var start = Date.now(), candidate;
+				if (search !== thisSearch) {
+					return; // Stopped or superseded
+				}
+				while (Date.now() - start < 50 && search.accepted < wanted && search.tried < maxTries) {
+					candidate = search.next();
+					if (candidate.accepted) {
+						addSearchResult(candidate, attractor.addParameterSet(candidate.parameterSet));
+						populateParameterSets(attractor.getSystemIndex());
+						selectParameterSet.val(attractor.getParameterSetIndex());
+					}
+				}
+				searchStatus.text(search.accepted + ' found in ' + search.tried + ' tried');
+				if (search.accepted < wanted && search.tried < maxTries) {
+					AttractorCanvas.defer(function() {
+						searchFunc(thisSearch);
+					});
+				} else {
+					stopSearch();
+				}
+			})(search);
+		}
+		function stopMap() {
+			drawingMap = null;
+			buttonStopMap.button('option', 'disabled', true);
+		}
+		/**
+		 * Discard the parameter map, e.g. because the system's parameters have changed.
+		 */
+		function clearMap() {
+			stopMap();
+			parameterMap = null;
+			mapCanvas[0].getContext('2d').clearRect(0, 0, mapCanvas[0].width, mapCanvas[0].height);
+			mapStatus.text('');
+			buttonZoomOutMap.button('option', 'disabled', true);
+		}
+		/**
+		 * Draw the given parameter map a few rows at a time, so as to keep the page responsive.
+		 */
+		function startMap(map) {
+			var context = mapCanvas[0].getContext('2d');
+			parameterMap = drawingMap = map;
+			buttonStopMap.button('option', 'disabled', false);
+			buttonZoomOutMap.button('option', 'disabled', false);
+			(function mapFunc(thisMap) {
+				var start = Date.now(), imageData;
+				if (drawingMap !== thisMap) {
+					return; // Stopped or superseded
+				}
+				while (Date.now() - start < 50 && !thisMap.renderRows(1)) {
+					// NOP
+				}
+				imageData = context.createImageData(thisMap.width, thisMap.height);
+				imageData.data.set(thisMap.imageData.data);
+				context.putImageData(imageData, 0, 0);
+				if (thisMap.isComplete()) {
+					mapStatus.text('');
+					stopMap();
+				} else {
+					mapStatus.text(Math.floor(thisMap.getProgress() * 100) + '% drawn');
+					AttractorCanvas.defer(function() {
+						mapFunc(thisMap);
+					});
+				}
+			})(map);
+		}
+		buttonDrawMap.on('click', function() {
+			try {
+				startMap(new AttractorCanvas.ParameterMap(attractor.getSystem(), attractor.getParameterSet(), {
+					parameters: [ selectMapParameterX.val(), selectMapParameterY.val() ],
+					width: mapCanvas[0].width,
+					height: mapCanvas[0].height,
+					iterations: parseInt(editMapIterations.val(), 10),
+					colouring: selectMapColouring.val()
+				}));
+			} catch (e) {
+				$().toastmessage('showErrorToast', e.message);
+			}
+		});
+		buttonStopMap.on('click', stopMap);
+		buttonStopMap.button('option', 'disabled', true);
+		buttonZoomOutMap.on('click', function() {
+			startMap(parameterMap.zoomBy(0.5));
+		});
+		mapCanvas.on('mousemove', function(event) {
+			var c = Math.floor(event.pageX - mapCanvas.offset().left),
+				r = Math.floor(event.pageY - mapCanvas.offset().top),
+				result;
+			if (!parameterMap || drawingMap) {
+				return;
+			}
+			result = parameterMap.getResult(c, r);
+			mapStatus.text(parameterMap.parameters[0] + ' = ' + parameterMap.colToParameter(c).toPrecision(6) + ', ' +
+				parameterMap.parameters[1] + ' = ' + parameterMap.rowToParameter(r).toPrecision(6) +
+				(result ? ': ' + AttractorCanvas.ParameterMap.findClass(result.classification).name +
+					('cycle' === result.classification ? ' of period ' + result.period : '') +
+					(isFinite(result.lyapunov) ? ', Lyapunov exponent ' + result.lyapunov.toFixed(4) : '') : ''));
+		}).on('click', function(event) {
+			var c = Math.floor(event.pageX - mapCanvas.offset().left),
+				r = Math.floor(event.pageY - mapCanvas.offset().top);
+			if (!parameterMap) {
+				return;
+			}
+			if (event.shiftKey) {
+				startMap(parameterMap.setCentre(parameterMap.colToParameter(c), parameterMap.rowToParameter(r)).zoomBy(2));
+				return;
+			}
+			if (parameterMap.system !== attractor.getSystem()) {
+				$().toastmessage('showNoticeToast', 'The parameter map is of a different system');
+				return;
+			}
+			// Show the attractor for the parameters at the pixel, in the Custom parameter set
+			attractor.setBifurcation(null);
+			attractor.selectCustomParameterSet(parameterMap.getParameterSet(c, r));
+			update();
+		});
+		buttonSearch.on('click', startSearch);
+		buttonStopSearch.on('click', stopSearch);
+		buttonStopSearch.button('option', 'disabled', true);
+		/**
+		 * Offer the given data to the user as a file.
+		 * @param parts Array of strings, typed arrays or Blobs making up the file
+		 */
+		function download(parts, type, filename) {
+			var url = URL.createObjectURL(new Blob(parts, { type: type })),
+				link = $(document.createElement('a')).attr({ href: url, download: filename });
+			$('body').append(link);
+			link[0].click();
+			link.remove();
+			setTimeout(function() {
+				URL.revokeObjectURL(url);
+			}, 60000);
+		}
+		function exportFilename(what, extension) {
+			return attractor.getSystemId() + '-' + attractor.getParameterSetIndex() + '-' + what + '.' + extension;
+		}
+		function finishExport(message) {
+			tiledRender = null;
+			exportStatus.text(message);
+			buttonCancelExport.button('option', 'disabled', true);
+		}
+		/**
+		 * Render the current view at the export size into an offscreen canvas, a tile at a time, and save it as PNG.
+		 */
+		buttonExportPNG.on('click', function() {
+			var width = parseInt(editExportWidth.val(), 10),
+				height = parseInt(editExportHeight.val(), 10),
+				offscreen = document.createElement('canvas'),
+				context;
+			if (!(width > 0 && height > 0)) {
+				return;
+			}
+			if (tiledRender) {
+				tiledRender.cancel();
+			}
+			offscreen.width = width;
+			offscreen.height = height;
+			context = offscreen.getContext('2d');
+			buttonCancelExport.button('option', 'disabled', false);
+			tiledRender = new AttractorCanvas.Export.TiledRender(attractor, width, height).start({
+				tile: function(tile, data) {
+					var imageData = context.createImageData(tile.width, tile.height);
+					imageData.data.set(data);
+					context.putImageData(imageData, tile.left, tile.top);
+				},
+				progress: function(proportionDone) {
+					exportStatus.text(Math.floor(proportionDone * 100) + '% rendered');
+				},
+				done: function() {
+					exportStatus.text('Encoding');
+					offscreen.toBlob(function(blob) {
+						finishExport('');
+						if (blob) {
+							download([ blob ], 'image/png', exportFilename(width + 'x' + height, 'png'));
+						} else {
+							$().toastmessage('showErrorToast', 'The image is too large for this browser to encode');
+						}
+					}, 'image/png');
+				},
+				failed: function(e) {
+					finishExport('');
+					$().toastmessage('showErrorToast', 'Export failed: ' + e);
+				}
+			});
+		});
+		buttonCancelExport.on('click', function() {
+			if (tiledRender) {
+				tiledRender.cancel();
+			}
+			finishExport('Cancelled');
+		});
+		buttonCancelExport.button('option', 'disabled', true);
+		buttonExportOrbitCSV.on('click', function() {
+			var chunks;
+			try {
+				chunks = AttractorCanvas.Export.orbitCSV(attractor);
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'Export failed: ' + e.message);
+				return;
+			}
+			download(chunks, 'text/csv', exportFilename('orbit', 'csv'));
+		});
+		buttonExportOrbitBinary.on('click', function() {
+			var points;
+			try {
+				points = AttractorCanvas.Export.orbitFloat32(attractor);
+			} catch (e) {
+				$().toastmessage('showErrorToast', 'Export failed: ' + e.message);
+				return;
+			}
+			download([ points ], 'application/octet-stream', exportFilename('orbit', 'f32'));
+		});
+		buttonExportDensityCSV.on('click', function() {
+			var density = attractor.density;
+			download(AttractorCanvas.Export.densityCSV(density), 'text/csv',
+				exportFilename('density-' + density.width + 'x' + density.height, 'csv'));
+		});
+		buttonExportDensityBinary.on('click', function() {
+			var density = attractor.density;
+			download([ AttractorCanvas.Export.densityUint32(density) ], 'application/octet-stream',
+				exportFilename('density-' + density.width + 'x' + density.height, 'u32'));
+		});
+		function showKeyframes() {
+			listKeyframes.empty();
+			$(keyframes).each(function(i, keyframe) {
+				var item = $(document.createElement('li')),
+					remove = $(document.createElement('a')).text('remove'),
+					systemIndex = attractor.findSystemIndex(keyframe.system),
+					system = attractor.systems[systemIndex],
+					label = keyframe.parameterSet === attractor.getCustomParameterSetIndex(systemIndex) ? 'Custom' : 'Set ' + (keyframe.parameterSet + 1);
+				item.text(system.name + ', ' + label + ', centre (' + keyframe.centre[0].toPrecision(4) + ', ' +
+					keyframe.centre[1].toPrecision(4) + '), zoom ' + keyframe.zoom.toPrecision(4));
+				item.attr('title', JSON.stringify(keyframe.parameters));
+				remove.on('click', function() {
+					keyframes.splice(i, 1);
+					showKeyframes();
+				});
+				listKeyframes.append(item.append(remove));
+			});
+			buttonRenderAnimation.button('option', 'disabled', keyframes.length < 2);
+		}
+		function updateAnimationButtons() {
+			var haveFrames = !!animation && animation.frames.length > 0 && !animation.isRunning();
+			buttonPlayAnimation.button('option', 'disabled', !haveFrames || !!playbackTimer);
+			buttonPauseAnimation.button('option', 'disabled', !playbackTimer);
+			buttonExportFrames.button('option', 'disabled', !haveFrames);
+			buttonExportAPNG.button('option', 'disabled', !haveFrames);
+		}
+		function showFrame(imageData) {
+			attractor.context.putImageData(new ImageData(imageData.data, imageData.width, imageData.height), 0, 0);
+		}
+		function pauseAnimation() {
+			if (playbackTimer) {
+				clearInterval(playbackTimer);
+				playbackTimer = null;
+			}
+			updateAnimationButtons();
+		}
+		/**
+		 * Stop rendering and playing back the animation, if either is in progress.
+		 */
+		function stopAnimation() {
+			if (animation && animation.isRunning()) {
+				animation.cancel();
+			}
+			pauseAnimation();
+		}
+		/**
+		 * Encode the frames of the animation as PNG files, one after another.
+		 * @param callback Function called with an array of Uint8Arrays, one per frame
+		 */
+		function encodeFrames(callback) {
+			var frames = animation.frames, pngs = [], offscreen = document.createElement('canvas');
+			offscreen.width = frames[0].width;
+			offscreen.height = frames[0].height;
+			(function encodeFrame(n) {
+				var reader = new FileReader();
+				if (n === frames.length) {
+					animationStatus.text('');
+					callback(pngs);
+					return;
+				}
+				animationStatus.text('Encoding frame ' + (n + 1) + ' of ' + frames.length);
+				offscreen.getContext('2d').putImageData(new ImageData(frames[n].data, frames[n].width, frames[n].height), 0, 0);
+				offscreen.toBlob(function(blob) {
+					reader.onload = function() {
+						pngs.push(new Uint8Array(reader.result));
+						encodeFrame(n + 1);
+					};
+					reader.readAsArrayBuffer(blob);
+				}, 'image/png');
+			})(0);
+		}
+		buttonAddKeyframe.on('click', function() {
+			keyframes.push(AttractorCanvas.Animation.keyframe(attractor));
+			showKeyframes();
+		});
+		buttonClearKeyframes.on('click', function() {
+			keyframes = [];
+			showKeyframes();
+		});
+		buttonRenderAnimation.on('click', function() {
+			stopAnimation();
+			attractor.stop();
+			try {
+				animation = new AttractorCanvas.Animation(keyframes, {
+					frames: parseInt(editAnimationFrames.val(), 10),
+					frameRate: parseFloat(editAnimationFrameRate.val()),
+					easing: selectEasing.val()
+				});
+			} catch (e) {
+				$().toastmessage('showErrorToast', e.message);
+				return;
+			}
+			animation.start(attractor, {
+				frame: function(n, imageData) {
+					showFrame(imageData);
+				},
+				failed: function(e) {
+					$().toastmessage('showErrorToast', 'Rendering the animation failed: ' + e);
+				}
+			});
+			updateAnimationButtons();
+		});
+		/**
+		 * Play back the frames rendered so far, repeatedly, on the canvas.
+		 */
+		buttonPlayAnimation.on('click', function() {
+			var n = 0;
+			pauseAnimation();
+			playbackTimer = setInterval(function() {
+				showFrame(animation.frames[n]);
+				n = (n + 1) % animation.frames.length;
+			}, 1000 / animation.frameRate);
+			updateAnimationButtons();
+		});
+		buttonPauseAnimation.on('click', pauseAnimation);
+		buttonExportFrames.on('click', function() {
+			encodeFrames(function(pngs) {
+				download(AttractorCanvas.Export.zip(pngs.map(function(png, n) {
+					return { name: 'frame-' + ('000' + (n + 1)).slice(-4) + '.png', data: png };
+				})), 'application/zip', exportFilename('frames', 'zip'));
+			});
+		});
+		buttonExportAPNG.on('click', function() {
+			encodeFrames(function(pngs) {
+				download(AttractorCanvas.Export.apng(pngs, 1000 / animation.frameRate), 'image/apng', exportFilename('animation', 'png'));
+			});
 		});
 		resizable.resizable({ handles: "all", animate: false, ghost: true, autohide: false });
 		renderProgress.progressbar({value: 0, max: 100});
 		resizable.on('resizestop', function(event, ui) {
+			var fitted = isFitted();
 			$canvas.css({ width: '100%', height: '100%' });
 			canvas.width = $canvas.width();
 			canvas.height = $canvas.height();
+			// A fitted view is fitted again to the new shape, without scanning the orbit again
+			if (fitted) {
+				attractor.setSize(canvas.width, canvas.height).fitBounds(fittedView.bounds);
+				fittedView.centre = attractor.getCentre();
+				fittedView.zoom = attractor.getZoom();
+			}
 			update();
 		});
 		$canvas.on(AttractorCanvas.eventNames.renderStart, function(event) {
 			buttonStop.button('option', 'disabled', false);
+			displayCycle.text('');
 			$canvas.trigger(AttractorCanvas.eventNames.renderProgress, 0);
 			renderProgress.progressbar('enable');
-		}).on(AttractorCanvas.eventNames.renderStop, function(event) {
+		}).on(AttractorCanvas.eventNames.renderStop, function(event, outcome) {
+			switch (previewing ? 'preview' : outcome.status) {
+			case 'stopped':
+				$().toastmessage('showNoticeToast', 'Stopped');
+				break;
+			case 'escaped':
+				$().toastmessage('showNoticeToast', 'Infinite attractor detected after ' + outcome.iterations + ' iterations');
+				break;
+			case 'fixedPoint':
+				$().toastmessage('showNoticeToast', 'Point attractor detected after ' + outcome.iterations + ' iterations');
+				break;
+			case 'cycle':
+				$().toastmessage('showNoticeToast', 'Periodic orbit of period ' + outcome.period + ' detected after ' + outcome.iterations + ' iterations');
+				break;
+			case 'nan':
+			case 'error':
+				// Failures of the iteration function at a known point get a dialog (see iterFuncRuntimeError)
+				if (!outcome.errorPoint) {
+					$().toastmessage('showErrorToast', 'nan' === outcome.status ?
+						'The Lyapunov exponent could not be estimated after ' + outcome.iterations + ' iterations' :
+						'Rendering failed: ' + outcome.message);
+				}
+				break;
+			}
+			if (outcome.cyclePoints) {
+				displayCycle.text('Period ' + outcome.period + ': ' + outcome.cyclePoints.slice(0, 6).map(function(point) {
+					return '(' + point.x.toPrecision(6) + ', ' + point.y.toPrecision(6) + ')';
+				}).join(', ') + (outcome.cyclePoints.length > 6 ? ', \u2026' : ''));
+			}
 			buttonStop.button('option', 'disabled', true);
+			updateAnimationButtons();
 			$canvas.trigger(AttractorCanvas.eventNames.renderProgress, 1);
 			renderProgress.progressbar('disable');
 		}).on(AttractorCanvas.eventNames.renderProgress, function(event, proportionDone) {
 			renderProgress.progressbar('option', 'value', proportionDone * 100);
 			renderProgressText.text((1 === proportionDone) ? 'Finished' : (Math.floor(proportionDone * 100) + '% complete'));
+		}).on(AttractorCanvas.eventNames.animationProgress, function(event, progress) {
+			animationStatus.text(progress.frame < progress.frames ?
+				'Frame ' + (progress.frame + 1) + ' of ' + progress.frames + ', ' + Math.floor(progress.proportionDone * 100) + '% overall' :
+				progress.frames + ' frames rendered');
+		}).on(AttractorCanvas.eventNames.statistics, function(event, statistics) {
+			function format(value) {
+				return isNaN(value) ? '' : value.toFixed(4);
+			}
+			displayLyapunovExponents.text(statistics.lyapunovExponents.map(format).join(', '));
+			displayKaplanYorkeDimension.text(format(statistics.kaplanYorkeDimension));
+			displayCorrelationDimension.text(format(statistics.correlationDimension));
 		}).on(AttractorCanvas.eventNames.iterFuncRuntimeError, function(event, data) {
 			var msg = 'x: ' + data.x + ', y: ' + data.y;
 			if (data.exception !== null) {
@@ -728,9 +2090,43 @@ $.extend(AttractorCanvas, {
 			errDetailsIterFuncRuntime.text(msg);
 			errMsgBadIterFuncRuntime.dialog(errorDialogOpts);
 		});
+		// Back and Forward move between the views recorded in the URL
+		$(window).on('popstate', function() {
+			if (restoreFromHash()) {
+				viewHistory.record();
+				showHistory();
+				updateControls();
+				attractor.update();
+			}
+		});
+		try {
+			library = new AttractorCanvas.Library(window.localStorage);
+		} catch (e) {
+			// Local storage is disabled, so favourites last only as long as the page
+			library = new AttractorCanvas.Library(null);
+		}
 		populateSystems();
 		populateParameterSets(0);
+		populateIntegrators();
 		populateColourModes();
+		populatePalettes();
+		populatePaletteSpaces();
+		populateEasings();
+		populateMapColourings();
+		showKeyframes();
+		showFavourites();
+		buttonHideGallery.button('option', 'disabled', true);
+		[ buttonExportSeriesCSV, buttonExportSpectrumCSV, buttonExportAnalysisPNG ].forEach(function(button) {
+			button.button('option', 'disabled', true);
+		});
+		updateAnimationButtons();
+		if (!restoreFromHash()) {
+			autoFit();
+		}
+		viewHistory = new AttractorCanvas.History(attractor);
+		// Default to exporting at four times the on-screen resolution
+		editExportWidth.val(4 * attractor.getWidth());
+		editExportHeight.val(4 * attractor.getHeight());
 		update();
 	});
 })(jQuery);
@@ -0,0 +1,96 @@
+/**
+ * The Fourier transform and power spectra of recorded orbits.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+var Analysis = AttractorCanvas.Analysis;
+
+/**
+ * The values of a sinusoid with the given frequency in cycles per iteration, plus an offset that the spectrum ignores.
+ */
+function sinusoid(frequency, length) {
+	var values = new Float64Array(length), i;
+	for (i = 0; i < length; i++) {
+		values[i] = 3 + Math.sin(2 * Math.PI * frequency * i + 0.4);
+	}
+	return values;
+}
+
+/**
+ * The index of the largest of the given values.
+ */
+function peak(values) {
+	var best = 0, i;
+	for (i = 1; i < values.length; i++) {
+		if (values[i] > values[best]) {
+			best = i;
+		}
+	}
+	return best;
+}
+
+describe('fft', function() {
+	it('agrees with the discrete Fourier transform', function() {
+		var input = [ 1, -2, 0.5, 3, 0, 1.5, -1, 2 ], n = input.length,
+			re = input.slice(), im = input.map(function(value, i) {
+				return i / 4;
+			}),
+			inputIm = im.slice(), k, j, sumRe, sumIm, angle;
+		Analysis.fft(re, im);
+		for (k = 0; k < n; k++) {
+			sumRe = 0;
+			sumIm = 0;
+			for (j = 0; j < n; j++) {
+				angle = -2 * Math.PI * j * k / n;
+				sumRe += input[j] * Math.cos(angle) - inputIm[j] * Math.sin(angle);
+				sumIm += input[j] * Math.sin(angle) + inputIm[j] * Math.cos(angle);
+			}
+			assert.ok(Math.abs(re[k] - sumRe) < 1e-12 && Math.abs(im[k] - sumIm) < 1e-12, 'Term ' + k);
+		}
+	});
+	it('rejects a length that is not a power of two', function() {
+		assert.throws(function() {
+			Analysis.fft([ 1, 2, 3 ], [ 0, 0, 0 ]);
+		}, /power of two, not 3/);
+	});
+});
+
+describe('powerSpectrum', function() {
+	it('peaks at the frequency of a sinusoid', function() {
+		var power = Analysis.powerSpectrum(sinusoid(37 / 1024, 1024));
+		assert.strictEqual(power.length, 513);
+		assert.strictEqual(peak(power), 37);
+		// The mean is removed
+		assert.ok(power[0] < 1e-6 * power[37]);
+	});
+	it('uses only the first power-of-two values', function() {
+		assert.strictEqual(Analysis.powerSpectrum(sinusoid(0.25, 1500)).length, 513);
+		assert.strictEqual(Analysis.powerSpectrum([ 1 ]).length, 0);
+	});
+});
+
+describe('spectrumCSV', function() {
+	it('gives the frequency of each line as i / n', function() {
+		var series = { start: 0, length: 300, x: sinusoid(0.125, 300), y: sinusoid(0.25, 300) },
+			lines = Analysis.spectrumCSV(series).join('').trim().split('\n'),
+			rows = lines.slice(1).map(function(line) {
+				return line.split(',').map(Number);
+			});
+		assert.strictEqual(lines[0], 'frequency,x,y');
+		// 256 values are used, giving 129 frequencies from 0 to 1/2
+		assert.strictEqual(rows.length, 129);
+		rows.forEach(function(row, i) {
+			assert.strictEqual(row[0], i / 256);
+		});
+		assert.strictEqual(peak(rows.map(function(row) {
+			return row[1];
+		})), 32);
+		assert.strictEqual(peak(rows.map(function(row) {
+			return row[2];
+		})), 64);
+	});
+});
@@ -0,0 +1,75 @@
+/**
+ * Detection of periodic orbits, which stops a render early and reports the period and the points of the orbit.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+var iterations = 100000;
+
+/**
+ * Iterate the orbit of the logistic map x' = r x (1 - x) from x = 0.3 without plotting it.
+ * @returns The outcome, as for AttractorCanvas.Renderer.prototype.getResult()
+ */
+function logistic(r) {
+	var renderer = new AttractorCanvas.Renderer({
+		iterate: function(x, y, params) {
+			return { x: params.r * x * (1 - x), y: 0 };
+		},
+		params: { r: r },
+		initialValues: { x: 0.3, y: 0 },
+		colourFunc: function() {
+			return [ 0, 0, 0 ];
+		},
+		iterations: iterations,
+		view: { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 }
+	});
+	return AttractorCanvas.Engine.runRenderer(renderer, iterations);
+}
+
+describe('cycle detection', function() {
+	it('finds the period-2 orbit of the logistic map, r = 3.2', function() {
+		var outcome = logistic(3.2),
+			// The points of the orbit, the roots of r^2 x^2 - r (r + 1) x + r + 1 = 0
+			root = Math.sqrt((3.2 - 3) * (3.2 + 1)),
+			expected = [ (4.2 - root) / 6.4, (4.2 + root) / 6.4 ],
+			found = outcome.cyclePoints.map(function(point) {
+				return point.x;
+			}).sort(function(x1, x2) {
+				return x1 - x2;
+			});
+		assert.strictEqual(outcome.status, 'cycle');
+		assert.strictEqual(outcome.period, 2);
+		assert.ok(outcome.iterations < iterations, 'Stopped after ' + outcome.iterations + ' iterations');
+		found.forEach(function(x, k) {
+			assert.ok(Math.abs(x - expected[k]) < 1e-8, x + ' is not ' + expected[k]);
+		});
+	});
+	it('finds the period-4 orbit of the logistic map, r = 3.5', function() {
+		var outcome = logistic(3.5);
+		assert.strictEqual(outcome.status, 'cycle');
+		assert.strictEqual(outcome.period, 4);
+		assert.strictEqual(outcome.cyclePoints.length, 4);
+	});
+	it('reports a fixed point as such, r = 2.5', function() {
+		var outcome = logistic(2.5);
+		assert.strictEqual(outcome.status, 'fixedPoint');
+		assert.strictEqual(outcome.period, 1);
+		assert.ok(Math.abs(outcome.cyclePoints[0].x - 0.6) < 1e-8);
+	});
+	it('finds no cycle in a chaotic orbit, r = 4', function() {
+		var outcome = logistic(4);
+		assert.strictEqual(outcome.status, 'completed');
+		assert.strictEqual(outcome.period, undefined);
+	});
+	it('stops the render of the Hénon preset a = 0.2, b = 0.9991 on its period-2 orbit', function() {
+		var engine = new AttractorCanvas.Engine(64, 64).setSystemId('henon').setParameterSetIndex(0).setIterations(iterations),
+			outcome = engine.render();
+		assert.strictEqual(outcome.status, 'cycle');
+		assert.strictEqual(outcome.period, 2);
+		assert.ok(outcome.iterations < iterations, 'Stopped after ' + outcome.iterations + ' iterations');
+		assert.strictEqual(engine.cyclePoints.length, 2);
+	});
+});
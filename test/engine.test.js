@@ -0,0 +1,67 @@
+/**
+ * Asynchronous rendering by the headless engine, replaying the buffered orbit when only the view changes.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+/**
+ * An engine that has rendered the Hénon attractor, so that its orbit is buffered, and a log of its events.
+ */
+function renderedEngine() {
+	var engine = new AttractorCanvas.Engine(64, 64).setSystemId('henon').setIterations(20000),
+		events = [];
+	engine.on(AttractorCanvas.eventNames.renderStart, function() {
+		events.push('start');
+	}).on(AttractorCanvas.eventNames.renderStop, function(outcome) {
+		events.push('stop ' + outcome.status);
+	});
+	return engine.update().then(function() {
+		events.length = 0;
+		return { engine: engine, events: events };
+	});
+}
+
+describe('update', function() {
+	it('replays the buffered orbit once, leaving the buffer as it was', function() {
+		return renderedEngine().then(function(rendered) {
+			var engine = rendered.engine,
+				buffer = engine.orbit,
+				count = buffer.count,
+				replay = AttractorCanvas.Renderer.prototype.replay,
+				replays = 0;
+			AttractorCanvas.Renderer.prototype.replay = function(orbit) {
+				replays++;
+				return replay.call(this, orbit);
+			};
+			engine.zoomBy(2);
+			return engine.update(1000).then(function(outcome) {
+				AttractorCanvas.Renderer.prototype.replay = replay;
+				assert.strictEqual(outcome.status, 'completed');
+				assert.strictEqual(replays, 1);
+				assert.strictEqual(buffer.count, count);
+				assert.deepStrictEqual(rendered.events, [ 'start', 'stop completed' ]);
+			}, function(e) {
+				AttractorCanvas.Renderer.prototype.replay = replay;
+				throw e;
+			});
+		});
+	});
+	it('reports a stop before the render proper begins only after reporting its start', function() {
+		return renderedEngine().then(function(rendered) {
+			var engine = rendered.engine, promise;
+			engine.zoomBy(2);
+			promise = engine.update();
+			// After the preview of the replayed orbit, before the rest is rendered
+			AttractorCanvas.defer(function() {
+				engine.stop();
+			});
+			return promise.then(function(outcome) {
+				assert.strictEqual(outcome.status, 'stopped');
+				assert.deepStrictEqual(rendered.events, [ 'start', 'stop stopped' ]);
+			});
+		});
+	});
+});
@@ -0,0 +1,32 @@
+/**
+ * Export of the raw orbit behind an attractor.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+describe('orbit export', function() {
+	var engine = new AttractorCanvas.Engine(64, 64).setSystemId('henon').setIterations(100);
+	it('gives a line or a triple per point', function() {
+		assert.strictEqual(AttractorCanvas.Export.orbitCSV(engine).join('').split('\n').length, 1 + 100 + 1);
+		assert.strictEqual(AttractorCanvas.Export.orbitFloat32(engine).length, 3 * 100);
+	});
+	it('reports an iteration function that throws as an Error rather than letting the exception escape', function() {
+		var failing = new AttractorCanvas.Engine(64, 64).setIterations(100);
+		failing.systems = [ Object.create(engine.getSystem(), {
+			iterate: {
+				value: function() {
+					throw new Error('Not here');
+				}
+			}
+		}) ];
+		failing.setSystemIndex(0);
+		[ 'orbitCSV', 'orbitFloat32' ].forEach(function(name) {
+			assert.throws(function() {
+				AttractorCanvas.Export[name](failing);
+			}, /The iteration failed at \(.*\): Error: Not here/);
+		});
+	});
+});
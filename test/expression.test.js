@@ -0,0 +1,51 @@
+/**
+ * Compilation of systems and parsing of parameter sets written in the language of attractor-expression.js.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	Expression = require('../attractor-core.js').Expression;
+
+/**
+ * Assert that parsing throws a ParseError at the given line and column.
+ */
+function assertParseError(parse, line, column) {
+	assert.throws(parse, function(e) {
+		return e instanceof Expression.ParseError && e.line === line && e.column === column;
+	});
+}
+
+describe('compileSystem', function() {
+	it('takes free names as parameters', function() {
+		var compiled = Expression.compileSystem("u = a*x\nx' = u + b\ny' = x");
+		assert.deepStrictEqual(compiled.parameters, [ 'a', 'b' ]);
+		assert.deepStrictEqual(compiled.iterate(2, 3, { a: 5, b: 7 }), { x: 17, y: 2 });
+	});
+	it('rejects names that every object has', function() {
+		assertParseError(function() {
+			Expression.compileSystem("x' = __proto__\ny' = x");
+		}, 1, 6);
+		assertParseError(function() {
+			Expression.compileSystem("x' = x\ny' = constructor*y");
+		}, 2, 6);
+		assertParseError(function() {
+			Expression.compileSystem("toString = 1\nx' = x\ny' = y");
+		}, 1, 1);
+	});
+});
+
+describe('parseParameterSet', function() {
+	it('accepts JSON and constant expressions', function() {
+		assert.deepStrictEqual(Expression.parseParameterSet('{ "a": 1.5, "b": -2 }'), { a: 1.5, b: -2 });
+		assert.deepStrictEqual(Expression.parseParameterSet('a = pi/2, b: 2^3'), { a: Math.PI / 2, b: 8 });
+	});
+	it('rejects names that every object has', function() {
+		assertParseError(function() {
+			Expression.parseParameterSet('{"__proto__": 1}');
+		}, 1, 2);
+		assertParseError(function() {
+			Expression.parseParameterSet('constructor = 2');
+		}, 1, 1);
+	});
+});
@@ -0,0 +1,62 @@
+/**
+ * Fitting the view to the extent of an attractor found by scanning its orbit.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+/**
+ * Check that the box lies within the image, at least the margin from each side, and fills it in one direction.
+ */
+function assertFitted(engine, bounds, margin) {
+	var width = engine.getWidth(), height = engine.getHeight(),
+		centre = engine.getCentre(), zoom = engine.getZoom(),
+		// Pixel co-ordinates of the box's edges, unrounded
+		left = (bounds.xmin - centre[0]) * zoom + width / 2,
+		right = (bounds.xmax - centre[0]) * zoom + width / 2,
+		top = (centre[1] - bounds.ymax) * zoom + height / 2,
+		bottom = (centre[1] - bounds.ymin) * zoom + height / 2,
+		epsilon = 1e-9;
+	assert.ok(left >= margin * width - epsilon && right <= (1 - margin) * width + epsilon, 'Columns ' + left + ' to ' + right);
+	assert.ok(top >= margin * height - epsilon && bottom <= (1 - margin) * height + epsilon, 'Rows ' + top + ' to ' + bottom);
+	assert.ok(Math.abs(right - left - (1 - 2 * margin) * width) < 1e-6 || Math.abs(bottom - top - (1 - 2 * margin) * height) < 1e-6,
+		'The box does not fill the image in either direction');
+}
+
+describe('fitView', function() {
+	it('frames the scanned bounds of a preset with the given margin', function() {
+		var engine = new AttractorCanvas.Engine(200, 120).setSystemId('dejong').setParameterSetIndex(0),
+			bounds = engine.scanBounds(),
+			fitted = engine.fitView({ margin: 0.1 });
+		assert.deepStrictEqual(fitted, bounds);
+		assert.ok(bounds.xmin < bounds.xmax && bounds.ymin < bounds.ymax);
+		assertFitted(engine, bounds, 0.1);
+	});
+	it('uses the default margin', function() {
+		var engine = new AttractorCanvas.Engine(120, 200).setSystemId('clifford'),
+			bounds = engine.fitView();
+		assertFitted(engine, bounds, AttractorCanvas.Engine.fitDefaults.margin);
+	});
+	it('leaves out the outliers of the orbit', function() {
+		var engine = new AttractorCanvas.Engine(100, 100).setSystemId('henon').setParameterSetIndex(1),
+			all = engine.scanBounds({ outliers: 0 }),
+			trimmed = engine.scanBounds();
+		assert.ok(all.xmin <= trimmed.xmin && trimmed.xmax <= all.xmax);
+		assert.ok(all.ymin <= trimmed.ymin && trimmed.ymax <= all.ymax);
+		assert.ok(trimmed.xmax - trimmed.xmin < all.xmax - all.xmin);
+	});
+	it('includes the symmetric images of the orbit', function() {
+		var engine = new AttractorCanvas.Engine(100, 100).setSystemId('henon').setParameterSetIndex(1),
+			bounds = engine.setSymmetry({ order: 2 }).scanBounds({ outliers: 0 });
+		assert.ok(Math.abs(bounds.xmin + bounds.xmax) < 1e-12, bounds.xmin + ' to ' + bounds.xmax);
+		assert.ok(Math.abs(bounds.ymin + bounds.ymax) < 1e-12, bounds.ymin + ' to ' + bounds.ymax);
+	});
+	it('leaves the view as it is if the orbit escapes', function() {
+		var engine = new AttractorCanvas.Engine(100, 100).setSystemId('henon').setParameterSetIndex(2).setCentre(0.5, 0.25).setZoom(42);
+		assert.strictEqual(engine.fitView(), null);
+		assert.deepStrictEqual(engine.getCentre(), [ 0.5, 0.25 ]);
+		assert.strictEqual(engine.getZoom(), 42);
+	});
+});
@@ -0,0 +1,104 @@
+/**
+ * Numerical integration of flows, checked against ordinary differential equations with known solutions.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+/**
+ * The harmonic oscillator x' = y, y' = -x, whose solution from (1, 0) is (cos t, -sin t).
+ */
+function oscillator(integrator, timeStep) {
+	return new AttractorCanvas.Flow({
+		derivative: function(s) {
+			return [ s[1], -s[0] ];
+		},
+		params: {},
+		dimensions: 2,
+		initialValues: { x: 1, y: 0 },
+		integrator: integrator,
+		timeStep: timeStep
+	});
+}
+
+/**
+ * Exponential decay x' = -x, y' = -2 y, whose solution from (1, 1) is (e^-t, e^-2t).
+ */
+function decay(timeStep, tolerance) {
+	return new AttractorCanvas.Flow({
+		derivative: function(s) {
+			return [ -s[0], -2 * s[1] ];
+		},
+		params: {},
+		dimensions: 2,
+		initialValues: { x: 1, y: 1 },
+		integrator: 'rk45',
+		timeStep: timeStep,
+		tolerance: tolerance
+	});
+}
+
+/**
+ * The largest error in the oscillator's state after integrating it to time 1 with the given fixed step.
+ */
+function oscillatorError(integrator, steps) {
+	var flow = oscillator(integrator, 1 / steps), i;
+	for (i = 0; i < steps; i++) {
+		flow.advance();
+	}
+	return Math.max(Math.abs(flow.state[0] - Math.cos(1)), Math.abs(flow.state[1] + Math.sin(1)));
+}
+
+describe('fixed-step integrators', function() {
+	it('integrates the harmonic oscillator accurately by Runge-Kutta 4', function() {
+		assert.ok(oscillatorError('rk4', 100) < 1e-9);
+	});
+	it('converges with the order of each integrator', function() {
+		// Halving the step divides the error by about 2 for Euler's method and 16 for Runge-Kutta 4
+		var euler = oscillatorError('euler', 100) / oscillatorError('euler', 200),
+			rk4 = oscillatorError('rk4', 100) / oscillatorError('rk4', 200);
+		assert.ok(Math.abs(euler - 2) < 0.1, 'Euler error ratio ' + euler);
+		assert.ok(Math.abs(rk4 - 16) < 1, 'Runge-Kutta 4 error ratio ' + rk4);
+	});
+});
+
+describe('adaptive Dormand-Prince integrator', function() {
+	it('keeps the error of exponential decay within the tolerance', function() {
+		var flow = decay(0.1, 1e-8), t = 0;
+		while (t < 2) {
+			flow.advance();
+			t += flow.lastStep;
+		}
+		assert.ok(Math.abs(flow.state[0] - Math.exp(-t)) < 1e-7, 'x is ' + flow.state[0] + ' at t = ' + t);
+		assert.ok(Math.abs(flow.state[1] - Math.exp(-2 * t)) < 1e-7, 'y is ' + flow.state[1] + ' at t = ' + t);
+	});
+	it('estimates the error of a step', function() {
+		var step = AttractorCanvas.Flow.findIntegrator('rk45').step(function(s) {
+				return [ -s[0] ];
+			}, [ 1 ], {}, 0.5),
+			actual = step.state[0] - Math.exp(-0.5);
+		// The estimate is of the fourth-order solution's error, so bounds that of the fifth-order one taken
+		assert.ok(Math.abs(step.error[0]) > Math.abs(actual), step.error[0] + ' does not bound ' + actual);
+		assert.ok(Math.abs(step.error[0]) < 1e-4);
+	});
+	it('shrinks a step whose estimated error is too large', function() {
+		var flow = decay(1, 1e-8);
+		flow.advance();
+		assert.ok(flow.lastStep < 1, 'Took a step of ' + flow.lastStep);
+		assert.ok(Math.abs(flow.state[0] - Math.exp(-flow.lastStep)) < 1e-8);
+	});
+	it('grows a step whose estimated error allows, up to the time step', function() {
+		var flow = decay(0.05, 1e-6), i;
+		flow.h = 1e-4;
+		flow.advance();
+		assert.strictEqual(flow.lastStep, 1e-4);
+		assert.ok(flow.h > flow.lastStep, 'The next step is ' + flow.h);
+		for (i = 0; i < 10; i++) {
+			flow.advance();
+		}
+		assert.strictEqual(flow.lastStep, 0.05);
+		assert.strictEqual(flow.h, 0.05);
+	});
+});
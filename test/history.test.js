@@ -0,0 +1,122 @@
+/**
+ * Undo and redo of an engine's states, with bursts of changes to the same thing coalesced into one entry.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+/**
+ * A history of a new engine's states, with the clock stopped at the time held in the returned object.
+ * @param t The test context, whose mock of Date.now() is undone when the test ends
+ */
+function stoppedClock(t) {
+	var clock = { time: 1000000 };
+	t.mock.method(Date, 'now', function() {
+		return clock.time;
+	});
+	clock.engine = new AttractorCanvas.Engine(64, 64).setSystemId('henon').setZoom(100);
+	clock.history = new AttractorCanvas.History(clock.engine);
+	return clock;
+}
+
+/**
+ * The zoom of each entry of the history.
+ */
+function zooms(history) {
+	return history.getEntries().map(function(entry) {
+		return entry.state.zoom;
+	});
+}
+
+describe('History', function() {
+	it('coalesces changes with the same key less than the interval apart', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		[ 200, 300, 400 ].forEach(function(zoom) {
+			engine.setZoom(zoom);
+			assert.ok(history.record('zoom'));
+			clock.time += 999;
+		});
+		assert.deepStrictEqual(zooms(history), [ 100, 400 ]);
+		clock.time += 1;
+		engine.setZoom(500);
+		history.record('zoom');
+		assert.deepStrictEqual(zooms(history), [ 100, 400, 500 ]);
+	});
+	it('does not coalesce changes with different keys or without a key', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		engine.setZoom(200);
+		history.record('zoom');
+		engine.setZoom(300);
+		history.record('wheel');
+		engine.setZoom(400);
+		history.record();
+		engine.setZoom(500);
+		history.record();
+		assert.deepStrictEqual(zooms(history), [ 100, 200, 300, 400, 500 ]);
+	});
+	it('skips a state identical to the current one', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		assert.strictEqual(history.record('zoom'), false);
+		engine.setZoom(200);
+		history.record('zoom');
+		clock.time += 5000;
+		assert.strictEqual(history.record('zoom'), false);
+		assert.deepStrictEqual(zooms(history), [ 100, 200 ]);
+	});
+	it('undoes and redoes changes', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		engine.setZoom(200);
+		history.record();
+		engine.setParameterSetIndex(1);
+		history.record();
+		assert.ok(!history.canRedo());
+		history.undo();
+		assert.strictEqual(engine.getParameterSetIndex(), 0);
+		history.undo();
+		assert.strictEqual(engine.getZoom(), 100);
+		assert.ok(!history.canUndo());
+		assert.strictEqual(history.undo(), undefined);
+		history.redo();
+		history.redo();
+		assert.strictEqual(engine.getZoom(), 200);
+		assert.strictEqual(engine.getParameterSetIndex(), 1);
+		assert.strictEqual(history.redo(), undefined);
+	});
+	it('drops the entries that could have been redone when a change is recorded', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		[ 200, 300, 400 ].forEach(function(zoom) {
+			engine.setZoom(zoom);
+			history.record();
+		});
+		history.undo();
+		history.undo();
+		// Back in the state of an entry, so nothing is recorded and the redo branch is kept
+		assert.strictEqual(history.record(), false);
+		assert.ok(history.canRedo());
+		engine.setZoom(250);
+		history.record();
+		assert.deepStrictEqual(zooms(history), [ 100, 200, 250 ]);
+		assert.ok(!history.canRedo());
+	});
+	it('does not merge a change into an entry gone back to', function(t) {
+		var clock = stoppedClock(t), history = clock.history, engine = clock.engine;
+		engine.setZoom(200);
+		history.record('zoom');
+		history.undo();
+		history.redo();
+		engine.setZoom(300);
+		history.record('zoom');
+		assert.deepStrictEqual(zooms(history), [ 100, 200, 300 ]);
+	});
+	it('drops the oldest entries beyond its limit', function(t) {
+		var clock = stoppedClock(t), history = new AttractorCanvas.History(clock.engine, { limit: 3 }), engine = clock.engine;
+		[ 200, 300, 400 ].forEach(function(zoom) {
+			engine.setZoom(zoom);
+			history.record();
+		});
+		assert.deepStrictEqual(zooms(history), [ 200, 300, 400 ]);
+		assert.strictEqual(history.getIndex(), 2);
+	});
+});
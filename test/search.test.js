@@ -0,0 +1,63 @@
+/**
+ * The seedable random search for chaotic parameter sets, which must be reproducible from its seed.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+/**
+ * The first candidate accepted by a search of the quadratic map with the given seed.
+ * @param tried Array to which each candidate tried is appended
+ */
+function firstAccepted(seed, tried) {
+	var search = new AttractorCanvas.Search(AttractorCanvas.findSystem('quadratic'), { seed: seed }),
+		candidate, i;
+	for (i = 0; i < 1000; i++) {
+		candidate = search.next();
+		tried.push(candidate);
+		if (candidate.accepted) {
+			return candidate;
+		}
+	}
+	assert.fail('No candidate accepted in 1000 tries with the seed ' + seed);
+}
+
+describe('Search', function() {
+	it('tries the same candidates, with the same thumbnails, for the same seed', function() {
+		var tried = [], again = [],
+			candidate = firstAccepted(2, tried),
+			repeated = firstAccepted(2, again);
+		assert.deepStrictEqual(again.map(function(c) {
+			return c.parameterSet;
+		}), tried.map(function(c) {
+			return c.parameterSet;
+		}));
+		assert.deepStrictEqual(repeated.density.counts, candidate.density.counts);
+	});
+	it('tries other candidates, with other thumbnails, for another seed', function() {
+		var candidate = firstAccepted(2, []),
+			other = firstAccepted(1, []);
+		assert.notDeepStrictEqual(other.parameterSet, candidate.parameterSet);
+		assert.notDeepStrictEqual(other.density.counts, candidate.density.counts);
+	});
+	it('reproduces a candidate from its own seed', function() {
+		var candidate = firstAccepted(2, []),
+			search = new AttractorCanvas.Search(AttractorCanvas.findSystem('quadratic')),
+			reproduced = search.evaluate(search.createParameterSet(candidate.seed), candidate.seed);
+		assert.deepStrictEqual(reproduced.parameterSet, candidate.parameterSet);
+		assert.ok(reproduced.accepted);
+		assert.deepStrictEqual(reproduced.density.counts, candidate.density.counts);
+	});
+	it('generates the same numbers for the same seed', function() {
+		var random = AttractorCanvas.Search.random(12345), again = AttractorCanvas.Search.random(12345),
+			other = AttractorCanvas.Search.random(12346), i, value;
+		for (i = 0; i < 100; i++) {
+			value = random();
+			assert.ok(value >= 0 && value < 1);
+			assert.strictEqual(again(), value);
+			assert.notStrictEqual(other(), value);
+		}
+	});
+});
@@ -0,0 +1,37 @@
+/**
+ * Serialising the state of the headless engine with toJSON() and restoring it with fromJSON().
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+describe('toJSON', function() {
+	it('is restored by fromJSON', function() {
+		var engine = new AttractorCanvas.Engine(64, 48).setSystemId('henon').setParameterSetIndex(1),
+			state, restored;
+		engine.selectCustomParameterSet({ a: 1.3, b: 0.25 });
+		engine.setCentre(0.5, -0.25).setZoom(150).setIterations(30000);
+		engine.setSymmetry({ order: 3, reflection: true });
+		state = JSON.parse(JSON.stringify(engine.toJSON()));
+		restored = new AttractorCanvas.Engine(64, 48).fromJSON(state);
+		assert.deepStrictEqual(restored.toJSON(), state);
+		assert.deepStrictEqual(restored.getParameterSet(), { a: 1.3, b: 0.25 });
+		assert.ok(restored.isCustomParameterSet());
+	});
+	it('is not changed by later edits of the Custom parameter set', function() {
+		var engine = new AttractorCanvas.Engine(64, 48).setSystemId('henon'),
+			state;
+		engine.selectCustomParameterSet({ a: 1.3, b: 0.25 });
+		state = engine.toJSON();
+		engine.getParameterSet().a = 1.1;
+		assert.deepStrictEqual(state.parameters, { a: 1.3, b: 0.25 });
+	});
+	it('is not changed by edits of the Custom parameter set it was restored into', function() {
+		var state = new AttractorCanvas.Engine(64, 48).setSystemId('henon').selectCustomParameterSet({ a: 1.3, b: 0.25 }).toJSON(),
+			engine = new AttractorCanvas.Engine(64, 48).fromJSON(state);
+		engine.getParameterSet().a = 1.1;
+		assert.deepStrictEqual(state.parameters, { a: 1.3, b: 0.25 });
+	});
+});
@@ -0,0 +1,76 @@
+/**
+ * Lyapunov exponents and fractal dimensions estimated while rendering, checked against published values.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+var iterations = 200000;
+
+/**
+ * Iterate the orbit of a system without plotting it.
+ * @param jacobian Whether to use the system's own Jacobian rather than estimating it numerically
+ * @returns The renderer's statistics, as for AttractorCanvas.Renderer.prototype.getStatistics()
+ */
+function measure(systemId, params, jacobian) {
+	var system = AttractorCanvas.findSystem(systemId),
+		renderer = new AttractorCanvas.Renderer({
+			iterate: system.iterate,
+			jacobian: jacobian ? system.jacobian : undefined,
+			params: params,
+			initialValues: system.initialValues,
+			colourFunc: function() {
+				return [ 0, 0, 0 ];
+			},
+			iterations: iterations,
+			view: { centreX: 0, centreY: 0, zoom: 1, width: 0, height: 0 }
+		});
+	assert.strictEqual(AttractorCanvas.Engine.runRenderer(renderer, iterations).status, 'completed');
+	return renderer.getStatistics();
+}
+
+function assertClose(actual, expected, tolerance, what) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, what + ' is ' + actual + ', not ' + expected + ' ± ' + tolerance);
+}
+
+describe('Hénon map, a = 1.4, b = 0.3', function() {
+	[ true, false ].forEach(function(jacobian) {
+		describe(jacobian ? 'with its Jacobian' : 'with a numeric Jacobian', function() {
+			var statistics = measure('henon', { a: 1.4, b: 0.3 }, jacobian);
+			it('has a largest exponent of 0.419', function() {
+				assertClose(statistics.lyapunovExponents[0], 0.419, 0.005, 'The largest exponent');
+			});
+			it('has exponents summing to ln b, since it contracts areas by b', function() {
+				assertClose(statistics.lyapunovExponents[0] + statistics.lyapunovExponents[1], Math.log(0.3), 1e-6, 'The sum of the exponents');
+			});
+			it('has a Kaplan-Yorke dimension of 1.26', function() {
+				assertClose(statistics.kaplanYorkeDimension, 1.26, 0.01, 'The Kaplan-Yorke dimension');
+			});
+			it('has a correlation dimension of about 1.2', function() {
+				assertClose(statistics.correlationDimension, 1.21, 0.1, 'The correlation dimension');
+			});
+		});
+	});
+});
+
+describe('Lozi map, a = 1.7, b = 0.5', function() {
+	var statistics = measure('lozi', { a: 1.7, b: 0.5 }, true);
+	it('has a largest exponent of 0.47', function() {
+		assertClose(statistics.lyapunovExponents[0], 0.47, 0.01, 'The largest exponent');
+	});
+	it('has exponents summing to ln b', function() {
+		assertClose(statistics.lyapunovExponents[0] + statistics.lyapunovExponents[1], Math.log(0.5), 1e-6, 'The sum of the exponents');
+	});
+	it('has a Kaplan-Yorke dimension of 1.40', function() {
+		assertClose(statistics.kaplanYorkeDimension, 1.40, 0.01, 'The Kaplan-Yorke dimension');
+	});
+});
+
+describe('kaplanYorkeDimension', function() {
+	it('interpolates between the exponents whose running sum turns negative', function() {
+		assert.strictEqual(AttractorCanvas.kaplanYorkeDimension([ 0.5, -1 ]), 1.5);
+		assert.strictEqual(AttractorCanvas.kaplanYorkeDimension([ -0.1, -1 ]), 0);
+	});
+});
@@ -0,0 +1,91 @@
+/**
+ * The cyclic and dihedral symmetry groups applied to the points plotted.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+function multiply(m, n) {
+	return [
+		m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+		m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3]
+	];
+}
+
+function close(m, n) {
+	return m.every(function(value, i) {
+		return Math.abs(value - n[i]) < 1e-12;
+	});
+}
+
+describe('symmetryMatrices', function() {
+	it('is the identity alone without symmetry', function() {
+		[ undefined, { order: 1, reflection: false } ].forEach(function(symmetry) {
+			var matrices = AttractorCanvas.Renderer.symmetryMatrices(symmetry);
+			assert.strictEqual(matrices.length, 1);
+			assert.ok(close(matrices[0], [ 1, 0, 0, 1 ]));
+		});
+	});
+	[ 1, 2, 3, 5, 6 ].forEach(function(order) {
+		[ false, true ].forEach(function(reflection) {
+			describe((reflection ? 'dihedral' : 'cyclic') + ' group of order ' + order, function() {
+				var matrices = AttractorCanvas.Renderer.symmetryMatrices({ order: order, reflection: reflection });
+				it('has an element for each rotation, and for each reflection', function() {
+					assert.strictEqual(matrices.length, reflection ? 2 * order : order);
+					assert.ok(close(matrices[0], [ 1, 0, 0, 1 ]));
+				});
+				it('rotates by multiples of 2 pi / ' + order, function() {
+					var angle = 2 * Math.PI / order, k;
+					for (k = 0; k < order; k++) {
+						assert.ok(close(matrices[k], [ Math.cos(k * angle), -Math.sin(k * angle), Math.sin(k * angle), Math.cos(k * angle) ]), 'Rotation ' + k);
+					}
+				});
+				it('reflects in lines through the origin', function() {
+					matrices.slice(order).forEach(function(m) {
+						assert.ok(close(m, [ m[0], m[1], m[1], -m[0] ]), m);
+						assert.ok(close(multiply(m, m), [ 1, 0, 0, 1 ]), m);
+					});
+				});
+				it('is closed under composition', function() {
+					matrices.forEach(function(m) {
+						matrices.forEach(function(n) {
+							var product = multiply(m, n);
+							assert.ok(matrices.some(function(element) {
+								return close(element, product);
+							}), m + ' times ' + n + ' is not in the group');
+						});
+					});
+				});
+				it('has no element twice', function() {
+					matrices.forEach(function(m, i) {
+						matrices.slice(i + 1).forEach(function(n) {
+							assert.ok(!close(m, n), m + ' is repeated');
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+describe('setSymmetry', function() {
+	it('is passed to the job of a render', function() {
+		var engine = new AttractorCanvas.Engine(32, 32).setSystemId('henon').setParameterSetIndex(1).setIterations(1000);
+		engine.setSymmetry({ order: 3, reflection: true });
+		assert.deepStrictEqual(engine.getSymmetry(), { order: 3, reflection: true });
+		assert.strictEqual(AttractorCanvas.Renderer.symmetryMatrices(engine.createJob().symmetry).length, 6);
+		engine.setSymmetry({ reflection: false });
+		assert.deepStrictEqual(engine.getSymmetry(), { order: 3, reflection: false });
+	});
+	it('rejects an order that is not a whole number in range', function() {
+		var engine = new AttractorCanvas.Engine(32, 32);
+		[ 0, 2.5, AttractorCanvas.Renderer.maxSymmetryOrder + 1 ].forEach(function(order) {
+			assert.throws(function() {
+				engine.setSymmetry({ order: order });
+			}, /order of symmetry must be a whole number/);
+		});
+		assert.deepStrictEqual(engine.getSymmetry(), { order: 1, reflection: false });
+	});
+});
@@ -0,0 +1,69 @@
+/**
+ * Renders every preset parameter set of every registered system to completion with the headless engine.
+ */
+
+var describe = require('node:test').describe,
+	it = require('node:test').it,
+	assert = require('node:assert'),
+	AttractorCanvas = require('../attractor-core.js');
+
+// Enough to show an attractor in a small image without making the suite slow
+var iterations = 20000;
+
+AttractorCanvas.systems.forEach(function(system, systemIndex) {
+	describe(system.name, function() {
+		var engine = new AttractorCanvas.Engine(64, 64), i;
+		function renders(parameterSet) {
+			return function() {
+				var outcome;
+				engine.setSystemIndex(systemIndex).setParameterSetIndex(parameterSet).setIterations(iterations);
+				outcome = engine.render();
+				assert.notStrictEqual(outcome.status, 'running');
+				// Exempt presets are known to escape or collapse, and need only finish
+				if (system.exemptParameterSets.indexOf(parameterSet) >= 0) {
+					return;
+				}
+				assert.ok([ 'escaped', 'error', 'nan' ].indexOf(outcome.status) < 0,
+					'Rendering ended with ' + outcome.status + (outcome.message ? ': ' + outcome.message : ''));
+			};
+		}
+		for (i = 0; i < engine.getCustomParameterSetIndex(systemIndex); i++) {
+			it('renders parameter set ' + (i + 1), renders(i));
+		}
+	});
+});
+
+describe('checkPresets', function() {
+	it('finds no failing preset', function() {
+		assert.deepStrictEqual(AttractorCanvas.checkPresets(), []);
+	});
+	it('passes a preset that settles into a periodic orbit', function() {
+		var result = AttractorCanvas.checkParameterSet('dejong', 2);
+		assert.strictEqual(result.status, 'cycle');
+		assert.ok(result.passed);
+	});
+	it('fails the exempt presets', function() {
+		AttractorCanvas.systems.forEach(function(system) {
+			system.exemptParameterSets.forEach(function(parameterSet) {
+				assert.ok(!AttractorCanvas.checkParameterSet(system.id, parameterSet).passed, system.id + ' ' + parameterSet);
+			});
+		});
+	});
+});
+
+describe('registerSystem', function() {
+	it('rejects an iteration function given as text', function() {
+		var count = AttractorCanvas.systems.length;
+		assert.throws(function() {
+			AttractorCanvas.registerSystem('{"id": "sneaky", "iterate": "function(x, y) { return { x: y, y: x }; }", "parameterSets": [ {} ]}');
+		}, /iterate of the system 'sneaky' must be a function/);
+		assert.throws(function() {
+			AttractorCanvas.registerSystem({ id: 'sneaky', formula: "x' = y\ny' = x", jacobian: 'function() { return [ 0, 1, 1, 0 ]; }' });
+		}, /jacobian of the system 'sneaky' must be a function/);
+		assert.strictEqual(AttractorCanvas.systems.length, count);
+	});
+	it('compiles the formula of a system read as JSON', function() {
+		var system = AttractorCanvas.registerSystem('{"id": "json-henon", "formula": "x\' = 1 - a*x^2 + y\\ny\' = b*x", "parameterSets": [ {"a": 1.4, "b": 0.3} ]}');
+		assert.deepStrictEqual(system.iterate(1, 1, system.parameterSets[0]), { x: 1 - 1.4 + 1, y: 0.3 });
+	});
+});